@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+/**
+ * options-scan - Headless OptionsScanner runner
+ *
+ * Runs the same scan as the browser UI (OptionsScanner.scan() with
+ * CONFIG.DEFAULTS, or the income / LEAPS mode defaults, for anything not given),
+ * printing progress to stderr and the results as CSV or JSON to stdout or a
+ * file, e.g.
+ *
+ *   options-scan --type call --exp-gte 2027-01-01 --price 0.05-0.25 --format csv
+ *   OPTIONS_SCAN_API_KEY=... options-scan --tickers XOM,CVX -o nightly.json
+ *
+ * Run with --help for all options.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { CONFIG, DEFAULT_UNIVERSE } from '../js/config.js';
+import { OptionsScanner } from '../js/scanner.js';
+import { createProvider, listProviders, FileProvider } from '../js/providers/index.js';
+import { importDataFile, importIvHistoryFile } from '../js/importer.js';
+import { FixtureBundle } from '../js/fixtures.js';
+import { contractsToCSV } from '../js/table.js';
+import { parseScoreProfile } from '../js/scoring.js';
+
+const USAGE = `Usage: options-scan [options]
+
+Scan filters (defaults from CONFIG.DEFAULTS, or CONFIG.INCOME_DEFAULTS / CONFIG.LEAPS_DEFAULTS
+with --mode income / leaps):
+  --mode contracts|income|leaps
+                           Long contracts, covered call / cash-secured put yields, or
+                           long-dated stock replacement by leverage (contracts)
+  --type call|put|both     Contract type - both fetches calls and puts together (${CONFIG.DEFAULTS.CONTRACT_TYPE})
+  --exp-gte YYYY-MM-DD     Earliest expiration (${CONFIG.DEFAULTS.EXPIRATION_GTE})
+  --exp-lte YYYY-MM-DD     Latest expiration
+  --price MIN-MAX          Price range (${CONFIG.DEFAULTS.PRICE_MIN}-${CONFIG.DEFAULTS.PRICE_MAX})
+  --price-field FIELD      bid | ask | mid | last (${CONFIG.DEFAULTS.PRICE_FIELD})
+  --delta MIN-MAX          Absolute delta range (${CONFIG.DEFAULTS.DELTA_MIN}-${CONFIG.DEFAULTS.DELTA_MAX})
+  --otm MIN-MAX            Moneyness window as decimal % OTM, negative = ITM (e.g. 0.1-0.6, -0.1-0.5)
+  --iv MIN-MAX             IV range as a decimal (${CONFIG.DEFAULTS.IV_MIN}-${CONFIG.DEFAULTS.IV_MAX})
+  --iv-rank MIN-MAX        Underlying IV rank as a decimal (e.g. 0-0.3) - needs --iv-history
+  --iv-percentile MIN-MAX  Underlying IV percentile as a decimal - needs --iv-history
+  --iv-history FILE        Historical ATM IV CSV (ticker, date, IV) to rank against
+  --min-oi N               Minimum open interest
+  --min-volume N           Minimum volume
+  --prob-itm MIN-MAX       Probability of expiring ITM as a decimal (e.g. 0.2-0.5)
+  --prob-touch MIN-MAX     Probability of touching the strike as a decimal
+  --max-breakeven N        Max distance to break-even as a decimal % of the underlying
+  --max-required-return N  Max annualized underlying return to break even (decimal)
+  --min-yield N            Min annualized premium yield, income mode (decimal)
+  --min-leverage N         Min leverage (|delta| x underlying / price)
+  --max-time-per-day N     Max time value paid per day to expiration ($ per share)
+  --max-carry N            Max time value as an annual decimal % of the underlying
+  --min-efficiency N       Min stock-replacement efficiency (decimal, 1 = stock-like)
+  --score-profile FILE     Composite score weights (JSON shared from the Ranking tab;
+                           default CONFIG.SCORING) - sort with --sort score:desc
+  --tickers A,B,...        Scan these underlyings instead of the universe
+  --industries A,B,...     Only these industries
+  --countries A,B,...      Only these countries
+  --sort FIELD[:asc|desc]  Sort results (${CONFIG.DEFAULTS.SORT_BY}:${CONFIG.DEFAULTS.SORT_DIR})
+
+Data source:
+  --provider ID            ${listProviders().map(p => p.id).join(' | ')} (${CONFIG.API.PROVIDER})
+  --api-key KEY            API key (or OPTIONS_SCAN_API_KEY, else CONFIG.API_KEY)
+  --plan PLAN              API plan tier for rate limits
+  --input FILE             Scan a CSV / JSONL snapshot file instead of the API
+  --fixture FILE           Replay a recorded fixture bundle instead of the API
+
+Output:
+  --format csv|json        Output format (csv)
+  -o, --output FILE        Write to FILE instead of stdout
+  -q, --quiet              No progress on stderr
+  -h, --help               Show this help
+`;
+
+// Flags that take a value
+const VALUE_FLAGS = new Set([
+  'mode', 'type', 'exp-gte', 'exp-lte', 'price', 'price-field', 'delta', 'otm', 'iv',
+  'iv-rank', 'iv-percentile', 'iv-history',
+  'min-oi', 'min-volume', 'prob-itm', 'prob-touch', 'max-breakeven', 'max-required-return',
+  'min-yield', 'min-leverage', 'max-time-per-day', 'max-carry', 'min-efficiency', 'score-profile',
+  'tickers', 'industries', 'countries', 'sort',
+  'provider', 'api-key', 'plan', 'input', 'fixture', 'format', 'output'
+]);
+
+// Flags that take no value
+const BOOLEAN_FLAGS = new Set(['quiet', 'help']);
+const SHORT_FLAGS = { o: 'output', q: 'quiet', h: 'help' };
+
+/**
+ * Exit with a usage error
+ * @param {string} message
+ */
+function fail(message) {
+  process.stderr.write(`options-scan: ${message}\nRun options-scan --help for usage.\n`);
+  process.exit(2);
+}
+
+/**
+ * Parse argv into { flag: value } (--flag value, --flag=value, -o value)
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object}
+ */
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    let name;
+    let value;
+
+    if (arg.startsWith('--')) {
+      [name, value] = arg.slice(2).split(/=(.*)/s);
+    } else if (arg.startsWith('-') && SHORT_FLAGS[arg.slice(1)]) {
+      name = SHORT_FLAGS[arg.slice(1)];
+    } else {
+      fail(`unexpected argument "${arg}"`);
+    }
+
+    if (!VALUE_FLAGS.has(name) && !BOOLEAN_FLAGS.has(name)) {
+      fail(`unknown option --${name}`);
+    }
+    if (BOOLEAN_FLAGS.has(name)) {
+      args[name] = true;
+      continue;
+    }
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) fail(`--${name} needs a value`);
+    }
+    args[name] = value;
+  }
+
+  return args;
+}
+
+/**
+ * Parse a number option
+ * @param {string} value
+ * @param {string} name - Flag name for errors
+ * @returns {number|undefined}
+ */
+function parseNumber(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) fail(`--${name} must be a number, got "${value}"`);
+  return number;
+}
+
+/**
+ * Parse a MIN-MAX option (either side may be empty: "0.1-", "-0.5"; a
+ * leading minus on a side is its sign: "-0.1-0.5", "--0.1")
+ * @param {string} value
+ * @param {string} name - Flag name for errors
+ * @returns {number[]} [min, max] (undefined for missing sides)
+ */
+function parseRange(value, name) {
+  if (value === undefined) return [undefined, undefined];
+  const match = value.match(/^((?:-?[\d.]+)?)-((?:-?[\d.]+)?)$/);
+  if (!match) fail(`--${name} must look like MIN-MAX, got "${value}"`);
+  return [
+    match[1] ? parseNumber(match[1], name) : undefined,
+    match[2] ? parseNumber(match[2], name) : undefined
+  ];
+}
+
+/**
+ * Parse a comma-separated list option
+ * @param {string} value
+ * @returns {string[]|undefined}
+ */
+function parseList(value) {
+  if (value === undefined) return undefined;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Build OptionsScanner params from CLI args (undefined -> CONFIG.DEFAULTS)
+ * @param {object} args - Parsed args
+ * @returns {object} Scan params
+ */
+function buildScanParams(args) {
+  if (args.mode && !['contracts', 'income', 'leaps'].includes(args.mode)) {
+    fail(`--mode must be contracts, income or leaps, got "${args.mode}"`);
+  }
+  if (args.type && !['call', 'put', 'both'].includes(args.type)) {
+    fail(`--type must be call, put or both, got "${args.type}"`);
+  }
+
+  const [priceMin, priceMax] = parseRange(args.price, 'price');
+  const [deltaMin, deltaMax] = parseRange(args.delta, 'delta');
+  const [otmMin, otmMax] = parseRange(args.otm, 'otm');
+  const [ivMin, ivMax] = parseRange(args.iv, 'iv');
+  const [ivRankMin, ivRankMax] = parseRange(args['iv-rank'], 'iv-rank');
+  const [ivPercentileMin, ivPercentileMax] = parseRange(args['iv-percentile'], 'iv-percentile');
+  const [probItmMin, probItmMax] = parseRange(args['prob-itm'], 'prob-itm');
+  const [probTouchMin, probTouchMax] = parseRange(args['prob-touch'], 'prob-touch');
+  const [sortBy, sortDir] = (args.sort || '').split(':');
+
+  return {
+    mode: args.mode,
+    contractType: args.type,
+    expirationGte: args['exp-gte'],
+    expirationLte: args['exp-lte'],
+    priceMin,
+    priceMax,
+    priceField: args['price-field'],
+    deltaMin,
+    deltaMax,
+    otmMin,
+    otmMax,
+    ivMin,
+    ivMax,
+    ivRankMin,
+    ivRankMax,
+    ivPercentileMin,
+    ivPercentileMax,
+    minOpenInterest: parseNumber(args['min-oi'], 'min-oi'),
+    minVolume: parseNumber(args['min-volume'], 'min-volume'),
+    probItmMin,
+    probItmMax,
+    probTouchMin,
+    probTouchMax,
+    breakEvenPctMax: parseNumber(args['max-breakeven'], 'max-breakeven'),
+    requiredReturnMax: parseNumber(args['max-required-return'], 'max-required-return'),
+    minAnnualizedYield: parseNumber(args['min-yield'], 'min-yield'),
+    minLeverage: parseNumber(args['min-leverage'], 'min-leverage'),
+    maxExtrinsicPerDay: parseNumber(args['max-time-per-day'], 'max-time-per-day'),
+    maxImpliedCarry: parseNumber(args['max-carry'], 'max-carry'),
+    minReplacementEfficiency: parseNumber(args['min-efficiency'], 'min-efficiency'),
+    sortBy: sortBy || undefined,
+    sortDir: sortDir || undefined,
+    industries: parseList(args.industries),
+    countries: parseList(args.countries),
+    tickers: parseList(args.tickers?.toUpperCase())
+  };
+}
+
+/**
+ * In-memory IV history from an imported file (no IndexedDB in Node)
+ * @param {Array} entries - [{ ticker, date, iv }] from importIvHistoryFile()
+ * @returns {object} Store for OptionsScanner.setIvHistoryStore()
+ */
+function createIvHistoryStore(entries) {
+  return {
+    async getIvHistory(tickers, fromDate, beforeDate) {
+      const history = {};
+      for (const ticker of tickers) {
+        history[ticker] = entries
+          .filter(e => e.ticker === ticker && (!fromDate || e.date >= fromDate) && (!beforeDate || e.date < beforeDate))
+          .sort((a, b) => a.date.localeCompare(b.date));
+      }
+      return history;
+    },
+    async saveIvSnapshot() {
+      // Nothing persists between runs
+    }
+  };
+}
+
+/**
+ * Create the data source: an imported file, a fixture replay or a live provider
+ * @param {object} args - Parsed args
+ * @returns {Promise<ApiClient>}
+ */
+async function createDataSource(args) {
+  if (args.input) {
+    const { contracts, skipped } = importDataFile(await readFile(args.input, 'utf8'), args.input);
+    if (skipped > 0 && !args.quiet) {
+      process.stderr.write(`Skipped ${skipped} rows without an underlying, type, strike and expiration\n`);
+    }
+    return new FileProvider(contracts, args.input);
+  }
+
+  const apiKey = args['api-key'] || process.env.OPTIONS_SCAN_API_KEY || CONFIG.API_KEY;
+  const provider = createProvider(args.provider || CONFIG.API.PROVIDER, apiKey, { plan: args.plan });
+
+  if (args.fixture) {
+    provider.setFixtureMode('replay', FixtureBundle.fromJSON(await readFile(args.fixture, 'utf8')));
+  } else if (!apiKey) {
+    fail('no API key - pass --api-key or set OPTIONS_SCAN_API_KEY');
+  }
+
+  return provider;
+}
+
+/**
+ * Progress reporter writing one updating line to stderr
+ * @param {boolean} quiet
+ * @returns {function} onProgress callback for OptionsScanner
+ */
+function createProgressReporter(quiet) {
+  if (quiet) return null;
+
+  const interactive = process.stderr.isTTY;
+  const printed = new Set();
+  return ({ message, progress }) => {
+    const line = `[${String(progress ?? 0).padStart(3)}%] ${message}`;
+    if (printed.has(line)) return;  // Tickers report both start and completion
+    printed.add(line);
+    process.stderr.write(interactive ? `\r\x1b[K${line}` : `${line}\n`);
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const format = args.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    fail(`--format must be csv or json, got "${format}"`);
+  }
+
+  const params = buildScanParams(args);
+  if (args['score-profile']) {
+    try {
+      params.scoreProfile = parseScoreProfile(await readFile(args['score-profile'], 'utf8'));
+    } catch (error) {
+      fail(`--score-profile: ${error.message}`);
+    }
+  }
+  let ivHistory = null;
+  if (args['iv-history']) {
+    try {
+      ivHistory = importIvHistoryFile(await readFile(args['iv-history'], 'utf8')).entries;
+    } catch (error) {
+      fail(`--iv-history: ${error.message}`);
+    }
+  }
+  const provider = await createDataSource(args);
+
+  // Library logging goes to stderr so stdout stays clean for piping
+  if (args.quiet) {
+    console.log = console.warn = () => {};
+  } else {
+    console.log = console.error;
+  }
+
+  const scanner = new OptionsScanner(provider, DEFAULT_UNIVERSE);
+  if (ivHistory) {
+    scanner.setIvHistoryStore(createIvHistoryStore(ivHistory));
+  }
+
+  if (!await provider.testConnection()) {
+    process.stderr.write(`options-scan: could not connect to ${provider.label} - check the API key\n`);
+    process.exit(1);
+  }
+
+  // Ctrl-C cancels the scan and still writes the partial results
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+
+  const onProgress = createProgressReporter(args.quiet);
+  const results = await scanner.scan(params, onProgress, controller.signal);
+  if (onProgress && process.stderr.isTTY) process.stderr.write('\n');
+
+  const output = format === 'json'
+    ? JSON.stringify({
+        params: results.params,
+        stats: results.stats,
+        errors: results.errors,
+        contracts: results.contracts
+      }, null, 2)
+    : contractsToCSV(results.contracts);
+
+  if (args.output) {
+    await writeFile(args.output, `${output}\n`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+
+  if (!args.quiet) {
+    const { afterFilters, tickersCompleted, tickersScanned, partial } = results.stats;
+    process.stderr.write(
+      `${afterFilters} contracts from ${tickersCompleted ?? tickersScanned} tickers` +
+      `${results.errors.length ? `, ${results.errors.length} failed` : ''}` +
+      `${partial ? ' (cancelled - partial results)' : ''}` +
+      `${args.output ? ` -> ${args.output}` : ''}\n`
+    );
+  }
+
+  // Non-zero exit lets cron jobs notice incomplete scans
+  if (results.stats.partial || results.errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  process.stderr.write(`options-scan: ${error.message}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+/**
+ * Contract Analytics - Probabilities, break-even, income and LEAPS metrics
+ * per contract
+ *
+ * Risk-neutral lognormal model using the contract's IV, the risk-free rate
+ * and the underlying's dividend yield (CONFIG.PRICING). Income metrics treat
+ * the contract as sold: a covered call against stock bought at the
+ * underlying price, or a cash-secured put. LEAPS metrics treat it as bought
+ * in place of the stock. DOM-free; used by OptionsScanner when normalizing
+ * contracts.
+ */
+
+import { CONFIG } from './config.js';
+import { normCdf, getDividendYield } from './pricing.js';
+
+/**
+ * Probability that the underlying touches a price before expiration
+ * (first passage of a drifting Brownian motion in log space)
+ * @param {number} S - Underlying price
+ * @param {number} H - Barrier price
+ * @param {number} T - Years to expiration
+ * @param {number} mu - Log drift (r - q - sigma^2 / 2)
+ * @param {number} sigma - Volatility
+ * @returns {number}
+ */
+function touchProbability(S, H, T, mu, sigma) {
+  const b = Math.log(H / S);
+  const sd = sigma * Math.sqrt(T);
+  const reflection = Math.exp(2 * mu * b / (sigma * sigma));
+
+  const probability = b > 0
+    ? normCdf((-b + mu * T) / sd) + reflection * normCdf((-b - mu * T) / sd)
+    : normCdf((b - mu * T) / sd) + reflection * normCdf((b + mu * T) / sd);
+  return Math.min(Math.max(probability, 0), 1);
+}
+
+/**
+ * Compute probability and break-even analytics for a contract
+ * @param {object} contract - { type, strike, underlying, underlyingPrice, iv, breakEven }
+ * @param {number|null} dte - Days to expiration
+ * @returns {object} { probItm, probTouch, expectedMove, breakEvenPct, requiredReturn }
+ *   - probabilities as decimals, expectedMove in $ (one standard deviation to
+ *   expiration), breakEvenPct and requiredReturn (annualized) as signed decimals;
+ *   null where inputs are missing
+ */
+export function computeContractAnalytics(contract, dte) {
+  const { type, strike: K, underlyingPrice: S, iv: sigma, breakEven } = contract;
+  const T = dte > 0 ? dte / 365 : null;
+
+  const analytics = {
+    probItm: null,
+    probTouch: null,
+    expectedMove: null,
+    breakEvenPct: null,
+    requiredReturn: null
+  };
+  if (!(S > 0)) return analytics;
+
+  if (breakEven > 0) {
+    analytics.breakEvenPct = (breakEven - S) / S;
+    if (T) {
+      analytics.requiredReturn = Math.pow(breakEven / S, 1 / T) - 1;
+    }
+  }
+
+  if (!T || !(sigma > 0) || !(K > 0)) return analytics;
+
+  const r = CONFIG.PRICING.RISK_FREE_RATE;
+  const q = getDividendYield(contract.underlying);
+  const mu = r - q - sigma * sigma / 2;
+  const d2 = (Math.log(S / K) + mu * T) / (sigma * Math.sqrt(T));
+
+  analytics.probItm = type === 'put' ? normCdf(-d2) : normCdf(d2);
+  analytics.expectedMove = S * sigma * Math.sqrt(T);
+
+  // Already in the money means the strike has been touched
+  const itm = type === 'put' ? S <= K : S >= K;
+  analytics.probTouch = itm ? 1 : touchProbability(S, K, T, mu, sigma);
+
+  return analytics;
+}
+
+/**
+ * Compute short-premium income metrics for a contract
+ * @param {object} contract - { type, strike, underlyingPrice }
+ * @param {number|null} premium - Premium received per share
+ * @param {number|null} dte - Days to expiration
+ * @param {number|null} probItm - Probability of finishing ITM (see computeContractAnalytics())
+ * @returns {object} { premiumYield, annualizedYield, downsideProtection, returnIfAssigned, probOtm }
+ *   - decimals; premiumYield is on the underlying price, downsideProtection
+ *   is the fall to break-even as % of the underlying, returnIfAssigned is
+ *   stock gain plus premium for calls and premium on the net cash paid for
+ *   the shares (strike - premium) for puts; null where inputs are missing
+ */
+export function computeIncomeAnalytics(contract, premium, dte, probItm) {
+  const { type, strike: K, underlyingPrice: S } = contract;
+
+  const income = {
+    premiumYield: null,
+    annualizedYield: null,
+    downsideProtection: null,
+    returnIfAssigned: null,
+    probOtm: probItm != null ? 1 - probItm : null
+  };
+  if (!(S > 0) || !(K > 0) || !(premium > 0)) return income;
+
+  income.premiumYield = premium / S;
+  if (dte > 0) {
+    income.annualizedYield = income.premiumYield * 365 / dte;
+  }
+
+  if (type === 'call') {
+    // Covered call: stock held from S, called away at K
+    income.downsideProtection = premium / S;
+    income.returnIfAssigned = (K - S + premium) / S;
+  } else if (type === 'put' && K > premium) {
+    // Cash-secured put: assigned shares cost K - premium
+    income.downsideProtection = (S - K + premium) / S;
+    income.returnIfAssigned = premium / (K - premium);
+  }
+
+  return income;
+}
+
+/**
+ * Compute leverage and time-value metrics for a long contract (LEAPS)
+ * @param {object} contract - { type, strike, underlyingPrice }
+ * @param {number|null} price - Option price per share
+ * @param {number|null} dte - Days to expiration
+ * @param {number|null} delta - Vendor or computed delta
+ * @returns {object} { leverage, intrinsicValue, extrinsicValue, extrinsicPerDay,
+ *   impliedCarry, replacementEfficiency }
+ *   - leverage: % move of the option per 1% move of the underlying
+ *     (|delta| x underlying / price)
+ *   - intrinsic / extrinsic value and extrinsic per day in $ per share
+ *   - impliedCarry: extrinsic value as an annual % of the underlying - the
+ *     rate paid to hold the exposure through the option instead of the stock
+ *   - replacementEfficiency: |delta| x intrinsic share of the price - 1 is
+ *     full stock exposure with no time value to decay
+ *   null where inputs are missing
+ */
+export function computeLeapsAnalytics(contract, price, dte, delta) {
+  const { type, strike: K, underlyingPrice: S } = contract;
+
+  const leaps = {
+    leverage: null,
+    intrinsicValue: null,
+    extrinsicValue: null,
+    extrinsicPerDay: null,
+    impliedCarry: null,
+    replacementEfficiency: null
+  };
+  if (!(S > 0) || !(K > 0) || !(price > 0)) return leaps;
+
+  const intrinsic = type === 'put' ? Math.max(K - S, 0) : Math.max(S - K, 0);
+  // Stale last trades can sit below intrinsic - treat that as no time value
+  const extrinsic = Math.max(price - intrinsic, 0);
+
+  leaps.intrinsicValue = intrinsic;
+  leaps.extrinsicValue = extrinsic;
+  if (dte > 0) {
+    leaps.extrinsicPerDay = extrinsic / dte;
+    leaps.impliedCarry = (extrinsic / S) / (dte / 365);
+  }
+  if (delta != null) {
+    leaps.leverage = Math.abs(delta) * S / price;
+    leaps.replacementEfficiency = Math.abs(delta) * Math.min(intrinsic / price, 1);
+  }
+
+  return leaps;
+}
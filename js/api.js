@@ -1,251 +1,444 @@
 /**
- * API Client for Massive.com (Polygon.io) Options Data
+ * API Client - Base class for market-data providers
  * 
- * Handles:
- * - Authentication
- * - Pagination (following next_url)
- * - Rate limiting / throttling
- * - Retry with exponential backoff
+ * Handles the vendor-neutral parts of fetching:
+ * - Rate limiting / throttling (see ratelimit.js)
+ * - Retry with jittered exponential backoff
+ * - Cancellation via AbortSignal
+ * - Record/replay of responses via fixture bundles (see fixtures.js)
+ * - Worker pool / streaming over many tickers
+ * 
+ * Each provider (see providers/) subclasses this and implements:
+ * - _authorize(url)                 -> { url, headers } for a request
+ * - getOptionsChain(ticker, params) -> raw contracts for one underlying
+ * - getUnderlyingPrices(tickers)    -> Map of ticker -> price
+ * - _buildTestUrl()                 -> lightweight URL for testConnection()
+ * - normalizeContract(raw, ticker)  -> vendor-neutral contract (see below)
+ * 
+ * Normalized contracts have the fields:
+ *   contractTicker, underlying, type, strike, expiration,
+ *   bid, ask, mid, last, iv, delta, gamma, theta, vega,
+ *   volume, openInterest, underlyingPrice, breakEven
+ * (null where the vendor has no value). OptionsScanner derives DTE,
+ * spread and moneyness, fills missing IV / Greeks (see pricing.js) and
+ * adds universe metadata.
  */
 
 import { CONFIG } from './config.js';
-import { sleep, chunk } from './utils.js';
+import { sleep, createAbortError, isAbortError } from './utils.js';
+import { RateLimiter, RetryPolicy, getPlanLimits, parseRetryAfter } from './ratelimit.js';
+import { FixtureBundle, normalizeFixtureUrl } from './fixtures.js';
+
+/**
+ * Fixture modes: 'off' (live), 'record' (live + capture), 'replay' (no network)
+ */
+const FIXTURE_MODES = ['off', 'record', 'replay'];
 
 export class ApiClient {
   /**
-   * @param {string} apiKey - Massive.com API key
+   * @param {string} apiKey - Provider API key / access token
    * @param {object} options - Configuration options
    */
   constructor(apiKey, options = {}) {
+    this.id = 'base';             // Provider ID (see providers/index.js)
+    this.label = 'API';
+    this.tickers = null;          // Fixed symbol set to scan instead of the universe (imported files)
+    this.resumable = true;        // Whether interrupted scans are worth checkpointing
     this.apiKey = apiKey || CONFIG.API_KEY;
     this.baseUrl = options.baseUrl || CONFIG.API.BASE_URL;
-    this.concurrency = options.concurrency || CONFIG.API.CONCURRENCY;
-    this.requestDelay = options.requestDelay || CONFIG.API.REQUEST_DELAY;
-    this.maxRetries = options.maxRetries || CONFIG.API.MAX_RETRIES;
-    this.retryDelay = options.retryDelay || CONFIG.API.RETRY_DELAY;
+    this.plan = options.plan || CONFIG.API.PLAN;
     this.pageLimit = options.pageLimit || CONFIG.API.PAGE_LIMIT;
     
+    // Throttling and retries
+    this.rateLimiter = options.rateLimiter || new RateLimiter(
+      getPlanLimits(this.plan),
+      options.concurrency || CONFIG.API.CONCURRENCY
+    );
+    this.retryPolicy = options.retryPolicy || new RetryPolicy({
+      maxRetries: options.maxRetries,
+      baseDelay: options.retryDelay
+    });
+    
+    // Record/replay fixtures
+    this.fixtureMode = 'off';
+    this.fixtures = null;
+    if (options.fixtureMode) {
+      this.setFixtureMode(options.fixtureMode, options.fixtures);
+    }
+    
     // Request tracking for debugging
     this.requestCount = 0;
     this.lastRequestTime = null;
   }
   
+  /**
+   * Switch to a different API key (and plan limits)
+   * @param {string} apiKey - Provider API key / access token
+   * @param {string} plan - API plan tier from CONFIG.RATE_LIMITS
+   */
+  setApiKey(apiKey, plan = this.plan) {
+    this.apiKey = apiKey;
+    if (plan !== this.plan) {
+      this.plan = plan;
+      this.rateLimiter = new RateLimiter(getPlanLimits(plan), CONFIG.API.CONCURRENCY);
+    }
+  }
+  
+  /**
+   * Switch between live, record and replay modes
+   * @param {string} mode - 'off' | 'record' | 'replay'
+   * @param {FixtureBundle} bundle - Bundle to replay from or record into
+   *   (record mode creates a new bundle if omitted)
+   */
+  setFixtureMode(mode, bundle = null) {
+    if (!FIXTURE_MODES.includes(mode)) {
+      throw new Error(`Unknown fixture mode: ${mode}`);
+    }
+    if (mode === 'replay' && !bundle) {
+      throw new Error('Replay mode requires a fixture bundle');
+    }
+    
+    this.fixtureMode = mode;
+    if (mode === 'record') {
+      this.fixtures = bundle || new FixtureBundle({ baseUrl: this.baseUrl });
+    } else if (mode === 'replay') {
+      this.fixtures = bundle;
+    }
+  }
+  
+  /**
+   * Plain-object description of this provider (key, plan, fixtures) for
+   * re-creating it in another thread with createProviderFromConfig()
+   * @returns {object}
+   */
+  toConfig() {
+    return {
+      id: this.id,
+      apiKey: this.apiKey,
+      plan: this.plan,
+      baseUrl: this.baseUrl,
+      fixtureMode: this.fixtureMode,
+      fixtures: this.fixtures ? this.fixtures.toJSON() : null
+    };
+  }
+  
+  /**
+   * Get the bundle being recorded into or replayed from
+   * @returns {FixtureBundle|null}
+   */
+  getFixtureBundle() {
+    return this.fixtures;
+  }
+  
+  /**
+   * Serve a request from the replay bundle
+   * @param {string} url - Request URL
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object>} Recorded JSON response
+   */
+  async _fetchFromFixture(url, signal = null) {
+    if (signal?.aborted) {
+      throw createAbortError(signal);
+    }
+    
+    this.requestCount++;
+    this.lastRequestTime = new Date();
+    
+    const recorded = this.fixtures.lookup(url);
+    if (recorded == null) {
+      const error = new Error(`No recorded fixture for ${normalizeFixtureUrl(url)}`);
+      error.status = 404;
+      error.url = url;
+      throw error;
+    }
+    
+    // Copy so callers can't mutate the bundle
+    return structuredClone(recorded);
+  }
+  
+  /**
+   * Add credentials to a request
+   * @param {string} url - Request URL
+   * @returns {object} { url, headers } to send
+   */
+  _authorize(url) {
+    throw new Error(`${this.label} provider does not implement _authorize()`);
+  }
+  
   /**
    * Make a single authenticated request
    * @param {string} url - Full URL to fetch
+   * @param {AbortSignal} signal - Optional abort signal
    * @returns {Promise<object>} JSON response
    */
-  async _fetch(url) {
-    // Add API key to URL
-    const separator = url.includes('?') ? '&' : '?';
-    const authUrl = `${url}${separator}apiKey=${this.apiKey}`;
+  async _fetch(url, signal = null) {
+    if (this.fixtureMode === 'replay') {
+      return this._fetchFromFixture(url, signal);
+    }
+    
+    const { url: authUrl, headers } = this._authorize(url);
+    
+    // Wait for the rate limiter before sending
+    await this.rateLimiter.acquire(signal);
     
     this.requestCount++;
     this.lastRequestTime = new Date();
     
-    const response = await fetch(authUrl);
+    const response = await fetch(authUrl, { signal, headers });
+    this.rateLimiter.onResponse(response.status, response.headers);
     
     if (!response.ok) {
       const error = new Error(`API request failed: ${response.status} ${response.statusText}`);
       error.status = response.status;
       error.url = url;
+      error.retryAfterMs = parseRetryAfter(response.headers?.get?.('retry-after'));
       throw error;
     }
     
-    return response.json();
+    const json = await response.json();
+    
+    if (this.fixtureMode === 'record') {
+      this.fixtures.record(url, structuredClone(json));
+    }
+    
+    return json;
   }
   
   /**
    * Make a request with retry logic
    * @param {string} url 
+   * @param {AbortSignal} signal - Optional abort signal
    * @returns {Promise<object>}
    */
-  async _fetchWithRetry(url) {
-    let lastError;
-    
-    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+  async _fetchWithRetry(url, signal = null) {
+    for (let attempt = 0; ; attempt++) {
       try {
-        return await this._fetch(url);
+        return await this._fetch(url, signal);
       } catch (error) {
-        lastError = error;
-        
-        // Don't retry on auth errors
-        if (error.status === 401 || error.status === 403) {
+        // Abort, auth and other client errors are not retried
+        if (!this.retryPolicy.shouldRetry(error, attempt)) {
           throw error;
         }
         
-        // Rate limited - wait longer
+        const delay = Math.round(this.retryPolicy.getDelay(error, attempt));
         if (error.status === 429) {
-          const delay = this.retryDelay * Math.pow(2, attempt + 1);
           console.warn(`Rate limited, waiting ${delay}ms before retry...`);
-          await sleep(delay);
-          continue;
-        }
-        
-        // Server error - retry with backoff
-        if (error.status >= 500) {
-          const delay = this.retryDelay * Math.pow(2, attempt);
-          console.warn(`Server error, retrying in ${delay}ms...`);
-          await sleep(delay);
-          continue;
+        } else {
+          console.warn(`Request failed (${error.status ?? error.message}), retrying in ${delay}ms...`);
         }
-        
-        // Other errors - throw immediately
-        throw error;
-      }
-    }
-    
-    throw lastError;
-  }
-  
-  /**
-   * Fetch all pages of a paginated endpoint
-   * @param {string} initialUrl 
-   * @returns {Promise<object[]>} All results combined
-   */
-  async _fetchAllPages(initialUrl) {
-    const allResults = [];
-    let url = initialUrl;
-    let pageCount = 0;
-    
-    while (url) {
-      pageCount++;
-      const response = await this._fetchWithRetry(url);
-      
-      if (response.results && Array.isArray(response.results)) {
-        allResults.push(...response.results);
-      }
-      
-      // Check for next page
-      url = response.next_url || null;
-      
-      // Add delay between pages to avoid rate limiting
-      if (url) {
-        await sleep(this.requestDelay);
+        await sleep(delay, signal);
       }
     }
-    
-    return allResults;
   }
   
   /**
-   * Build URL for options snapshot endpoint
+   * Get options chain for a single ticker
    * @param {string} ticker - Underlying ticker symbol
    * @param {object} params - Query parameters
-   * @returns {string}
+   *   { contractType, expirationGte, expirationLte, strikeGte, strikeLte }
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object[]>} Raw contracts (see normalizeContract())
    */
-  _buildOptionsUrl(ticker, params = {}) {
-    const url = new URL(`${this.baseUrl}/v3/snapshot/options/${ticker}`);
-    
-    if (params.contractType) {
-      url.searchParams.set('contract_type', params.contractType);
-    }
-    if (params.expirationGte) {
-      url.searchParams.set('expiration_date.gte', params.expirationGte);
-    }
-    if (params.expirationLte) {
-      url.searchParams.set('expiration_date.lte', params.expirationLte);
-    }
-    if (params.strikeGte) {
-      url.searchParams.set('strike_price.gte', params.strikeGte);
-    }
-    if (params.strikeLte) {
-      url.searchParams.set('strike_price.lte', params.strikeLte);
-    }
-    
-    url.searchParams.set('limit', this.pageLimit.toString());
-    
-    return url.toString();
+  async getOptionsChain(ticker, params = {}, signal = null) {
+    throw new Error(`${this.label} provider does not implement getOptionsChain()`);
   }
   
   /**
-   * Get options chain for a single ticker
-   * @param {string} ticker - Underlying ticker symbol
-   * @param {object} params - Query parameters
-   * @returns {Promise<object[]>} Array of option contracts
+   * Convert a raw contract from getOptionsChain() to the normalized shape
+   * @param {object} raw - Raw vendor contract
+   * @param {string} ticker - Underlying ticker it was fetched for
+   * @returns {object} Normalized contract (see module docs)
    */
-  async getOptionsChain(ticker, params = {}) {
-    const url = this._buildOptionsUrl(ticker, params);
-    return this._fetchAllPages(url);
+  normalizeContract(raw, ticker) {
+    throw new Error(`${this.label} provider does not implement normalizeContract()`);
   }
   
   /**
-   * Get options chains for multiple tickers with throttling
+   * Fetch a set of tickers through a worker pool
+   * 
+   * The pool size follows the rate limiter's adaptive concurrency. If the
+   * signal is aborted, in-flight requests are cancelled and pending tickers
+   * are skipped.
    * @param {string[]} tickers - Array of ticker symbols
-   * @param {object} params - Query parameters applied to all
-   * @param {function} onProgress - Progress callback (ticker, index, total)
-   * @returns {Promise<object[]>} Aggregated results from all tickers
+   * @param {object|function} params - Query parameters applied to all, or a
+   *   function (ticker) => params for per-ticker queries (e.g. strike bounds)
+   * @param {function} onTickerDone - Called with { ticker, index, results, error, completed, total },
+   *   where results are normalized contracts and error is a ticker error
+   *   ({ ticker, status, message }) or null
+   * @param {function} onProgress - Progress callback (ticker, index, total, status)
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object>} { processedCount, errors }
    */
-  async getOptionsChainForTickers(tickers, params = {}, onProgress = null) {
-    const allResults = [];
+  async _runTickerPool(tickers, params, onTickerDone, onProgress = null, signal = null) {
     const errors = [];
-    
-    // Process tickers in batches based on concurrency
-    const tickerBatches = chunk(tickers, this.concurrency);
+    let nextIndex = 0;
+    let startedCount = 0;
     let processedCount = 0;
+    let contractCount = 0;
+    let active = 0;
     
-    for (const batch of tickerBatches) {
-      // Process batch concurrently
-      const batchPromises = batch.map(async (ticker) => {
-        try {
+    const fetchTicker = async (index) => {
+      const ticker = tickers[index];
+      let results = [];
+      let tickerError = null;
+      
+      try {
+        if (onProgress) {
+          onProgress(ticker, ++startedCount, tickers.length, 'fetching');
+        }
+        
+        const tickerParams = typeof params === 'function' ? params(ticker) : params;
+        const raw = await this.getOptionsChain(ticker, tickerParams, signal);
+        results = raw.map(contract => this.normalizeContract(contract, ticker));
+      } catch (error) {
+        if (isAbortError(error)) {
           if (onProgress) {
-            onProgress(ticker, processedCount + 1, tickers.length, 'fetching');
+            onProgress(ticker, processedCount, tickers.length, 'aborted');
           }
-          
-          const results = await this.getOptionsChain(ticker, params);
-          
-          // Attach underlying ticker to each result for reference
-          results.forEach(r => {
-            if (!r._ticker) r._ticker = ticker;
-          });
-          
-          return { ticker, results, error: null };
-        } catch (error) {
-          console.error(`Error fetching options for ${ticker}:`, error.message);
-          return { ticker, results: [], error: error.message };
+          return;
         }
-      });
+        console.error(`Error fetching options for ${ticker}:`, error.message);
+        tickerError = {
+          ticker,
+          status: error.status ?? null,
+          message: error.message
+        };
+        errors.push(tickerError);
+      }
       
-      const batchResults = await Promise.all(batchPromises);
+      processedCount++;
+      contractCount += results.length;
+      onTickerDone({
+        ticker,
+        index,
+        results,
+        error: tickerError,
+        completed: processedCount,
+        total: tickers.length
+      });
       
-      // Collect results and errors
-      for (const { ticker, results, error } of batchResults) {
-        if (error) {
-          errors.push({ ticker, error });
-        } else {
-          allResults.push(...results);
+      if (onProgress) {
+        onProgress(ticker, processedCount, tickers.length, 'complete');
+      }
+    };
+    
+    // Worker pool - each worker keeps pulling tickers while under the
+    // limiter's current concurrency
+    const worker = async () => {
+      while (nextIndex < tickers.length && !signal?.aborted) {
+        if (active >= this.rateLimiter.maxConcurrent) {
+          try {
+            await sleep(50, signal);
+          } catch (error) {
+            if (!isAbortError(error)) throw error;
+          }
+          continue;
         }
-        processedCount++;
         
-        if (onProgress) {
-          onProgress(ticker, processedCount, tickers.length, 'complete');
+        active++;
+        try {
+          await fetchTicker(nextIndex++);
+        } finally {
+          active--;
         }
       }
-      
-      // Delay between batches
-      if (tickerBatches.indexOf(batch) < tickerBatches.length - 1) {
-        await sleep(this.requestDelay);
-      }
-    }
+    };
+    
+    const poolSize = Math.min(tickers.length, this.rateLimiter.concurrency.max);
+    await Promise.all(Array.from({ length: poolSize }, worker));
     
     // Log summary
-    console.log(`Fetched ${allResults.length} contracts from ${tickers.length - errors.length}/${tickers.length} tickers`);
+    if (signal?.aborted) {
+      console.log(`Fetch cancelled after ${processedCount}/${tickers.length} tickers`);
+    }
+    console.log(`Fetched ${contractCount} contracts from ${processedCount - errors.length}/${tickers.length} tickers`);
     if (errors.length > 0) {
       console.warn('Errors:', errors);
     }
     
-    return allResults;
+    return { processedCount, errors };
   }
   
   /**
-   * Get ticker details (for SIC code, market cap, etc.)
-   * @param {string} ticker 
-   * @returns {Promise<object>}
+   * Stream options chains for multiple tickers, yielding each ticker as it completes
+   * 
+   * Completion order follows the worker pool, not the input order. The
+   * stream ends early (without throwing) if the signal is aborted.
+   * @param {string[]} tickers - Array of ticker symbols
+   * @param {object|function} params - Query parameters applied to all, or (ticker) => params
+   * @param {function} onProgress - Progress callback (ticker, index, total, status)
+   * @param {AbortSignal} signal - Optional abort signal
+   * @yields {object} { ticker, index, results, error, completed, total }
    */
-  async getTickerDetails(ticker) {
-    const url = `${this.baseUrl}/v3/reference/tickers/${ticker}`;
-    const response = await this._fetchWithRetry(url);
-    return response.results;
+  async *streamOptionsChainForTickers(tickers, params = {}, onProgress = null, signal = null) {
+    const queue = [];
+    let wake = null;
+    let done = false;
+    
+    const notify = () => {
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
+    
+    const pool = this._runTickerPool(tickers, params, (item) => {
+      queue.push(item);
+      notify();
+    }, onProgress, signal).finally(() => {
+      done = true;
+      notify();
+    });
+    pool.catch(() => {});  // Surfaced by the await below
+    
+    while (!done || queue.length > 0) {
+      if (queue.length === 0) {
+        await new Promise(resolve => { wake = resolve; });
+        continue;
+      }
+      yield queue.shift();
+    }
+    
+    await pool;
+  }
+  
+  /**
+   * Get options chains for multiple tickers with throttling
+   * 
+   * If the signal is aborted, in-flight requests are cancelled, pending
+   * tickers are skipped and the results collected so far are returned.
+   * @param {string[]} tickers - Array of ticker symbols
+   * @param {object} params - Query parameters applied to all
+   * @param {function} onProgress - Progress callback (ticker, index, total, status)
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object[]>} Normalized contracts from all tickers (in ticker order)
+   */
+  async getOptionsChainForTickers(tickers, params = {}, onProgress = null, signal = null) {
+    const resultsByIndex = new Array(tickers.length);
+    
+    for await (const { index, results } of this.streamOptionsChainForTickers(tickers, params, onProgress, signal)) {
+      resultsByIndex[index] = results;
+    }
+    
+    return resultsByIndex.filter(Boolean).flat();
+  }
+  
+  /**
+   * Get current prices for a set of underlying stocks
+   * @param {string[]} tickers - Underlying ticker symbols
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<Map>} Ticker -> price (tickers without a price are omitted)
+   */
+  async getUnderlyingPrices(tickers, signal = null) {
+    throw new Error(`${this.label} provider does not implement getUnderlyingPrices()`);
+  }
+  
+  /**
+   * Lightweight authenticated URL used by testConnection()
+   * @returns {string}
+   */
+  _buildTestUrl() {
+    throw new Error(`${this.label} provider does not implement _buildTestUrl()`);
   }
   
   /**
@@ -253,10 +446,14 @@ export class ApiClient {
    * @returns {Promise<boolean>}
    */
   async testConnection() {
+    // Replay needs no network
+    if (this.fixtureMode === 'replay') {
+      return true;
+    }
+    
     try {
       // Use a lightweight endpoint to test
-      const url = `${this.baseUrl}/v3/reference/tickers?limit=1`;
-      await this._fetch(url);
+      await this._fetch(this._buildTestUrl());
       return true;
     } catch (error) {
       console.error('API connection test failed:', error.message);
@@ -270,8 +467,12 @@ export class ApiClient {
    */
   getStats() {
     return {
+      provider: this.id,
       requestCount: this.requestCount,
-      lastRequestTime: this.lastRequestTime
+      lastRequestTime: this.lastRequestTime,
+      rateLimiter: this.rateLimiter.getStats(),
+      fixtureMode: this.fixtureMode,
+      fixtureCount: this.fixtures ? this.fixtures.size : 0
     };
   }
 }
@@ -5,15 +5,27 @@
  * REFACTORED: Table logic extracted to table.js module
  */
 
-import { ApiClient } from './api.js';
-import { OptionsScanner } from './scanner.js';
-import { CONFIG, DEFAULT_UNIVERSE } from './config.js';
-import { formatCurrency, formatPercent, formatDate, formatNumber } from './utils.js';
-import { renderHeatmap, hideChart, resetChartState, resizeChart, initViewTabs, init3dChart, populateIndustryDropdown, setIndustryFilter } from './chart.js';
+import { createProvider, listProviders, FileProvider } from './providers/index.js';
+import { importDataFile, importIvHistoryFile } from './importer.js';
+import { ScanWorkerClient } from './scanclient.js';
+import { CONFIG, DEFAULT_UNIVERSE, getScanDefaults } from './config.js';
+import { formatCurrency, formatPercent, formatDate, formatNumber, escapeHtml } from './utils.js';
+import { renderHeatmap, hideChart, resetChartState, resizeChart, initViewTabs, init3dChart, populateIndustryDropdown, populateTypeFilter, setIndustryFilter } from './chart.js';
 import { cacheManager } from './cache.js';
+import { keyStore } from './keys.js';
 import { renderVolumeChart, refreshVolumeChart, setupVolumeControls, resizeVolumeChart, renderIndustryLegend } from './volume.js';
+import { renderFilterFunnel, isFunnelWipeout } from './funnel.js';
+import { renderScanReport } from './scanreport.js';
+import { FixtureBundle } from './fixtures.js';
+import { isMarketOpen, getNextMarketOpen, getMarketClose, getSessionDate } from './market.js';
+import { renderSpreadTable, setupSpreadTable, showSpreadPlaceholder, exportSpreadsToCSV } from './spreadtable.js';
+import { ScoreProfileStore, createScoreProfile, getDefaultScoreProfile, scoreContracts, scoreProfileToJSON, parseScoreProfile } from './scoring.js';
+import { renderRanking, showRankingPlaceholder, renderWeightInputs } from './rankingtable.js';
+import { detectUnusualActivity } from './unusual.js';
+import { renderUnusualTable, showUnusualPlaceholder } from './unusualtable.js';
 import { 
   renderTable, 
+  appendContracts,
   setupTableControls, 
   exportTableToCSV, 
   getVisibleContracts,
@@ -24,9 +36,47 @@ import {
 // Global state
 let scanner = null;
 let currentResults = null;
-let currentOptionType = 'calls'; // 'calls' or 'puts'
+let currentOptionType = 'calls'; // 'calls', 'puts' or 'both'
+let currentScanMode = 'contracts'; // 'contracts', 'income' or 'leaps'
 let activeTab = 'heatmap';
 let forceRefresh = false; // Skip cache when true
+let scanAbortController = null; // Set while a scan is running
+let streamRenderTimer = null; // Throttles chart updates while a scan streams in
+let pendingKeyResolver = null; // Set while the first-run key dialog is waiting for a key
+let unlockResolver = null; // Set while the passphrase prompt is open
+let liveProvider = null; // API provider to return to while an imported file is being scanned
+let autoRefreshMinutes = 0; // Auto-refresh interval (0 = off)
+let autoRefreshDueAt = null; // When the next auto refresh runs (ms), null while waiting
+let autoRefreshRemaining = null; // Countdown left when the tab was hidden (ms)
+let autoRefreshTimer = null; // One-second countdown tick
+let spreadsStale = true; // Spreads need rebuilding from the current scan
+let spreadRequestId = 0; // Latest spread build (older responses are dropped)
+let spreadInputTimer = null; // Debounces spread filter typing
+let scoreProfile = null; // Composite score weights in use (null until loaded - scanner default)
+let scoreInputTimer = null; // Debounces weight typing
+let unusualStale = true; // Unusual activity needs re-detecting for the current scan
+let unusualHistory = null; // Cached-scan volume history for the current scan ({ date, history })
+let unusualRequestId = 0; // Latest detection (older responses are dropped)
+let unusualInputTimer = null; // Debounces threshold typing
+
+// Minimum interval between heatmap / Vol & OI re-renders during a streaming scan
+const STREAM_RENDER_INTERVAL = 750;
+
+// Auto-refresh interval choices in minutes (0 = off), and the settings key for the choice
+const AUTO_REFRESH_INTERVALS = [0, 5, 10, 15, 30, 60];
+const AUTO_REFRESH_SETTING = 'autoRefreshMinutes';
+
+// Delay after the last spread filter keystroke before rebuilding
+const SPREAD_INPUT_DEBOUNCE = 300;
+
+// Delay after the last weight keystroke before re-scoring
+const SCORE_INPUT_DEBOUNCE = 300;
+
+// Delay after the last unusual activity threshold keystroke before re-detecting
+const UNUSUAL_INPUT_DEBOUNCE = 300;
+
+// Saved composite score weight profiles
+const scoreProfileStore = new ScoreProfileStore(cacheManager);
 
 // Tab configuration - easy to extend with new tabs
 const TAB_CONFIG = [
@@ -47,6 +97,21 @@ const TAB_CONFIG = [
     badge: 'contractsBadge',
     onActivate: null
   },
+  {
+    id: 'spreads',
+    label: 'Spreads',
+    icon: '\u21C5',
+    badge: 'spreadsBadge',
+    onActivate: () => {
+      if (spreadsStale) updateSpreads();
+    }
+  },
+  {
+    id: 'ranking',
+    label: 'Ranking',
+    icon: '\u2605',
+    onActivate: null
+  },
   {
     id: 'volume',
     label: 'Vol & OI',
@@ -59,6 +124,15 @@ const TAB_CONFIG = [
       }
     }
   },
+  {
+    id: 'unusual',
+    label: 'Unusual',
+    icon: '\u26A1',
+    badge: 'unusualBadge',
+    onActivate: () => {
+      if (unusualStale) updateUnusual();
+    }
+  },
   {
     id: 'analysis',
     label: 'Analysis',
@@ -73,27 +147,35 @@ const TAB_CONFIG = [
 export async function init() {
   console.log('Initializing Options Scanner...');
 
-  // Check for API key
-  if (CONFIG.API_KEY === 'YOUR_API_KEY_HERE') {
-    showError('Please set your API key in js/config.js');
-    return;
-  }
-
-  // Initialize cache manager
+  // Initialize cache manager (also holds saved API keys)
   await cacheManager.init();
 
-  // Create API client and scanner
-  const apiClient = new ApiClient(CONFIG.API_KEY);
-  scanner = new OptionsScanner(apiClient, DEFAULT_UNIVERSE);
+  // Key dialogs must work before the first request
+  setupApiKeyModal();
+
+  // Create the default provider and scanner (the key is set once resolved).
+  // Replay from ?fixture=<url> if given (offline demos / reproducing a user's scan)
+  const provider = createProvider();
+  await loadFixtureFromQuery(provider);
+  scanner = new ScanWorkerClient(provider, DEFAULT_UNIVERSE);
+  scanner.setCheckpointStore(cacheManager);
+  scanner.setChainCache(cacheManager);
+  scanner.setIvHistoryStore(cacheManager);
+
+  // Replay needs no key; otherwise use the saved key or ask for one
+  if (scanner.api.fixtureMode !== 'replay') {
+    showProgress({ phase: 'init', message: 'Loading API key...', progress: 0 });
+    useApiKey(await resolveApiKey());
+  }
 
-  // Test API connection
+  // Test API connection - on failure, let the user pick or enter another key
   showProgress({ phase: 'init', message: 'Testing API connection...', progress: 0 });
-  const connected = await apiClient.testConnection();
-
-  if (!connected) {
-    showError('Failed to connect to API. Check your API key and network connection.');
-    return;
+  while (!await scanner.api.testConnection()) {
+    showError(`Failed to connect to ${scanner.api.label}. Check your API key and network connection.`);
+    useApiKey(await openApiKeyModal({ firstRun: true }));
+    showProgress({ phase: 'init', message: 'Testing API connection...', progress: 0 });
   }
+  updateApiKeyInfo();
 
   // Set up event listeners
   setupEventListeners();
@@ -113,6 +195,7 @@ export async function init() {
       await tryLoadFromCache();
       showProgress({ phase: 'ready', message: 'Ready to scan', progress: 100 });
       console.log('Scanner initialized successfully');
+      await offerResumeInterruptedScan();
     }, 50);
   });
 }
@@ -124,19 +207,40 @@ function setupEventListeners() {
   // Scan button
   const scanBtn = document.getElementById('scanBtn');
   if (scanBtn) {
-    scanBtn.addEventListener('click', runScan);
+    scanBtn.addEventListener('click', () => runScan());
+  }
+
+  // Cancel button
+  const cancelScanBtn = document.getElementById('cancelScanBtn');
+  if (cancelScanBtn) {
+    cancelScanBtn.addEventListener('click', cancelScan);
   }
 
-  // Enter key in inputs triggers scan
+  // Enter key in inputs re-filters the last scan when possible, else scans
   const inputs = document.querySelectorAll('.filters-sidebar input');
   inputs.forEach(input => {
     input.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
-        runScan();
+        if (canApplyToLastScan()) {
+          applyToLastScan();
+        } else {
+          runScan();
+        }
       }
     });
+    input.addEventListener('input', updateApplyModeUI);
   });
 
+  // Apply to last scan / fetch fresh buttons
+  const applyLastScanBtn = document.getElementById('applyLastScanBtn');
+  if (applyLastScanBtn) {
+    applyLastScanBtn.addEventListener('click', applyToLastScan);
+  }
+  const fetchFreshBtn = document.getElementById('fetchFreshBtn');
+  if (fetchFreshBtn) {
+    fetchFreshBtn.addEventListener('click', () => runScan());
+  }
+
   // Back to All Industries button
   const backToAllBtn = document.getElementById('backToAllBtn');
   if (backToAllBtn) {
@@ -145,13 +249,20 @@ function setupEventListeners() {
     });
   }
 
-  // Filter toggles (Calls/Puts)
+  // Scan mode (contracts / income screener)
+  const scanModeSelect = document.getElementById('scanMode');
+  if (scanModeSelect) {
+    scanModeSelect.addEventListener('change', () => setScanMode(scanModeSelect.value));
+  }
+
+  // Filter toggles (Calls/Puts/Both)
   const filterToggles = document.querySelectorAll('.filter-toggle');
   filterToggles.forEach(toggle => {
     toggle.addEventListener('click', () => {
       filterToggles.forEach(t => t.classList.remove('active'));
       toggle.classList.add('active');
       currentOptionType = toggle.dataset.type;
+      updateApplyModeUI();
     });
   });
 
@@ -175,6 +286,33 @@ function setupEventListeners() {
   // Set up scan picker modal
   setupScanPickerModal();
 
+  // Set up filter funnel modal
+  setupFunnelModal();
+
+  // Set up scan report modal
+  setupScanReportModal();
+
+  // Set up resume interrupted scan modal
+  setupResumeScanModal();
+
+  // Set up fixture record/replay controls
+  setupFixtureControls();
+
+  // Set up data file import
+  setupDataImport();
+
+  // Set up auto refresh
+  setupAutoRefresh();
+
+  // Set up vertical spread filters and table
+  setupSpreadControls();
+
+  // Set up composite score weights and ranking
+  setupScoring();
+
+  // Set up unusual activity thresholds
+  setupUnusualControls();
+
   // Set up volume controls
   setupVolumeControls(() => {
     if (currentResults?.contracts) {
@@ -476,16 +614,59 @@ function closeSidePanelFn() {
 }
 
 /**
- * Populate form with default values
+ * Populate form with the default values of the current scan mode
  */
 function populateDefaults() {
-  setInputValue('priceMin', CONFIG.DEFAULTS.PRICE_MIN);
-  setInputValue('priceMax', CONFIG.DEFAULTS.PRICE_MAX);
-  setInputValue('expMin', CONFIG.DEFAULTS.EXPIRATION_GTE);
-  setInputValue('deltaMin', CONFIG.DEFAULTS.DELTA_MIN);
-  setInputValue('deltaMax', CONFIG.DEFAULTS.DELTA_MAX);
-  setInputValue('ivMax', CONFIG.DEFAULTS.IV_MAX * 100); // Convert to percentage
-  setInputValue('minOI', CONFIG.DEFAULTS.MIN_OPEN_INTEREST);
+  const defaults = getScanDefaults(currentScanMode);
+  const percent = value => value != null ? value * 100 : ''; // Convert to percentage
+
+  setInputValue('priceMin', defaults.PRICE_MIN);
+  setInputValue('priceMax', defaults.PRICE_MAX ?? '');
+  setInputValue('expMin', defaults.EXPIRATION_GTE);
+  setInputValue('expMax', defaults.EXPIRATION_LTE ?? '');
+  setInputValue('deltaMin', defaults.DELTA_MIN);
+  setInputValue('deltaMax', defaults.DELTA_MAX);
+  setInputValue('otmMin', percent(defaults.OTM_MIN));
+  setInputValue('otmMax', percent(defaults.OTM_MAX));
+  setInputValue('ivMax', defaults.IV_MAX * 100); // Convert to percentage
+  setInputValue('minOI', defaults.MIN_OPEN_INTEREST);
+  setInputValue('minAnnualizedYield', percent(defaults.MIN_ANNUALIZED_YIELD));
+  setInputValue('minLeverage', defaults.MIN_LEVERAGE ?? '');
+  setInputValue('maxImpliedCarry', percent(defaults.MAX_IMPLIED_CARRY));
+}
+
+// Sidebar hint per scan mode
+const SCAN_MODE_HINTS = {
+  contracts: 'Long premium - cheapest contracts first',
+  income: 'Short premium - calls as covered calls, puts as cash-secured puts, ranked by annualized yield',
+  leaps: 'Long-dated contracts in place of stock - highest leverage first'
+};
+
+/**
+ * Switch between the contracts scan, the income (short premium) screener
+ * and the LEAPS (stock replacement) preset
+ * @param {string} mode - 'contracts', 'income' or 'leaps'
+ */
+function setScanMode(mode) {
+  currentScanMode = mode;
+  const income = mode === 'income';
+
+  // Mode-specific filter groups
+  document.querySelectorAll('.filters-sidebar [data-scan-mode]').forEach(el => {
+    el.hidden = el.dataset.scanMode !== mode;
+  });
+
+  const hint = document.getElementById('scanModeHint');
+  if (hint) {
+    hint.textContent = SCAN_MODE_HINTS[mode] ?? '';
+  }
+  const priceHint = document.getElementById('priceFieldHint');
+  if (priceHint) {
+    priceHint.textContent = income ? 'Bid - the premium a seller receives' : 'Last trade price';
+  }
+
+  populateDefaults();
+  updateApplyModeUI();
 }
 
 /**
@@ -551,78 +732,288 @@ function updateUniverseDisplay() {
   }
 }
 
+/**
+ * Build scan params from current form values
+ * @returns {object} Scan parameters for scanner.scan() / scanner.refilter()
+ */
+function buildScanParams() {
+  // Check for test ticker (single ticker mode)
+  const testTicker = getInputValue('testTicker');
+  const tickers = testTicker ? [testTicker.toUpperCase()] : null;
+  const otmMin = getInputValue('otmMin', 'number');
+  const otmMax = getInputValue('otmMax', 'number');
+  const percentInput = id => {
+    const value = getInputValue(id, 'number');
+    return value != null ? value / 100 : null;  // Convert from % to decimal
+  };
+
+  const income = currentScanMode === 'income';
+  const leaps = currentScanMode === 'leaps';
+  const preset = currentScanMode !== 'contracts';
+  const defaults = getScanDefaults(currentScanMode);
+
+  return {
+    mode: currentScanMode,
+    contractType: { calls: 'call', puts: 'put', both: 'both' }[currentOptionType],
+    expirationGte: getInputValue('expMin'),
+    expirationLte: getInputValue('expMax'),
+    priceMin: getInputValue('priceMin', 'number'),
+    priceMax: getInputValue('priceMax', 'number'),
+    // Use 'last' trade price - illiquid options often lack bid/ask quotes; income ranks on the bid
+    priceField: income ? defaults.PRICE_FIELD : 'last',
+    deltaMin: getInputValue('deltaMin', 'number'),
+    deltaMax: getInputValue('deltaMax', 'number'),
+    otmMin: otmMin != null ? otmMin / 100 : null,  // Convert from % to decimal
+    otmMax: otmMax != null ? otmMax / 100 : null,
+    ivMax: (getInputValue('ivMax', 'number') || 100) / 100,  // Convert from % to decimal
+    ivRankMin: percentInput('ivRankMin'),
+    ivRankMax: percentInput('ivRankMax'),
+    ivPercentileMin: percentInput('ivPercentileMin'),
+    ivPercentileMax: percentInput('ivPercentileMax'),
+    minOpenInterest: getInputValue('minOI', 'number'),
+    probItmMin: percentInput('probItmMin'),
+    probItmMax: percentInput('probItmMax'),
+    probTouchMin: percentInput('probTouchMin'),
+    probTouchMax: percentInput('probTouchMax'),
+    breakEvenPctMax: percentInput('breakEvenPctMax'),
+    requiredReturnMax: percentInput('requiredReturnMax'),
+    minAnnualizedYield: income ? percentInput('minAnnualizedYield') ?? 0 : null,
+    minLeverage: leaps ? getInputValue('minLeverage', 'number') : null,
+    maxExtrinsicPerDay: leaps ? getInputValue('maxExtrinsicPerDay', 'number') : null,
+    maxImpliedCarry: leaps ? percentInput('maxImpliedCarry') : null,
+    minReplacementEfficiency: leaps ? percentInput('minReplacementEfficiency') : null,
+    scoreProfile: scoreProfile,
+    sortBy: preset ? defaults.SORT_BY : 'last',  // Cheapest first, or the preset's ranking
+    sortDir: preset ? defaults.SORT_DIR : 'asc',
+    tickers: tickers  // Override universe if test ticker specified
+  };
+}
+
+/**
+ * Whether the current form can be applied to the last scan without a fetch
+ * @returns {boolean}
+ */
+function canApplyToLastScan() {
+  if (!scanner || !scanner.canRefilter()) return false;
+  return !scanner.needsRefetch(buildScanParams());
+}
+
+/**
+ * Update the "Apply to last scan" button state and hint
+ */
+function updateApplyModeUI() {
+  const applyBtn = document.getElementById('applyLastScanBtn');
+  const hint = document.getElementById('applyModeHint');
+  if (!applyBtn || !scanner) return;
+
+  let message;
+  if (!scanner.canRefilter()) {
+    message = 'Run a scan to enable instant re-filtering';
+  } else if (scanner.needsRefetch(buildScanParams())) {
+    message = 'Type, expiration, moneyness, ticker or scan mode changed - fetch required';
+  } else {
+    message = 'Price, delta, IV, OI, probability and break-even apply instantly';
+  }
+
+  applyBtn.disabled = !canApplyToLastScan();
+  if (hint) hint.textContent = message;
+}
+
+/**
+ * Re-apply current form filters to the last scan's contracts (no API call)
+ */
+async function applyToLastScan() {
+  if (!canApplyToLastScan()) {
+    updateApplyModeUI();
+    return;
+  }
+
+  try {
+    const params = buildScanParams();
+    const results = await scanner.refilter(params);
+
+    resetChartState();
+    currentResults = results;
+    displayResults(results);
+
+    showProgress({
+      phase: 'complete',
+      message: `Found ${results.contracts.length} contracts (re-filtered in ${results.stats.scanTime}ms)`,
+      progress: 100
+    });
+    showToast('Filters applied to last scan', 'success');
+    notifyIfFilteredOut(results);
+  } catch (error) {
+    console.error('Refilter error:', error);
+    showError(`Refilter failed: ${error.message}`);
+  }
+}
+
 /**
  * Run the scan with current form values
+ * @param {object|null} resume - Interrupted scan checkpoint to finish instead
+ *   (its saved params and tickers are used, only missing tickers are fetched)
+ * @param {object|null} scanParams - Params to scan with instead of the form
+ *   (auto refresh re-runs the last scan's params)
  */
-async function runScan() {
+async function runScan(resume = null, scanParams = null) {
   if (!scanner) {
     showError('Scanner not initialized');
     return;
   }
 
+  // Ignore if a scan is already running
+  if (scanAbortController) return;
+  scanAbortController = new AbortController();
+  const { signal } = scanAbortController;
+
   // Reset chart state for fresh scan
   resetChartState();
 
-  // Disable scan button
-  const scanBtn = document.getElementById('scanBtn');
-  const scanBtnSpan = scanBtn?.querySelector('span:not(.action-btn-icon)');
-  if (scanBtn) {
-    scanBtn.disabled = true;
-    if (scanBtnSpan) scanBtnSpan.textContent = 'Scanning...';
-  }
+  // Disable scan button, show cancel button
+  setScanBusy(true);
 
   try {
-    // Check for test ticker (single ticker mode)
-    const testTicker = getInputValue('testTicker');
-    const tickers = testTicker ? [testTicker.toUpperCase()] : null;
-
-    // Build params from form
-    const params = {
-      contractType: currentOptionType === 'puts' ? 'put' : 'call',
-      expirationGte: getInputValue('expMin'),
-      expirationLte: getInputValue('expMax'),
-      priceMin: getInputValue('priceMin', 'number'),
-      priceMax: getInputValue('priceMax', 'number'),
-      priceField: 'last',    // Use 'last' trade price - illiquid options often lack bid/ask quotes
-      deltaMin: getInputValue('deltaMin', 'number'),
-      deltaMax: getInputValue('deltaMax', 'number'),
-      ivMax: (getInputValue('ivMax', 'number') || 100) / 100,  // Convert from % to decimal
-      minOpenInterest: getInputValue('minOI', 'number'),
-      sortBy: 'last',        // Sort by last price
-      sortDir: 'asc',
-      tickers: tickers  // Override universe if test ticker specified
-    };
-
-    console.log('Scan params:', params);
-
-    // Run scan
-    const results = await scanner.scan(params, showProgress);
-
-    // Store and display results
+    const params = resume ? resume.params : (scanParams || buildScanParams());
+    const tickers = resume ? resume.tickers : params.tickers;
+
+    console.log(resume ? 'Resuming scan:' : 'Scan params:', params);
+
+    // Start with an empty table; rows are merged in as each ticker completes
+    renderTable([], {
+      sortBy: params.sortBy,
+      sortDir: params.sortDir,
+      clearFilters: true,
+      mode: params.mode || 'contracts'
+    });
+
+    // Run scan, rendering each ticker's contracts as they arrive
+    const streamed = { contracts: [], completed: 0, total: 0 };
+    let results = null;
+    for await (const event of scanner.scanStream(params, showProgress, signal, { resume, forceRefresh })) {
+      if (event.type === 'ticker') {
+        streamed.contracts.push(...event.contracts);
+        streamed.completed = event.completed;
+        streamed.total = event.total;
+        appendContracts(event.contracts);
+        scheduleStreamRender(streamed);
+      } else if (event.type === 'complete') {
+        results = event.result;
+      }
+    }
+    cancelStreamRender();
+
+    // Store and display results (keeping any sort/filters applied mid-scan)
     currentResults = results;
-    displayResults(results);
+    displayResults(results, { keepTableState: true });
+    notifyIfFilteredOut(results);
+    notifyIfTickersFailed(results);
 
     // Save to cache
-    const universe = tickers || scanner.getUniverse().map(u => u.ticker);
-    await cacheManager.saveScan(results, params, universe);
+    const universe = tickers || scanner.api.tickers || scanner.getUniverse().map(u => u.ticker);
+    await cacheManager.saveScan(results, params, universe, { live: isLiveScan() });
     updateCacheUI();
-    showToast('Scan saved to cache', 'success');
+    if (results.stats.partial) {
+      showToast('Scan cancelled - partial results saved', 'warning');
+    } else if (results.stats.resumedTickers > 0) {
+      showToast(`Resumed scan complete (${results.stats.resumedTickers} tickers restored) - saved to cache`, 'success');
+    } else if (results.stats.cachedTickers > 0) {
+      showToast(`Scan saved to cache (${results.stats.cachedTickers} tickers reused cached chains - Force Refresh to refetch)`, 'success');
+    } else {
+      showToast('Scan saved to cache', 'success');
+    }
 
-    // Reset force refresh flag
-    forceRefresh = false;
+    updateApplyModeUI();
 
   } catch (error) {
     console.error('Scan error:', error);
     showError(`Scan failed: ${error.message}`);
   } finally {
-    // Re-enable scan button
-    if (scanBtn) {
-      scanBtn.disabled = false;
-      if (scanBtnSpan) scanBtnSpan.textContent = 'Scan';
+    // Force refresh applies to this scan only, even a failed one
+    forceRefresh = false;
+
+    // Re-enable scan button, hide cancel button
+    cancelStreamRender();
+    scanAbortController = null;
+    setScanBusy(false);
+  }
+}
+
+/**
+ * Whether the scanner fetches live provider data (not an imported file or a
+ * fixture replay) - only live scans add to the volume history
+ * @returns {boolean}
+ */
+function isLiveScan() {
+  return scanner.api.resumable && scanner.api.fixtureMode === 'off';
+}
+
+/**
+ * Toggle the scan/cancel buttons while a scan or retry is running
+ * @param {boolean} busy - Whether a scan is running
+ * @param {string} label - Scan button text while busy
+ */
+function setScanBusy(busy, label = 'Scanning...') {
+  const scanBtn = document.getElementById('scanBtn');
+  const scanBtnSpan = scanBtn?.querySelector('span:not(.action-btn-icon)');
+  const cancelScanBtn = document.getElementById('cancelScanBtn');
+
+  if (scanBtn) {
+    scanBtn.disabled = busy;
+    if (scanBtnSpan) scanBtnSpan.textContent = busy ? label : 'Scan';
+  }
+  if (cancelScanBtn) {
+    cancelScanBtn.hidden = !busy;
+    cancelScanBtn.disabled = false;
+  }
+}
+
+/**
+ * Schedule a throttled re-render of the charts with the contracts streamed so far
+ * @param {object} streamed - { contracts, completed, total } accumulated by runScan
+ */
+function scheduleStreamRender(streamed) {
+  if (streamRenderTimer) return;
+
+  streamRenderTimer = setTimeout(() => {
+    streamRenderTimer = null;
+    const { contracts, completed, total } = streamed;
+
+    if (contracts.length > 0) {
+      renderHeatmap(contracts);
     }
+    renderVolumeChart(contracts);
+    updateDashboardStats(contracts, {
+      tickersScanned: total,
+      tickersCompleted: completed,
+      partial: completed < total
+    });
+  }, STREAM_RENDER_INTERVAL);
+}
+
+/**
+ * Drop any pending streaming re-render (the final results supersede it)
+ */
+function cancelStreamRender() {
+  if (streamRenderTimer) {
+    clearTimeout(streamRenderTimer);
+    streamRenderTimer = null;
   }
 }
 
+/**
+ * Cancel the running scan (partial results are still displayed)
+ */
+function cancelScan() {
+  if (!scanAbortController) return;
+
+  scanAbortController.abort();
+
+  const cancelScanBtn = document.getElementById('cancelScanBtn');
+  if (cancelScanBtn) cancelScanBtn.disabled = true;
+  showProgress({ phase: 'processing', message: 'Cancelling scan...', progress: 100 });
+}
+
 /**
  * Show progress update
  */
@@ -655,6 +1046,9 @@ function showProgress(update) {
     if (update.phase === 'ready' || update.phase === 'complete') {
       scanStatus.classList.add('ready');
       if (statusSpan) statusSpan.textContent = 'Ready';
+    } else if (update.phase === 'cancelled') {
+      scanStatus.classList.add('partial');
+      if (statusSpan) statusSpan.textContent = 'Partial';
     } else if (update.phase === 'error') {
       scanStatus.classList.add('error');
       if (statusSpan) statusSpan.textContent = 'Error';
@@ -680,12 +1074,17 @@ function showError(message) {
 /**
  * Display scan results
  * REFACTORED: Now delegates table rendering to table.js
+ * @param {object} results - Scan results
+ * @param {object} options - { keepTableState } - keep the table's sort and secondary
+ *   filters (rows were streamed in, or existing results were updated)
  */
-function displayResults(results) {
+function displayResults(results, options = {}) {
   const { contracts, stats } = results;
 
   // Render heatmap visualization
   if (contracts.length > 0) {
+    // A new result set starts with calls and puts combined
+    populateTypeFilter(contracts);
     renderHeatmap(contracts);
     // Populate industry filter dropdown for 3D views
     populateIndustryDropdown(contracts);
@@ -696,6 +1095,17 @@ function displayResults(results) {
   // Update tab badge with contract count
   updateTabBadge('contracts', contracts.length);
 
+  // Spreads are rebuilt from the new chains when their tab is shown
+  spreadsStale = true;
+  if (activeTab === 'spreads') updateSpreads();
+
+  updateRanking(results);
+
+  // Unusual activity is re-detected against the cache history when its tab is shown
+  unusualStale = true;
+  unusualHistory = null;
+  if (activeTab === 'unusual') updateUnusual();
+
   // Render volume chart and legend (will show when tab is active)
   renderVolumeChart(contracts);
   renderIndustryLegend(contracts);
@@ -706,22 +1116,35 @@ function displayResults(results) {
     statsEl.innerHTML = `
       Found <strong>${formatNumber(stats.afterFilters)}</strong> contracts
       (from ${formatNumber(stats.totalFetched)} total)
-      across ${stats.tickersScanned} tickers
+      across ${stats.partial ? `${stats.tickersCompleted}/` : ''}${stats.tickersScanned} tickers
       in ${(stats.scanTime / 1000).toFixed(1)}s
+      ${stats.partial ? '(partial - scan cancelled)' : ''}
     `;
   }
 
   // Update dashboard stats
   updateDashboardStats(contracts, stats);
 
+  // Render filter funnel and scan report (shown in modals on demand)
+  renderFilterFunnel(stats.funnel);
+  renderScanReport(results);
+  updateScanReportUI(results);
+
   // =========================================================================
   // REFACTORED: Delegate table rendering to table.js module
   // =========================================================================
-  renderTable(contracts, {
-    sortBy: results.params?.sortBy || 'last',
-    sortDir: results.params?.sortDir || 'asc',
-    clearFilters: true  // Clear secondary filters on new scan
-  });
+  const mode = results.params?.mode || 'contracts';
+  if (options.keepTableState) {
+    // Rows were streamed in or merged - keep the user's sort and secondary filters
+    renderTable(contracts, { clearFilters: false, mode });
+  } else {
+    renderTable(contracts, {
+      sortBy: results.params?.sortBy || 'last',
+      sortDir: results.params?.sortDir || 'asc',
+      clearFilters: true,  // Clear secondary filters on new scan
+      mode
+    });
+  }
 }
 
 /**
@@ -734,7 +1157,11 @@ function updateDashboardStats(contracts, stats) {
   const avgIV = document.getElementById('avgIV');
 
   if (resultCount) resultCount.textContent = formatNumber(contracts.length);
-  if (tickerCount) tickerCount.textContent = stats.tickersScanned || 0;
+  if (tickerCount) {
+    tickerCount.textContent = stats.partial
+      ? `${stats.tickersCompleted}/${stats.tickersScanned}`
+      : stats.tickersScanned || 0;
+  }
 
   // Calculate average IV
   if (avgIV) {
@@ -797,6 +1224,7 @@ function setupSettingsDropdown() {
   const forceRefreshBtn = document.getElementById('forceRefreshBtn');
   const loadPreviousBtn = document.getElementById('loadPreviousBtn');
   const clearCacheBtn = document.getElementById('clearCacheBtn');
+  const manageApiKeysBtn = document.getElementById('manageApiKeysBtn');
 
   if (!settingsBtn || !settingsMenu) return;
 
@@ -807,6 +1235,9 @@ function setupSettingsDropdown() {
     settingsBtn.classList.toggle('active');
     if (settingsMenu.classList.contains('open')) {
       updateCacheUI();
+      updateFixtureUI();
+      updateApiKeyInfo();
+      updateAutoRefreshUI();
     }
   });
 
@@ -837,6 +1268,18 @@ function setupSettingsDropdown() {
     });
   }
 
+  // Data provider select
+  setupProviderSelect();
+
+  // Manage API keys button
+  if (manageApiKeysBtn) {
+    manageApiKeysBtn.addEventListener('click', () => {
+      settingsMenu.classList.remove('open');
+      settingsBtn.classList.remove('active');
+      openApiKeyModal();
+    });
+  }
+
   // Clear cache button
   if (clearCacheBtn) {
     clearCacheBtn.addEventListener('click', async () => {
@@ -851,64 +1294,78 @@ function setupSettingsDropdown() {
   }
 }
 
+// =============================================================================
+// API Keys
+// =============================================================================
+
 /**
- * Set up scan picker modal interactions
+ * Set up the API key and unlock modals
  */
-function setupScanPickerModal() {
-  const modal = document.getElementById('scanPickerModal');
-  const backdrop = document.getElementById('scanPickerBackdrop');
-  const closeBtn = document.getElementById('closeScanPicker');
-  const cancelBtn = document.getElementById('cancelScanPicker');
-  const deleteAllBtn = document.getElementById('deleteAllScans');
-  const listEl = document.getElementById('scanPickerList');
+function setupApiKeyModal() {
+  const modal = document.getElementById('apiKeyModal');
+  const backdrop = document.getElementById('apiKeyBackdrop');
+  const closeBtn = document.getElementById('closeApiKeys');
+  const list = document.getElementById('apiKeyList');
+  const providerSelect = document.getElementById('apiKeyProvider');
+  const planSelect = document.getElementById('apiKeyPlan');
+  const testBtn = document.getElementById('testApiKeyBtn');
+  const saveBtn = document.getElementById('saveApiKeyBtn');
 
   if (!modal) return;
 
-  // Close handlers
+  // Provider options come from the registry; plans follow the provider
+  if (providerSelect) {
+    providerSelect.innerHTML = listProviders()
+      .map(provider => `<option value="${provider.id}">${provider.label}</option>`)
+      .join('');
+    providerSelect.value = CONFIG.API.PROVIDER;
+    providerSelect.addEventListener('change', () => populatePlanSelect(providerSelect.value));
+  }
+  populatePlanSelect(CONFIG.API.PROVIDER);
+
+  // First-run mode cannot be dismissed - the app needs a key to continue
   const closeModal = () => {
+    if (pendingKeyResolver) return;
     modal.classList.remove('open');
   };
 
   if (backdrop) backdrop.addEventListener('click', closeModal);
   if (closeBtn) closeBtn.addEventListener('click', closeModal);
-  if (cancelBtn) cancelBtn.addEventListener('click', closeModal);
 
-  // Delete all button
-  if (deleteAllBtn) {
-    deleteAllBtn.addEventListener('click', async () => {
-      if (confirm('Delete all cached scans?')) {
-        await cacheManager.clearAll();
-        updateCacheUI();
-        closeModal();
-        showToast('All cached scans deleted', 'success');
+  if (testBtn) {
+    testBtn.addEventListener('click', async () => {
+      const key = document.getElementById('apiKeyValue')?.value.trim();
+      if (!key) {
+        setApiKeyStatus('apiKeyStatus', 'Enter an API key to test', 'error');
+        return;
       }
+      testBtn.disabled = true;
+      await testApiKey({ key, provider: providerSelect?.value, plan: planSelect?.value }, 'apiKeyStatus');
+      testBtn.disabled = false;
     });
   }
 
-  // Event delegation for scan list items
-  if (listEl) {
-    listEl.addEventListener('click', async (e) => {
-      const loadBtn = e.target.closest('.scan-picker-load');
-      const deleteBtn = e.target.closest('.scan-picker-delete');
-      const item = e.target.closest('.scan-picker-item');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', async () => {
+      saveBtn.disabled = true;
+      await saveApiKeyFromForm();
+      saveBtn.disabled = false;
+    });
+  }
 
-      if (loadBtn) {
-        e.stopPropagation();
-        const scanId = parseInt(loadBtn.dataset.scanId);
-        await loadScanFromCache(scanId);
-        modal.classList.remove('open');
-      } else if (deleteBtn) {
-        e.stopPropagation();
-        const scanId = parseInt(deleteBtn.dataset.scanId);
-        await cacheManager.deleteScan(scanId);
-        updateCacheUI();
-        openScanPicker(); // Refresh the list
-        showToast('Scan deleted', 'success');
-      } else if (item && !loadBtn && !deleteBtn) {
-        // Click on row to select
-        listEl.querySelectorAll('.scan-picker-item').forEach(i => i.classList.remove('selected'));
-        item.classList.add('selected');
-      }
+  // Saved key actions (use / test / delete)
+  if (list) {
+    list.addEventListener('click', async (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      const id = Number(button.closest('.api-key-item')?.dataset.id);
+      const entry = (await keyStore.list()).find(k => k.id === id);
+      if (!entry) return;
+
+      button.disabled = true;
+      await handleSavedKeyAction(button.dataset.action, entry);
+      button.disabled = false;
     });
   }
 
@@ -918,6 +1375,1462 @@ function setupScanPickerModal() {
       closeModal();
     }
   });
+
+  setupUnlockKeyModal();
+}
+
+/**
+ * Fill the plan select with a provider's rate limit tiers
+ * @param {string} providerId - Provider ID from CONFIG.PROVIDERS
+ */
+function populatePlanSelect(providerId) {
+  const planSelect = document.getElementById('apiKeyPlan');
+  if (!planSelect) return;
+
+  const { plans } = listProviders().find(p => p.id === providerId);
+  planSelect.innerHTML = plans
+    .map(plan => `<option value="${plan}">${plan.charAt(0).toUpperCase() + plan.slice(1)} plan</option>`)
+    .join('');
+  planSelect.value = plans.includes(CONFIG.API.PLAN) ? CONFIG.API.PLAN : plans[0];
+  planSelect.disabled = plans.length < 2;
+}
+
+/**
+ * Set up the passphrase prompt for encrypted keys
+ */
+function setupUnlockKeyModal() {
+  const modal = document.getElementById('unlockKeyModal');
+  const backdrop = document.getElementById('unlockKeyBackdrop');
+  const closeBtn = document.getElementById('closeUnlockKey');
+  const cancelBtn = document.getElementById('cancelUnlockKey');
+  const confirmBtn = document.getElementById('confirmUnlockKey');
+  const input = document.getElementById('unlockPassphrase');
+
+  if (!modal) return;
+
+  const cancel = () => {
+    modal.classList.remove('open');
+    unlockResolver?.(null);
+    unlockResolver = null;
+  };
+
+  const unlock = async () => {
+    if (!unlockResolver || !input) return;
+    confirmBtn.disabled = true;
+    setApiKeyStatus('unlockKeyStatus', 'Unlocking...');
+    try {
+      const key = await keyStore.reveal(modal.entry, input.value);
+      modal.classList.remove('open');
+      unlockResolver(key);
+      unlockResolver = null;
+    } catch (error) {
+      setApiKeyStatus('unlockKeyStatus', error.message, 'error');
+    } finally {
+      confirmBtn.disabled = false;
+    }
+  };
+
+  if (backdrop) backdrop.addEventListener('click', cancel);
+  if (closeBtn) closeBtn.addEventListener('click', cancel);
+  if (cancelBtn) cancelBtn.addEventListener('click', cancel);
+  if (confirmBtn) confirmBtn.addEventListener('click', unlock);
+
+  if (input) {
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') unlock();
+    });
+  }
+
+  // ESC to cancel
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('open')) {
+      cancel();
+    }
+  });
+}
+
+/**
+ * Open the API key modal
+ * @param {Object} options - { firstRun, provider } - first-run mode cannot be
+ *   dismissed and resolves once a key has been saved or picked; provider
+ *   preselects the add form's provider
+ * @returns {Promise<Object>|undefined} - In first-run mode, resolves to { key, provider, plan, label }
+ */
+function openApiKeyModal({ firstRun = false, provider = null } = {}) {
+  const modal = document.getElementById('apiKeyModal');
+  const content = modal?.querySelector('.api-key-modal-content');
+  const intro = document.getElementById('apiKeyIntro');
+  const providerSelect = document.getElementById('apiKeyProvider');
+
+  if (!modal) return;
+
+  if (provider && providerSelect) {
+    providerSelect.value = provider;
+    populatePlanSelect(provider);
+  }
+
+  if (intro) intro.hidden = !firstRun;
+  if (content) content.classList.toggle('first-run', firstRun);
+  setApiKeyStatus('apiKeyStatus', '');
+
+  renderApiKeyList();
+  modal.classList.add('open');
+  document.getElementById('apiKeyValue')?.focus();
+
+  if (firstRun) {
+    return new Promise(resolve => { pendingKeyResolver = resolve; });
+  }
+}
+
+/**
+ * Render saved keys into the modal list
+ */
+async function renderApiKeyList() {
+  const list = document.getElementById('apiKeyList');
+  if (!list) return;
+
+  const keys = await keyStore.list();
+  const providerLabels = Object.fromEntries(listProviders().map(p => [p.id, p.label]));
+
+  if (keys.length === 0) {
+    list.innerHTML = '<div class="api-key-empty">No saved keys yet</div>';
+    return;
+  }
+
+  list.innerHTML = keys.map(entry => `
+    <div class="api-key-item ${entry.active ? 'active' : ''}" data-id="${entry.id}">
+      <div class="api-key-item-info">
+        <span class="api-key-item-label">
+          <i class="ph ${entry.encrypted ? 'ph-lock-key' : 'ph-key'}"></i>
+          ${escapeHtml(entry.label)}
+          ${entry.active ? '<span class="api-key-item-badge">Active</span>' : ''}
+        </span>
+        <span class="api-key-item-meta">${escapeHtml(entry.hint)} · ${providerLabels[entry.provider] || escapeHtml(entry.provider)} · ${escapeHtml(entry.plan)}</span>
+      </div>
+      <div class="api-key-item-actions">
+        ${entry.active ? '' : '<button data-action="use" title="Use this key"><i class="ph ph-check"></i></button>'}
+        <button data-action="test" title="Test this key"><i class="ph ph-plugs-connected"></i></button>
+        <button data-action="delete" title="Delete this key"><i class="ph ph-trash"></i></button>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Use, test or delete a saved key
+ * @param {string} action - 'use' | 'test' | 'delete'
+ * @param {Object} entry - Saved key entry
+ */
+async function handleSavedKeyAction(action, entry) {
+  if (action === 'delete') {
+    if (!confirm(`Delete the saved key "${entry.label}"?`)) return;
+    await keyStore.remove(entry.id);
+    renderApiKeyList();
+    updateApiKeyInfo();
+    showToast(`Deleted key "${entry.label}"`, 'info');
+    return;
+  }
+
+  const key = await unlockApiKey(entry);
+  if (!key) return;
+
+  if (action === 'test') {
+    await testApiKey({ ...entry, key }, 'apiKeyStatus');
+  } else if (action === 'use') {
+    await activateApiKey(entry, key);
+  }
+}
+
+/**
+ * Test a key against its provider without touching the active client
+ * @param {Object} apiKey - { key, provider, plan, label }
+ * @param {string} statusId - Status element ID
+ * @returns {Promise<boolean>} - True if the key works
+ */
+async function testApiKey({ key, provider, plan, label = 'Key' }, statusId) {
+  setApiKeyStatus(statusId, 'Testing...');
+  const ok = await createProvider(provider, key, { plan }).testConnection();
+  setApiKeyStatus(
+    statusId,
+    ok ? `${label} works` : `${label} was rejected or the API is unreachable`,
+    ok ? 'success' : 'error'
+  );
+  return ok;
+}
+
+/**
+ * Test, save and activate the key entered in the form
+ */
+async function saveApiKeyFromForm() {
+  const labelInput = document.getElementById('apiKeyLabel');
+  const keyInput = document.getElementById('apiKeyValue');
+  const passphraseInput = document.getElementById('apiKeyPassphrase');
+  const provider = document.getElementById('apiKeyProvider')?.value || CONFIG.API.PROVIDER;
+  const plan = document.getElementById('apiKeyPlan')?.value || CONFIG.API.PLAN;
+
+  const key = keyInput?.value.trim();
+  if (!key) {
+    setApiKeyStatus('apiKeyStatus', 'Enter an API key to save', 'error');
+    return;
+  }
+
+  // Don't save keys the API rejects
+  if (!await testApiKey({ key, provider, plan }, 'apiKeyStatus')) return;
+
+  const entry = await keyStore.add({
+    label: labelInput?.value.trim(),
+    key,
+    provider,
+    plan,
+    passphrase: passphraseInput?.value || null
+  });
+
+  [labelInput, keyInput, passphraseInput].forEach(input => { if (input) input.value = ''; });
+  await activateApiKey(entry, key);
+}
+
+/**
+ * Get the plain key for a saved entry, prompting for the passphrase if encrypted
+ * @param {Object} entry - Saved key entry
+ * @returns {Promise<string|null>} - Null if the prompt was cancelled
+ */
+function unlockApiKey(entry) {
+  if (!entry.encrypted) return Promise.resolve(entry.key);
+
+  const modal = document.getElementById('unlockKeyModal');
+  const label = document.getElementById('unlockKeyLabel');
+  const input = document.getElementById('unlockPassphrase');
+
+  if (!modal) return Promise.resolve(null);
+
+  // Superseded prompts resolve as cancelled
+  unlockResolver?.(null);
+
+  modal.entry = entry;
+  if (label) label.textContent = entry.label;
+  if (input) input.value = '';
+  setApiKeyStatus('unlockKeyStatus', '');
+
+  modal.classList.add('open');
+  input?.focus();
+
+  return new Promise(resolve => { unlockResolver = resolve; });
+}
+
+/**
+ * Make a saved key the one the scanner uses
+ * @param {Object} entry - Saved key entry
+ * @param {string} key - Plain API key
+ */
+async function activateApiKey(entry, key) {
+  await keyStore.setActive(entry.id);
+
+  const apiKey = { key, provider: entry.provider, plan: entry.plan, label: entry.label };
+
+  if (pendingKeyResolver) {
+    // First run: init() sets up the provider with this key
+    document.getElementById('apiKeyModal')?.classList.remove('open');
+    pendingKeyResolver(apiKey);
+    pendingKeyResolver = null;
+  } else {
+    useApiKey(apiKey);
+    renderApiKeyList();
+    showToast(`Using ${scanner.api.label} key "${entry.label}"`, 'success');
+  }
+
+  updateApiKeyInfo();
+}
+
+/**
+ * Point the scanner at a key, switching provider if the key belongs to another
+ * @param {Object} apiKey - { key, provider, plan }
+ */
+function useApiKey({ key, provider, plan }) {
+  // Picking a key leaves an imported file
+  if (liveProvider) {
+    scanner.setProvider(liveProvider);
+    liveProvider = null;
+    updateImportUI();
+  }
+
+  if (scanner.api.id === provider) {
+    scanner.api.setApiKey(key, plan);
+    scanner.syncProvider();
+  } else {
+    scanner.setProvider(createProvider(provider, key, { plan }));
+    updateFixtureUI();
+  }
+}
+
+/**
+ * Find the key to start with: the active saved key, then the config.js
+ * fallback, then the first-run dialog
+ * @returns {Promise<Object>} - { key, plan, label }
+ */
+async function resolveApiKey() {
+  const active = await keyStore.getActive();
+  if (active) {
+    const key = await unlockApiKey(active);
+    if (key) return { key, provider: active.provider, plan: active.plan, label: active.label };
+  }
+
+  if (CONFIG.API_KEY) {
+    return { key: CONFIG.API_KEY, provider: CONFIG.API.PROVIDER, plan: CONFIG.API.PLAN, label: 'config.js' };
+  }
+
+  return openApiKeyModal({ firstRun: true });
+}
+
+/**
+ * Update the provider select and active key row in the settings menu
+ */
+async function updateApiKeyInfo() {
+  const info = document.getElementById('apiKeyInfo');
+  const providerSelect = document.getElementById('providerSelect');
+
+  if (providerSelect && scanner) {
+    providerSelect.value = (liveProvider || scanner.api).id;
+  }
+  if (!info) return;
+
+  const active = await keyStore.getActive();
+  if (active) {
+    info.textContent = `${active.label} (${active.plan})`;
+  } else {
+    info.textContent = CONFIG.API_KEY ? 'config.js' : 'None';
+  }
+}
+
+/**
+ * Set up the settings menu provider select
+ * Switching uses the newest saved key for that provider, or asks for one.
+ */
+function setupProviderSelect() {
+  const providerSelect = document.getElementById('providerSelect');
+  if (!providerSelect) return;
+
+  providerSelect.innerHTML = listProviders()
+    .map(provider => `<option value="${provider.id}">${provider.label}</option>`)
+    .join('');
+
+  providerSelect.addEventListener('change', async () => {
+    const provider = providerSelect.value;
+    const keys = (await keyStore.list()).filter(k => k.provider === provider);
+    const entry = keys[keys.length - 1];
+
+    // Keep showing the current provider until a key is chosen
+    providerSelect.value = (liveProvider || scanner.api).id;
+
+    if (!entry) {
+      openApiKeyModal({ provider });
+      return;
+    }
+
+    const key = await unlockApiKey(entry);
+    if (key) await activateApiKey(entry, key);
+  });
+}
+
+/**
+ * Set a key modal status line
+ * @param {string} id - Status element ID
+ * @param {string} message
+ * @param {string} type - '' | 'success' | 'error'
+ */
+function setApiKeyStatus(id, message, type = '') {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.textContent = message;
+  el.className = `api-key-status ${type}`.trim();
+}
+
+// =============================================================================
+// Data File Import
+// =============================================================================
+
+/**
+ * Set up the import data file button in the settings menu
+ */
+function setupDataImport() {
+  const importBtn = document.getElementById('importDataBtn');
+  const fileInput = document.getElementById('dataFileInput');
+  const settingsMenu = document.getElementById('settingsMenu');
+  const settingsBtn = document.getElementById('settingsBtn');
+
+  if (!importBtn || !fileInput) return;
+
+  const closeMenu = () => {
+    settingsMenu?.classList.remove('open');
+    settingsBtn?.classList.remove('active');
+  };
+
+  // Toggles: pick a file, or return to the live provider
+  importBtn.addEventListener('click', () => {
+    if (liveProvider) {
+      stopUsingImportedFile();
+      closeMenu();
+    } else {
+      fileInput.click();
+    }
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    closeMenu();
+    await scanDataFile(file);
+  });
+
+  const ivHistoryBtn = document.getElementById('importIvHistoryBtn');
+  const ivHistoryInput = document.getElementById('ivHistoryFileInput');
+  if (ivHistoryBtn && ivHistoryInput) {
+    ivHistoryBtn.addEventListener('click', () => ivHistoryInput.click());
+    ivHistoryInput.addEventListener('change', async () => {
+      const file = ivHistoryInput.files[0];
+      ivHistoryInput.value = '';
+      if (!file) return;
+
+      closeMenu();
+      await importIvHistory(file);
+    });
+  }
+
+  updateImportUI();
+}
+
+/**
+ * Store a historical IV file so IV rank has history before scans accumulate it
+ * @param {File} file - CSV with ticker, date and IV columns
+ */
+async function importIvHistory(file) {
+  if (!cacheManager.isAvailable) {
+    showToast('IV history needs browser storage (IndexedDB), which is unavailable', 'error');
+    return;
+  }
+
+  let imported;
+  try {
+    imported = importIvHistoryFile(await file.text());
+  } catch (error) {
+    console.error('Failed to import IV history:', error);
+    showToast(`Invalid IV history file: ${error.message}`, 'error');
+    return;
+  }
+
+  const stored = await cacheManager.importIvHistory(imported.entries);
+  const tickers = new Set(imported.entries.map(e => e.ticker)).size;
+  const skipped = imported.skipped > 0 ? ` (${formatNumber(imported.skipped)} rows skipped)` : '';
+  showToast(`Imported ${formatNumber(stored)} IV readings for ${tickers} tickers${skipped} - ranks update on the next scan`, 'success');
+}
+
+/**
+ * Import a snapshot file and scan it in place of the live provider
+ * @param {File} file - CSV or JSONL file
+ */
+async function scanDataFile(file) {
+  if (scanAbortController) {
+    showToast('Wait for the current scan to finish', 'warning');
+    return;
+  }
+
+  let imported;
+  try {
+    imported = importDataFile(await file.text(), file.name);
+  } catch (error) {
+    console.error('Failed to import data file:', error);
+    showToast(`Invalid data file: ${error.message}`, 'error');
+    return;
+  }
+
+  const provider = new FileProvider(imported.contracts, file.name);
+  if (!liveProvider) liveProvider = scanner.api;
+  scanner.setProvider(provider);
+  updateImportUI();
+
+  const skipped = imported.skipped > 0 ? ` (${formatNumber(imported.skipped)} rows skipped)` : '';
+  showToast(`Imported ${formatNumber(provider.contractCount)} contracts for ${provider.tickers.length} tickers${skipped}`, 'success');
+
+  await runScan();
+}
+
+/**
+ * Return to the live provider after scanning an imported file
+ */
+function stopUsingImportedFile() {
+  if (!liveProvider) return;
+
+  scanner.setProvider(liveProvider);
+  liveProvider = null;
+  updateImportUI();
+  updateApplyModeUI();
+  showToast(`Using ${scanner.api.label}`, 'success');
+}
+
+/**
+ * Update the import button label
+ */
+function updateImportUI() {
+  const importLabel = document.querySelector('#importDataBtn span');
+  const importHint = document.querySelector('#importDataBtn small');
+
+  if (importLabel) {
+    importLabel.textContent = liveProvider ? 'Stop Using Imported File' : 'Import Data File';
+  }
+  if (importHint) {
+    importHint.textContent = liveProvider
+      ? `Scanning ${scanner.api.label} - return to ${liveProvider.label}`
+      : 'Scan a CSV or JSONL options snapshot';
+  }
+}
+
+// =============================================================================
+// Fixture Record/Replay Functions
+// =============================================================================
+
+/**
+ * Start replay mode from a ?fixture=<url> query param
+ * @param {ApiClient} apiClient
+ */
+async function loadFixtureFromQuery(apiClient) {
+  const fixtureUrl = new URLSearchParams(window.location.search).get('fixture');
+  if (!fixtureUrl) return;
+
+  try {
+    const response = await fetch(fixtureUrl);
+    const bundle = FixtureBundle.fromJSON(await response.json());
+    apiClient.setFixtureMode('replay', bundle);
+    console.log(`Replaying ${bundle.size} responses from ${fixtureUrl}`);
+  } catch (error) {
+    console.error('Failed to load fixture bundle:', error);
+    showError(`Failed to load fixture: ${error.message}`);
+  }
+}
+
+/**
+ * Set up fixture record/replay buttons in the settings menu
+ */
+function setupFixtureControls() {
+  const recordBtn = document.getElementById('recordFixturesBtn');
+  const replayBtn = document.getElementById('replayFixturesBtn');
+  const fileInput = document.getElementById('fixtureFileInput');
+  const settingsMenu = document.getElementById('settingsMenu');
+  const settingsBtn = document.getElementById('settingsBtn');
+
+  const closeMenu = () => {
+    settingsMenu?.classList.remove('open');
+    settingsBtn?.classList.remove('active');
+  };
+
+  // Record toggles: start recording, or stop and download the bundle
+  if (recordBtn) {
+    recordBtn.addEventListener('click', () => {
+      const apiClient = scanner.api;
+      if (apiClient.fixtureMode === 'record') {
+        const bundle = apiClient.getFixtureBundle();
+        bundle.meta.lastScanParams = scanner.lastScanParams;
+        downloadFixtureBundle(bundle);
+        apiClient.setFixtureMode('off');
+        scanner.syncProvider();
+        showToast(`Recording saved (${bundle.size} responses)`, 'success');
+      } else {
+        apiClient.setFixtureMode('record');
+        scanner.syncProvider();
+        showToast('Recording API responses - run a scan', 'info');
+      }
+      updateFixtureUI();
+      closeMenu();
+    });
+  }
+
+  // Replay toggles: pick a fixture file, or return to the live API
+  if (replayBtn && fileInput) {
+    replayBtn.addEventListener('click', () => {
+      if (scanner.api.fixtureMode === 'replay') {
+        scanner.api.setFixtureMode('off');
+        scanner.syncProvider();
+        showToast('Using live API', 'success');
+        updateFixtureUI();
+        closeMenu();
+      } else {
+        fileInput.click();
+      }
+    });
+
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+
+      try {
+        const bundle = FixtureBundle.fromJSON(await file.text());
+        scanner.api.setFixtureMode('replay', bundle);
+        scanner.syncProvider();
+        showToast(`Replaying ${bundle.size} responses from ${file.name}`, 'success');
+      } catch (error) {
+        console.error('Failed to load fixture file:', error);
+        showToast(`Invalid fixture file: ${error.message}`, 'error');
+      }
+      updateFixtureUI();
+      closeMenu();
+    });
+  }
+
+  updateFixtureUI();
+}
+
+/**
+ * Update fixture-related labels in the settings menu
+ */
+function updateFixtureUI() {
+  if (!scanner) return;
+
+  const { fixtureMode, fixtureCount } = scanner.api.getStats();
+  const infoEl = document.getElementById('fixtureModeInfo');
+  const recordLabel = document.querySelector('#recordFixturesBtn span');
+  const replayLabel = document.querySelector('#replayFixturesBtn span');
+
+  if (infoEl) {
+    if (fixtureMode === 'record') {
+      infoEl.textContent = `Recording (${fixtureCount})`;
+    } else if (fixtureMode === 'replay') {
+      infoEl.textContent = `Replay (${fixtureCount})`;
+    } else {
+      infoEl.textContent = 'Live API';
+    }
+  }
+  if (recordLabel) {
+    recordLabel.textContent = fixtureMode === 'record' ? 'Stop & Download Recording' : 'Record Fixtures';
+  }
+  if (replayLabel) {
+    replayLabel.textContent = fixtureMode === 'replay' ? 'Return to Live API' : 'Replay Fixture File';
+  }
+}
+
+/**
+ * Download a fixture bundle as a JSON file
+ * @param {FixtureBundle} bundle
+ */
+function downloadFixtureBundle(bundle) {
+  const json = JSON.stringify(bundle);
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `options-fixtures-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Set up scan picker modal interactions
+ */
+function setupScanPickerModal() {
+  const modal = document.getElementById('scanPickerModal');
+  const backdrop = document.getElementById('scanPickerBackdrop');
+  const closeBtn = document.getElementById('closeScanPicker');
+  const cancelBtn = document.getElementById('cancelScanPicker');
+  const deleteAllBtn = document.getElementById('deleteAllScans');
+  const listEl = document.getElementById('scanPickerList');
+
+  if (!modal) return;
+
+  // Close handlers
+  const closeModal = () => {
+    modal.classList.remove('open');
+  };
+
+  if (backdrop) backdrop.addEventListener('click', closeModal);
+  if (closeBtn) closeBtn.addEventListener('click', closeModal);
+  if (cancelBtn) cancelBtn.addEventListener('click', closeModal);
+
+  // Delete all button
+  if (deleteAllBtn) {
+    deleteAllBtn.addEventListener('click', async () => {
+      if (confirm('Delete all cached scans?')) {
+        await cacheManager.clearAll();
+        updateCacheUI();
+        closeModal();
+        showToast('All cached scans deleted', 'success');
+      }
+    });
+  }
+
+  // Event delegation for scan list items
+  if (listEl) {
+    listEl.addEventListener('click', async (e) => {
+      const loadBtn = e.target.closest('.scan-picker-load');
+      const deleteBtn = e.target.closest('.scan-picker-delete');
+      const item = e.target.closest('.scan-picker-item');
+
+      if (loadBtn) {
+        e.stopPropagation();
+        const scanId = parseInt(loadBtn.dataset.scanId);
+        await loadScanFromCache(scanId);
+        modal.classList.remove('open');
+      } else if (deleteBtn) {
+        e.stopPropagation();
+        const scanId = parseInt(deleteBtn.dataset.scanId);
+        await cacheManager.deleteScan(scanId);
+        updateCacheUI();
+        openScanPicker(); // Refresh the list
+        showToast('Scan deleted', 'success');
+      } else if (item && !loadBtn && !deleteBtn) {
+        // Click on row to select
+        listEl.querySelectorAll('.scan-picker-item').forEach(i => i.classList.remove('selected'));
+        item.classList.add('selected');
+      }
+    });
+  }
+
+  // ESC to close
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('open')) {
+      closeModal();
+    }
+  });
+}
+
+/**
+ * Set up filter funnel modal interactions
+ */
+function setupFunnelModal() {
+  const modal = document.getElementById('funnelModal');
+  const backdrop = document.getElementById('funnelBackdrop');
+  const closeBtn = document.getElementById('closeFunnel');
+  const dismissBtn = document.getElementById('dismissFunnel');
+  const showBtn = document.getElementById('showFunnelBtn');
+
+  if (!modal) return;
+
+  const closeModal = () => {
+    modal.classList.remove('open');
+  };
+
+  if (backdrop) backdrop.addEventListener('click', closeModal);
+  if (closeBtn) closeBtn.addEventListener('click', closeModal);
+  if (dismissBtn) dismissBtn.addEventListener('click', closeModal);
+  if (showBtn) showBtn.addEventListener('click', openFunnel);
+
+  // ESC to close
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('open')) {
+      closeModal();
+    }
+  });
+}
+
+/**
+ * Open the filter funnel modal for the current results
+ */
+function openFunnel() {
+  const modal = document.getElementById('funnelModal');
+  if (!modal) return;
+
+  renderFilterFunnel(currentResults?.stats?.funnel || null);
+  modal.classList.add('open');
+}
+
+/**
+ * Open the funnel when filters removed every fetched contract
+ * @param {object} results - Scan results
+ */
+function notifyIfFilteredOut(results) {
+  if (isFunnelWipeout(results.stats?.funnel)) {
+    showToast('No contracts passed the filters - see Filter Funnel', 'warning');
+    openFunnel();
+  }
+}
+
+// =============================================================================
+// Scan Report
+// =============================================================================
+
+/**
+ * Set up the scan report modal
+ */
+function setupScanReportModal() {
+  const modal = document.getElementById('scanReportModal');
+  const backdrop = document.getElementById('scanReportBackdrop');
+  const closeBtn = document.getElementById('closeScanReport');
+  const dismissBtn = document.getElementById('dismissScanReport');
+  const showBtn = document.getElementById('showScanReportBtn');
+  const retryBtn = document.getElementById('retryFailedBtn');
+
+  if (!modal) return;
+
+  const closeModal = () => {
+    modal.classList.remove('open');
+  };
+
+  if (backdrop) backdrop.addEventListener('click', closeModal);
+  if (closeBtn) closeBtn.addEventListener('click', closeModal);
+  if (dismissBtn) dismissBtn.addEventListener('click', closeModal);
+  if (showBtn) showBtn.addEventListener('click', openScanReport);
+  if (retryBtn) {
+    retryBtn.addEventListener('click', () => {
+      closeModal();
+      retryFailedTickers();
+    });
+  }
+
+  // ESC to close
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('open')) {
+      closeModal();
+    }
+  });
+}
+
+/**
+ * Open the scan report modal for the current results
+ */
+function openScanReport() {
+  const modal = document.getElementById('scanReportModal');
+  if (!modal) return;
+
+  renderScanReport(currentResults);
+  modal.classList.add('open');
+}
+
+/**
+ * Update the report button and retry action for the current results
+ * @param {object|null} results - Scan results
+ */
+function updateScanReportUI(results) {
+  const failedCount = results?.errors?.length || 0;
+  const showBtn = document.getElementById('showScanReportBtn');
+  const label = document.getElementById('scanReportBtnLabel');
+  const retryBtn = document.getElementById('retryFailedBtn');
+
+  if (showBtn) showBtn.classList.toggle('has-errors', failedCount > 0);
+  if (label) label.textContent = failedCount > 0 ? `${failedCount} failed` : 'Report';
+  if (retryBtn) retryBtn.disabled = failedCount === 0 || !scanner?.canRefilter();
+}
+
+/**
+ * Point users at the scan report when some tickers failed to fetch
+ * @param {object} results - Scan results
+ */
+function notifyIfTickersFailed(results) {
+  const failedCount = results.errors?.length || 0;
+  if (failedCount > 0 && !isFunnelWipeout(results.stats?.funnel)) {
+    showToast(`${failedCount} tickers failed to load - see Report`, 'warning');
+  }
+}
+
+/**
+ * Re-fetch failed tickers and merge recovered contracts into the current results
+ */
+async function retryFailedTickers() {
+  if (!scanner || scanAbortController) return;
+  if (!currentResults?.errors?.length) return;
+
+  scanAbortController = new AbortController();
+  const { signal } = scanAbortController;
+  setScanBusy(true, 'Retrying...');
+
+  try {
+    const failedBefore = currentResults.errors.length;
+    const results = await scanner.retryFailedTickers(showProgress, signal);
+    const recovered = failedBefore - results.errors.length;
+
+    currentResults = results;
+    displayResults(results, { keepTableState: true });
+
+    // Save the merged results as a new cached scan
+    const universe = results.params.tickers || scanner.getUniverse().map(u => u.ticker);
+    await cacheManager.saveScan(results, results.params, universe, { live: isLiveScan() });
+    updateCacheUI();
+
+    if (results.errors.length === 0) {
+      showToast(`Recovered all ${recovered} failed tickers`, 'success');
+    } else {
+      showToast(`Recovered ${recovered} of ${failedBefore} tickers - ${results.errors.length} still failing`, 'warning');
+    }
+  } catch (error) {
+    console.error('Retry error:', error);
+    showError(`Retry failed: ${error.message}`);
+  } finally {
+    scanAbortController = null;
+    setScanBusy(false);
+  }
+}
+
+// =============================================================================
+// Vertical Spreads
+// =============================================================================
+
+/**
+ * Set up the spread filter inputs (defaults from CONFIG.SPREAD_DEFAULTS),
+ * the spreads table and its export button
+ */
+function setupSpreadControls() {
+  const defaults = CONFIG.SPREAD_DEFAULTS;
+  const controls = document.getElementById('spreadControls');
+  if (!controls) return;
+
+  controls.querySelectorAll('.spread-strategy input').forEach(checkbox => {
+    checkbox.checked = defaults.STRATEGIES.includes(checkbox.value);
+  });
+  setInputValue('spreadPricing', defaults.PRICING);
+  setInputValue('spreadWidthMin', defaults.WIDTH_MIN);
+  setInputValue('spreadWidthMax', defaults.WIDTH_MAX);
+  setInputValue('spreadDteMin', defaults.DTE_MIN);
+  setInputValue('spreadDteMax', defaults.DTE_MAX);
+  setInputValue('spreadNetMin', defaults.NET_MIN);
+  setInputValue('spreadNetMax', defaults.NET_MAX);
+  setInputValue('spreadMinRewardRisk', defaults.MIN_REWARD_RISK || null);
+  setInputValue('spreadMaxLoss', defaults.MAX_LOSS);
+  setInputValue('spreadMinLegOI', defaults.MIN_LEG_OPEN_INTEREST || null);
+
+  // Checkboxes and the select rebuild at once, typed values after a pause
+  controls.addEventListener('change', () => {
+    clearTimeout(spreadInputTimer);
+    updateSpreads();
+  });
+  controls.addEventListener('input', (e) => {
+    if (e.target.type !== 'number') return;
+    clearTimeout(spreadInputTimer);
+    spreadInputTimer = setTimeout(updateSpreads, SPREAD_INPUT_DEBOUNCE);
+  });
+
+  const exportBtn = document.getElementById('exportSpreadsBtn');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', exportSpreadsToCSV);
+  }
+
+  setupSpreadTable();
+}
+
+/**
+ * Build spread params from the spread filter inputs
+ * @returns {object} Params for scanner.scanSpreads()
+ */
+function buildSpreadParams() {
+  const strategies = [...document.querySelectorAll('#spreadControls .spread-strategy input:checked')]
+    .map(checkbox => checkbox.value);
+
+  return {
+    strategies: strategies,
+    pricing: getInputValue('spreadPricing'),
+    widthMin: getInputValue('spreadWidthMin', 'number'),
+    widthMax: getInputValue('spreadWidthMax', 'number'),
+    dteMin: getInputValue('spreadDteMin', 'number'),
+    dteMax: getInputValue('spreadDteMax', 'number'),
+    netMin: getInputValue('spreadNetMin', 'number'),
+    netMax: getInputValue('spreadNetMax', 'number'),
+    minRewardRisk: getInputValue('spreadMinRewardRisk', 'number'),
+    maxLoss: getInputValue('spreadMaxLoss', 'number'),
+    minLegOpenInterest: getInputValue('spreadMinLegOI', 'number')
+  };
+}
+
+/**
+ * Rebuild the spreads table from the last scan's chains
+ */
+async function updateSpreads() {
+  const requestId = ++spreadRequestId;
+
+  if (!scanner || !scanner.canRefilter()) {
+    showSpreadPlaceholder('Run a scan to build spreads from its chains');
+    updateTabBadge('spreads', 0);
+    return;
+  }
+
+  const params = buildSpreadParams();
+  if (params.strategies.length === 0) {
+    showSpreadPlaceholder('Select at least one strategy');
+    updateTabBadge('spreads', 0);
+    return;
+  }
+
+  try {
+    const { spreads, stats } = await scanner.scanSpreads(params);
+    if (requestId !== spreadRequestId) return;  // A newer build is running
+
+    spreadsStale = false;
+    if (stats.totalBuilt === 0) {
+      showSpreadPlaceholder('No priced strike pairs in the last scan for these strategies and pricing');
+    } else {
+      renderSpreadTable(spreads, { total: stats.afterFilters });
+    }
+    updateTabBadge('spreads', spreads.length);
+  } catch (error) {
+    console.error('Spread scan error:', error);
+    showError(`Spread scan failed: ${error.message}`);
+  }
+}
+
+// =============================================================================
+// Unusual Activity
+// =============================================================================
+
+/**
+ * Set up the unusual activity threshold inputs (defaults from CONFIG.UNUSUAL)
+ */
+function setupUnusualControls() {
+  const defaults = CONFIG.UNUSUAL;
+  const controls = document.getElementById('unusualControls');
+  if (!controls) return;
+
+  setInputValue('unusualMinVolume', defaults.MIN_VOLUME);
+  setInputValue('unusualVolOi', defaults.VOL_OI_MULTIPLE);
+  setInputValue('unusualHistory', defaults.HISTORY_MULTIPLE);
+  setInputValue('unusualMinPremium', defaults.MIN_PREMIUM);
+
+  controls.addEventListener('input', () => {
+    clearTimeout(unusualInputTimer);
+    unusualInputTimer = setTimeout(updateUnusual, UNUSUAL_INPUT_DEBOUNCE);
+  });
+}
+
+/**
+ * Build detector options from the threshold inputs (empty turns a signal off)
+ * @returns {object} Options for detectUnusualActivity()
+ */
+function buildUnusualOptions() {
+  return {
+    minVolume: getInputValue('unusualMinVolume', 'number'),
+    volOiMultiple: getInputValue('unusualVolOi', 'number'),
+    historyMultiple: getInputValue('unusualHistory', 'number'),
+    minPremium: getInputValue('unusualMinPremium', 'number')
+  };
+}
+
+/**
+ * Re-detect unusual activity in the current scan against earlier cached sessions
+ */
+async function updateUnusual() {
+  const requestId = ++unusualRequestId;
+
+  // Unfiltered chains where available - unusual trades rarely pass the price filters
+  const contracts = currentResults?.normalizedContracts || currentResults?.contracts;
+  if (!contracts?.length) {
+    showUnusualPlaceholder('Run a scan to look for unusual activity');
+    updateTabBadge('unusual', 0);
+    return;
+  }
+
+  // History is every session before the one this scan was fetched in
+  const stats = currentResults.stats || {};
+  const date = getSessionDate(new Date(stats.fetchedAt || stats.timestamp || Date.now()));
+  if (unusualHistory?.date !== date) {
+    const history = await cacheManager.getVolumeHistory(date);
+    if (requestId !== unusualRequestId) return;  // A newer detection is running
+    unusualHistory = { date, history };
+  }
+
+  const { history } = unusualHistory;
+  const flagged = detectUnusualActivity(contracts, history, buildUnusualOptions());
+  const sessions = new Set(Object.values(history).flatMap(days => days.map(d => d.date)));
+
+  unusualStale = false;
+  renderUnusualTable(flagged, { scanned: contracts.length, historySessions: sessions.size });
+  updateTabBadge('unusual', flagged.length);
+}
+
+// =============================================================================
+// Composite Score
+// =============================================================================
+
+/**
+ * Set up the weight profile controls and restore the active profile
+ */
+async function setupScoring() {
+  const weights = document.getElementById('scoreWeights');
+  const controls = document.getElementById('rankingControls');
+  if (!weights || !controls) return;
+
+  renderWeightInputs(weights);
+
+  // Typed weights re-score after a pause, profile picks at once
+  controls.addEventListener('input', (e) => {
+    if (e.target.type !== 'number') return;
+    clearTimeout(scoreInputTimer);
+    scoreInputTimer = setTimeout(() => {
+      scoreProfile = readScoreProfileForm();
+      rescoreResults();
+    }, SCORE_INPUT_DEBOUNCE);
+  });
+
+  document.getElementById('scoreProfileSelect')?.addEventListener('change', async (e) => {
+    await scoreProfileStore.setActive(e.target.value);
+    await loadActiveScoreProfile();
+  });
+
+  document.getElementById('saveScoreProfileBtn')?.addEventListener('click', async () => {
+    try {
+      const saved = await scoreProfileStore.save(readScoreProfileForm());
+      await loadActiveScoreProfile();
+      showToast(`Saved score profile "${saved.name}"`, 'success');
+    } catch (error) {
+      showToast(error.message, 'warning');
+    }
+  });
+
+  document.getElementById('deleteScoreProfileBtn')?.addEventListener('click', async () => {
+    const name = document.getElementById('scoreProfileSelect')?.value;
+    if (!name || !confirm(`Delete the score profile "${name}"?`)) return;
+    await scoreProfileStore.remove(name);
+    await loadActiveScoreProfile();
+  });
+
+  // Share: download the weights as JSON; import saves a shared file as a profile
+  document.getElementById('exportScoreProfileBtn')?.addEventListener('click', () => {
+    const profile = readScoreProfileForm();
+    const blob = new Blob([scoreProfileToJSON(profile)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `score-profile-${profile.name.replace(/[^\w-]+/g, '-').toLowerCase()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+
+  const fileInput = document.getElementById('scoreProfileFile');
+  document.getElementById('importScoreProfileBtn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const profile = parseScoreProfile(await file.text());
+      if (profile.name === CONFIG.SCORING.PROFILE_NAME) {
+        profile.name = `${profile.name} (imported)`;
+      }
+      await scoreProfileStore.save(profile);
+      await loadActiveScoreProfile();
+      showToast(`Imported score profile "${profile.name}"`, 'success');
+    } catch (error) {
+      console.error('Score profile import error:', error);
+      showError(`Could not import score profile: ${error.message}`);
+    }
+  });
+
+  await loadActiveScoreProfile();
+}
+
+/**
+ * Load the active saved profile into the form and re-score the results
+ */
+async function loadActiveScoreProfile() {
+  const profiles = await scoreProfileStore.list();
+  const active = profiles.find(p => p.active);
+
+  const select = document.getElementById('scoreProfileSelect');
+  if (select) {
+    select.innerHTML = profiles
+      .map(p => `<option value="${escapeHtml(p.name)}"${p.active ? ' selected' : ''}>${escapeHtml(p.name)}</option>`)
+      .join('');
+  }
+  const deleteBtn = document.getElementById('deleteScoreProfileBtn');
+  if (deleteBtn) deleteBtn.disabled = active.builtIn;
+
+  scoreProfile = createScoreProfile(active);
+  setInputValue('scoreProfileName', active.builtIn ? '' : active.name);
+  setInputValue('scoreTargetDelta', scoreProfile.targetDelta);
+  Object.entries(scoreProfile.weights).forEach(([id, weight]) => {
+    setInputValue(`scoreWeight-${id}`, weight);
+  });
+
+  rescoreResults();
+}
+
+/**
+ * Build a weight profile from the ranking controls
+ * @returns {object}
+ */
+function readScoreProfileForm() {
+  const weights = {};
+  document.querySelectorAll('#scoreWeights input[data-factor]').forEach(input => {
+    weights[input.dataset.factor] = getInputValue(input.id, 'number') ?? 0;
+  });
+
+  return createScoreProfile({
+    name: getInputValue('scoreProfileName') || document.getElementById('scoreProfileSelect')?.value || 'Custom',
+    weights: weights,
+    targetDelta: getInputValue('scoreTargetDelta', 'number') ?? CONFIG.SCORING.TARGET_DELTA
+  });
+}
+
+/**
+ * Re-score the current results with the profile in use (no scan) and
+ * refresh the score column and the ranking
+ */
+function rescoreResults() {
+  if (!currentResults?.contracts || !scoreProfile) return;
+
+  const params = currentResults.params || {};
+  const contracts = scoreContracts(currentResults.contracts, scoreProfile, {
+    priceField: params.priceField || CONFIG.DEFAULTS.PRICE_FIELD
+  });
+  currentResults = { ...currentResults, contracts, params: { ...params, scoreProfile } };
+
+  renderTable(contracts, { clearFilters: false, mode: params.mode || 'contracts' });
+  updateRanking(currentResults);
+}
+
+/**
+ * Render the ranking view
+ * @param {object|null} results - Scan results (scored by the scanner or rescoreResults())
+ */
+function updateRanking(results) {
+  const profile = results?.params?.scoreProfile || scoreProfile || getDefaultScoreProfile();
+  if (!results?.contracts?.length) {
+    showRankingPlaceholder('Run a scan to rank its contracts', profile);
+    return;
+  }
+  renderRanking(results.contracts, profile, {
+    priceField: results.params?.priceField || CONFIG.DEFAULTS.PRICE_FIELD
+  });
+}
+
+// =============================================================================
+// Auto Refresh
+// =============================================================================
+
+/**
+ * Set up the auto-refresh interval picker and restore the saved interval
+ */
+async function setupAutoRefresh() {
+  const select = document.getElementById('autoRefreshSelect');
+  if (!select) return;
+
+  select.innerHTML = AUTO_REFRESH_INTERVALS.map(minutes =>
+    `<option value="${minutes}">${minutes ? `Every ${minutes} min` : 'Off'}</option>`
+  ).join('');
+
+  select.addEventListener('change', () => {
+    setAutoRefresh(Number(select.value));
+    const message = autoRefreshMinutes
+      ? `Auto refresh every ${autoRefreshMinutes} min while the market is open`
+      : 'Auto refresh off';
+    showToast(message, 'info');
+  });
+
+  // Hidden tabs don't refresh; the countdown resumes where it left off
+  document.addEventListener('visibilitychange', () => {
+    if (!autoRefreshMinutes) return;
+    if (document.hidden) {
+      autoRefreshRemaining = autoRefreshDueAt ? Math.max(0, autoRefreshDueAt - Date.now()) : null;
+      stopAutoRefreshTimer();
+    } else {
+      autoRefreshDueAt = autoRefreshRemaining != null ? Date.now() + autoRefreshRemaining : null;
+      autoRefreshRemaining = null;
+      startAutoRefreshTimer();
+    }
+    updateAutoRefreshUI();
+  });
+
+  const minutes = await cacheManager.getSetting(AUTO_REFRESH_SETTING, 0);
+  setAutoRefresh(AUTO_REFRESH_INTERVALS.includes(minutes) ? minutes : 0, { save: false });
+}
+
+/**
+ * Change the auto-refresh interval (0 turns it off)
+ * @param {number} minutes - Interval in minutes
+ * @param {Object} options - { save } - persist to the settings store (default true)
+ */
+function setAutoRefresh(minutes, { save = true } = {}) {
+  autoRefreshMinutes = minutes;
+  autoRefreshDueAt = null;
+  autoRefreshRemaining = null;
+
+  if (save) {
+    cacheManager.saveSetting(AUTO_REFRESH_SETTING, minutes);
+  }
+
+  if (minutes && !document.hidden) {
+    startAutoRefreshTimer();
+  } else {
+    stopAutoRefreshTimer();
+  }
+  updateAutoRefreshUI();
+}
+
+/**
+ * Start the one-second countdown tick
+ */
+function startAutoRefreshTimer() {
+  if (!autoRefreshTimer) {
+    autoRefreshTimer = setInterval(tickAutoRefresh, 1000);
+  }
+  tickAutoRefresh();
+}
+
+/**
+ * Stop the countdown tick
+ */
+function stopAutoRefreshTimer() {
+  clearInterval(autoRefreshTimer);
+  autoRefreshTimer = null;
+}
+
+/**
+ * Why auto refresh is waiting instead of counting down, if it is
+ * @returns {string|null} - Short status, or null when the countdown runs
+ */
+function getAutoRefreshHold() {
+  if (!scanner?.lastScanParams) return 'No scan yet';
+  if (liveProvider || scanner.api.fixtureMode === 'replay') return 'Static data';
+  if (!isMarketOpen()) return 'Market closed';
+  return null;
+}
+
+/**
+ * Countdown tick: start the countdown once a scan has run and the market is
+ * open, and re-run it when it reaches zero (after any scan already running)
+ */
+function tickAutoRefresh() {
+  if (getAutoRefreshHold()) {
+    autoRefreshDueAt = null;
+  } else if (autoRefreshDueAt == null) {
+    autoRefreshDueAt = Date.now() + autoRefreshMinutes * 60 * 1000;
+  } else if (Date.now() >= autoRefreshDueAt && !scanAbortController) {
+    runAutoRefresh();
+  }
+  updateAutoRefreshUI();
+}
+
+/**
+ * Re-run the last scan's params with fresh data (saved like any other scan)
+ */
+function runAutoRefresh() {
+  autoRefreshDueAt = null;
+  forceRefresh = true;  // Chains cached by the last run would be reused otherwise
+  console.log('Auto refresh: re-running scan');
+  runScan(null, { ...scanner.lastScanParams, scoreProfile });  // Weights may have changed since
+}
+
+/**
+ * Update the bottom-bar countdown and the market status in the settings menu
+ */
+function updateAutoRefreshUI() {
+  const statEl = document.getElementById('autoRefreshStat');
+  const countdownEl = document.getElementById('autoRefreshCountdown');
+  const marketEl = document.getElementById('marketStatusInfo');
+  const select = document.getElementById('autoRefreshSelect');
+
+  if (select) select.value = String(autoRefreshMinutes);
+
+  if (marketEl) {
+    const close = getMarketClose();
+    const time = { weekday: 'short', hour: 'numeric', minute: '2-digit' };
+    marketEl.textContent = close
+      ? `Open until ${close.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`
+      : `Closed - opens ${getNextMarketOpen().toLocaleString('en-US', time)}`;
+  }
+
+  if (!statEl || !countdownEl) return;
+  statEl.hidden = !autoRefreshMinutes;
+  if (!autoRefreshMinutes) return;
+
+  const hold = getAutoRefreshHold();
+  let text;
+  if (document.hidden) {
+    text = 'Paused';
+  } else if (hold) {
+    text = hold;
+  } else if (scanAbortController || autoRefreshDueAt == null) {
+    text = 'Waiting';
+  } else {
+    const seconds = Math.max(0, Math.ceil((autoRefreshDueAt - Date.now()) / 1000));
+    text = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  countdownEl.textContent = text;
+  statEl.classList.toggle('held', !!hold);
+  statEl.title = {
+    'Market closed': `Resumes when the market opens (${getNextMarketOpen().toLocaleString()})`,
+    'No scan yet': 'Starts counting down after the first scan'
+  }[hold] ?? `Re-runs the scan every ${autoRefreshMinutes} min while the market is open`;
+}
+
+// =============================================================================
+// Resume Interrupted Scan
+// =============================================================================
+
+let pendingResume = null; // Checkpoint offered in the resume modal
+
+/**
+ * Set up the resume interrupted scan modal
+ */
+function setupResumeScanModal() {
+  const modal = document.getElementById('resumeScanModal');
+  const backdrop = document.getElementById('resumeScanBackdrop');
+  const closeBtn = document.getElementById('closeResumeScan');
+  const discardBtn = document.getElementById('discardResumeScan');
+  const confirmBtn = document.getElementById('confirmResumeScan');
+
+  if (!modal) return;
+
+  // Closing without choosing keeps the checkpoint for next time
+  const closeModal = () => {
+    modal.classList.remove('open');
+    pendingResume = null;
+  };
+
+  if (backdrop) backdrop.addEventListener('click', closeModal);
+  if (closeBtn) closeBtn.addEventListener('click', closeModal);
+
+  if (discardBtn) {
+    discardBtn.addEventListener('click', async () => {
+      closeModal();
+      await cacheManager.clearCheckpoint();
+      showToast('Interrupted scan discarded', 'info');
+    });
+  }
+
+  if (confirmBtn) {
+    confirmBtn.addEventListener('click', () => {
+      const checkpoint = pendingResume;
+      closeModal();
+      if (checkpoint) runScan(checkpoint);
+    });
+  }
+
+  // ESC to close
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('open')) {
+      closeModal();
+    }
+  });
+}
+
+/**
+ * Offer to resume a scan that was interrupted (tab closed, reload, cancelled)
+ */
+async function offerResumeInterruptedScan() {
+  const checkpoint = await cacheManager.getInterruptedScan();
+  if (!checkpoint || checkpoint.completedTickers.length === 0) return;
+
+  const modal = document.getElementById('resumeScanModal');
+  const info = document.getElementById('resumeScanInfo');
+  if (!modal || !info) return;
+
+  const { params, tickers, completedTickers } = checkpoint;
+  const type = { put: 'Puts', both: 'Calls + Puts' }[params.contractType] ?? 'Calls';
+  const remaining = tickers.length - completedTickers.length;
+
+  info.innerHTML = `
+    <div class="resume-scan-summary">
+      <strong>${type}</strong> expiring ${formatDate(params.expirationGte)} - ${formatDate(params.expirationLte)},
+      started ${formatRelativeTime(checkpoint.timestamp)}
+    </div>
+    <div class="resume-scan-progress">
+      <div class="resume-scan-bar" style="width:${(completedTickers.length / tickers.length) * 100}%"></div>
+    </div>
+    <div class="resume-scan-counts">
+      ${formatNumber(completedTickers.length)} of ${formatNumber(tickers.length)} tickers saved ·
+      ${formatNumber(remaining)} left to fetch
+    </div>
+  `;
+
+  pendingResume = checkpoint;
+  modal.classList.add('open');
 }
 
 /**
@@ -936,7 +2849,10 @@ async function tryLoadFromCache() {
 
   // Load the cached data
   currentResults = latestScan.results;
+  scanner.restoreResults(latestScan.results, latestScan.params);
   displayResults(latestScan.results);
+  rescoreResults();  // Ranked with the weights in use now
+  updateApplyModeUI();
 
   // Show appropriate toast
   const timeAgo = formatRelativeTime(latestScan.timestamp);
@@ -976,7 +2892,7 @@ async function updateCacheUI() {
 
   // Update size info
   if (sizeInfoEl) {
-    sizeInfoEl.textContent = `${stats.totalSizeFormatted} (${stats.scanCount} scans)`;
+    sizeInfoEl.textContent = `${stats.totalSizeFormatted} (${stats.scanCount} scans, ${stats.chainCount} chains)`;
   }
 }
 
@@ -1040,7 +2956,10 @@ async function loadScanFromCache(scanId) {
   }
 
   currentResults = scan.results;
+  scanner.restoreResults(scan.results, scan.params);
   displayResults(scan.results);
+  rescoreResults();  // Ranked with the weights in use now
+  updateApplyModeUI();
 
   const timeAgo = formatRelativeTime(scan.timestamp);
   showToast(`Loaded: ${scan.label}`, 'success');
@@ -3,17 +3,28 @@
  * Persists options scan data across page reloads
  */
 
+import { isMarketOpen, getNextMarketOpen, getExchangeDate, getSessionDate } from './market.js';
+
 const DB_NAME = 'OptionsScanner';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 const STORE_SCANS = 'scans';
 const STORE_SETTINGS = 'settings';
+const STORE_CHECKPOINTS = 'checkpoints';
+const STORE_CHAINS = 'chains';
+const STORE_IV_HISTORY = 'ivHistory';
+const STORE_VOLUME_HISTORY = 'volumeHistory';
+
+// Settings key holding the in-progress scan's params and ticker list
+const CHECKPOINT_KEY = 'scanCheckpoint';
 
 // Cache configuration
 const CACHE_CONFIG = {
   maxScans: 10,                    // Keep last 10 scans
   softExpiryHours: 4,              // Show "stale" warning after 4h
   hardExpiryDays: 7,               // Auto-delete after 7 days
-  maxSizeBytes: 50 * 1024 * 1024   // 50MB limit
+  maxSizeBytes: 50 * 1024 * 1024,  // 50MB limit
+  chainTtlMinutes: 15,             // Reuse fetched chains this long while the market is open
+  volumeHistoryDays: 30            // Keep per-session contract volumes this many calendar days
 };
 
 /**
@@ -30,7 +41,7 @@ export class CacheManager {
    * @returns {Promise<boolean>} - Whether initialization succeeded
    */
   async init() {
-    if (!window.indexedDB) {
+    if (!globalThis.indexedDB) {  // No window in the scan worker
       console.warn('IndexedDB not available - caching disabled');
       return false;
     }
@@ -80,6 +91,27 @@ export class CacheManager {
         if (!db.objectStoreNames.contains(STORE_SETTINGS)) {
           db.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
         }
+
+        // Create checkpoints store (per-ticker chains of an in-progress scan)
+        if (!db.objectStoreNames.contains(STORE_CHECKPOINTS)) {
+          db.createObjectStore(STORE_CHECKPOINTS, { keyPath: 'ticker' });
+        }
+
+        // Create chains store (per-ticker chain cache, keyed by ticker + server params)
+        if (!db.objectStoreNames.contains(STORE_CHAINS)) {
+          db.createObjectStore(STORE_CHAINS, { keyPath: 'key' });
+        }
+
+        // Create IV history store (daily ATM IV per underlying, keyed by ticker + date)
+        if (!db.objectStoreNames.contains(STORE_IV_HISTORY)) {
+          const ivStore = db.createObjectStore(STORE_IV_HISTORY, { keyPath: 'key' });
+          ivStore.createIndex('byTicker', 'ticker', { unique: false });
+        }
+
+        // Create volume history store (per-session contract volume / OI, keyed by date)
+        if (!db.objectStoreNames.contains(STORE_VOLUME_HISTORY)) {
+          db.createObjectStore(STORE_VOLUME_HISTORY, { keyPath: 'date' });
+        }
       };
     });
   }
@@ -89,9 +121,12 @@ export class CacheManager {
    * @param {Object} results - Scan results from scanner.scan()
    * @param {Object} params - Scan parameters
    * @param {Array} universe - Tickers that were scanned
+   * @param {Object} options
+   * @param {boolean} options.live - Fetched live from a provider (only live
+   *   scans add to the volume history)
    * @returns {Promise<number>} - ID of saved scan
    */
-  async saveScan(results, params, universe) {
+  async saveScan(results, params, universe, { live = false } = {}) {
     if (!this.isAvailable) {
       console.warn('Cache not available - scan not saved');
       return null;
@@ -100,8 +135,8 @@ export class CacheManager {
     const id = Date.now();
     const timestamp = new Date().toISOString();
 
-    // Calculate approximate size
-    const dataStr = JSON.stringify(results.contracts);
+    // Calculate approximate size (includes unfiltered contracts kept for refiltering)
+    const dataStr = JSON.stringify(results.contracts) + JSON.stringify(results.normalizedContracts || []);
     const size = new Blob([dataStr]).size;
 
     const scanRecord = {
@@ -112,7 +147,9 @@ export class CacheManager {
       universe: universe || [],
       results: {
         contracts: results.contracts,
-        stats: results.stats
+        normalizedContracts: results.normalizedContracts || null,
+        stats: results.stats,  // Includes filter funnel (stats.funnel)
+        errors: results.errors || []
       },
       size
     };
@@ -123,6 +160,9 @@ export class CacheManager {
 
       // Save to IndexedDB
       await this._saveToDB(STORE_SCANS, scanRecord);
+      if (live) {
+        await this._saveVolumeSnapshot(results);
+      }
 
       console.log(`Scan saved to cache: ${scanRecord.label} (${this._formatBytes(size)})`);
       return id;
@@ -215,6 +255,36 @@ export class CacheManager {
     }
   }
 
+  /**
+   * Per-contract daily volume from earlier sessions (unusual activity baseline)
+   * @param {string|null} beforeDate - Only sessions before this exchange date (YYYY-MM-DD)
+   * @returns {Promise<Object>} - { contractTicker: [{ date, volume, openInterest }] } with
+   *   one entry per session - the day's largest reading, as volume accumulates intraday
+   */
+  async getVolumeHistory(beforeDate = null) {
+    if (!this.isAvailable) return {};
+
+    try {
+      // Keyed by date, so the range is read oldest first
+      const range = beforeDate ? IDBKeyRange.upperBound(beforeDate, true) : undefined;
+      const sessions = await this._getAllFromDB(STORE_VOLUME_HISTORY, range);
+      const byContract = {};
+
+      for (const { date, volumes } of sessions) {
+        for (const [contractTicker, { volume, openInterest }] of Object.entries(volumes)) {
+          if (!byContract[contractTicker]) {
+            byContract[contractTicker] = [];
+          }
+          byContract[contractTicker].push({ date, volume, openInterest });
+        }
+      }
+      return byContract;
+    } catch (error) {
+      console.error('Failed to read volume history:', error);
+      return {};
+    }
+  }
+
   /**
    * Clear all cached scans
    * @returns {Promise<boolean>} - Whether clearing succeeded
@@ -224,6 +294,8 @@ export class CacheManager {
 
     try {
       await this._clearStore(STORE_SCANS);
+      await this._clearStore(STORE_CHAINS);
+      await this.clearCheckpoint();
       console.log('All scans cleared from cache');
       return true;
     } catch (error) {
@@ -244,10 +316,12 @@ export class CacheManager {
     try {
       const scans = await this._getAllFromDB(STORE_SCANS);
       const totalSize = scans.reduce((sum, scan) => sum + (scan.size || 0), 0);
+      const chainCount = await this._countStore(STORE_CHAINS);
 
       return {
         available: true,
         scanCount: scans.length,
+        chainCount,
         totalSize,
         totalSizeFormatted: this._formatBytes(totalSize),
         maxScans: CACHE_CONFIG.maxScans,
@@ -261,7 +335,7 @@ export class CacheManager {
   }
 
   /**
-   * Remove expired scans
+   * Remove expired scans and cached chains
    * @returns {Promise<number>} - Number of scans removed
    */
   async pruneExpired() {
@@ -281,6 +355,19 @@ export class CacheManager {
       if (removed > 0) {
         console.log(`Pruned ${removed} expired scans from cache`);
       }
+
+      // Expired chains would never be served again
+      const now = Date.now();
+      const chains = await this._getAllFromDB(STORE_CHAINS);
+      for (const chain of chains) {
+        if (chain.expiresAt <= now) {
+          await this._deleteFromDB(STORE_CHAINS, chain.key);
+        }
+      }
+
+      // Volume sessions older than the baseline window
+      const oldest = getExchangeDate(new Date(now - CACHE_CONFIG.volumeHistoryDays * 24 * 60 * 60 * 1000));
+      await this._deleteFromDB(STORE_VOLUME_HISTORY, IDBKeyRange.upperBound(oldest, true));
       return removed;
     } catch (error) {
       console.error('Failed to prune expired scans:', error);
@@ -321,10 +408,275 @@ export class CacheManager {
     }
   }
 
+  // ============================================================================
+  // Scan checkpoints
+  // ============================================================================
+
+  /**
+   * Start checkpointing a new scan (replaces any previous checkpoint)
+   * @param {Object} params - Complete scan parameters
+   * @param {Array} tickers - Tickers the scan will fetch
+   * @returns {Promise<number|null>} - Checkpoint ID
+   */
+  async beginCheckpoint(params, tickers) {
+    if (!this.isAvailable) return null;
+
+    const id = Date.now();
+
+    try {
+      await this._clearStore(STORE_CHECKPOINTS);
+      await this._saveToDB(STORE_SETTINGS, {
+        key: CHECKPOINT_KEY,
+        value: {
+          id,
+          timestamp: new Date().toISOString(),
+          params: { ...params },
+          tickers: [...tickers]
+        }
+      });
+      return id;
+    } catch (error) {
+      console.error('Failed to start scan checkpoint:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Checkpoint one completed ticker's chain
+   * @param {number} id - Checkpoint ID from beginCheckpoint()
+   * @param {string} ticker - Underlying ticker
+   * @param {Array} results - Provider-normalized contracts for the ticker
+   */
+  async saveTickerCheckpoint(id, ticker, results) {
+    if (!this.isAvailable || id == null) return;
+
+    try {
+      await this._saveToDB(STORE_CHECKPOINTS, { ticker, checkpointId: id, results });
+    } catch (error) {
+      console.error(`Failed to checkpoint ${ticker}:`, error);
+    }
+  }
+
+  /**
+   * Get the interrupted scan checkpoint, if any
+   * @returns {Promise<Object|null>} - { id, timestamp, params, tickers, completedTickers }
+   */
+  async getInterruptedScan() {
+    if (!this.isAvailable) return null;
+
+    try {
+      const record = await this._getFromDB(STORE_SETTINGS, CHECKPOINT_KEY);
+      const checkpoint = record?.value;
+      if (!checkpoint) return null;
+
+      // Chains older than the hard expiry aren't worth resuming
+      if (this._isExpired(checkpoint.timestamp)) {
+        await this.clearCheckpoint();
+        return null;
+      }
+
+      const chains = await this._getAllFromDB(STORE_CHECKPOINTS);
+      const completedTickers = chains
+        .filter(chain => chain.checkpointId === checkpoint.id)
+        .map(chain => chain.ticker);
+
+      return { ...checkpoint, completedTickers };
+    } catch (error) {
+      console.error('Failed to get scan checkpoint:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load the checkpointed chains for a scan
+   * @param {number} id - Checkpoint ID
+   * @returns {Promise<Map>} - Ticker -> provider-normalized contracts
+   */
+  async loadCheckpointChains(id) {
+    const chains = new Map();
+    if (!this.isAvailable) return chains;
+
+    try {
+      const records = await this._getAllFromDB(STORE_CHECKPOINTS);
+      records
+        .filter(record => record.checkpointId === id)
+        .forEach(record => chains.set(record.ticker, record.results));
+    } catch (error) {
+      console.error('Failed to load scan checkpoint:', error);
+    }
+    return chains;
+  }
+
+  /**
+   * Remove the scan checkpoint (scan completed or discarded)
+   */
+  async clearCheckpoint() {
+    if (!this.isAvailable) return;
+
+    try {
+      await this._clearStore(STORE_CHECKPOINTS);
+      await this._deleteFromDB(STORE_SETTINGS, CHECKPOINT_KEY);
+    } catch (error) {
+      console.error('Failed to clear scan checkpoint:', error);
+    }
+  }
+
+  // ============================================================================
+  // Chain cache
+  // ============================================================================
+
+  /**
+   * Get unexpired cached chains
+   * @param {Array} keys - Chain keys (ticker + server params, see OptionsScanner)
+   * @returns {Promise<Map>} - Key -> provider-normalized contracts (hits only)
+   */
+  async getCachedChains(keys) {
+    const chains = new Map();
+    if (!this.isAvailable) return chains;
+
+    try {
+      const now = Date.now();
+      for (const key of keys) {
+        const record = await this._getFromDB(STORE_CHAINS, key);
+        if (record && record.expiresAt > now) {
+          chains.set(key, record.results);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to read chain cache:', error);
+    }
+    return chains;
+  }
+
+  /**
+   * Cache one ticker's freshly fetched chain
+   * @param {string} key - Chain key (ticker + server params)
+   * @param {Array} results - Provider-normalized contracts for the ticker
+   */
+  async saveCachedChain(key, results) {
+    if (!this.isAvailable) return;
+
+    try {
+      await this._saveToDB(STORE_CHAINS, {
+        key,
+        results,
+        fetchedAt: Date.now(),
+        expiresAt: this._chainExpiry().getTime()
+      });
+    } catch (error) {
+      console.error('Failed to cache chain:', error);
+    }
+  }
+
+  // ============================================================================
+  // IV history
+  // ============================================================================
+
+  /**
+   * Record one session's ATM IV per underlying (replaces that day's reading)
+   * @param {string} date - Exchange date (YYYY-MM-DD)
+   * @param {Object} ivs - { ticker: iv } (decimal)
+   * @param {string} source - 'scan' or 'import'
+   */
+  async saveIvSnapshot(date, ivs, source = 'scan') {
+    const entries = Object.entries(ivs).map(([ticker, iv]) => ({ ticker, date, iv }));
+    await this.importIvHistory(entries, source);
+  }
+
+  /**
+   * Store historical IV readings (e.g. an imported CSV)
+   * @param {Array} entries - [{ ticker, date, iv }]
+   * @param {string} source - 'scan' or 'import'
+   * @returns {Promise<number>} - Readings stored
+   */
+  async importIvHistory(entries, source = 'import') {
+    if (!this.isAvailable) return 0;
+
+    try {
+      await this._saveManyToDB(STORE_IV_HISTORY, entries.map(({ ticker, date, iv }) => ({
+        key: `${ticker}|${date}`,
+        ticker,
+        date,
+        iv,
+        source
+      })));
+      return entries.length;
+    } catch (error) {
+      console.error('Failed to save IV history:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Stored IV readings per underlying within a date window
+   * @param {Array} tickers - Underlyings to read
+   * @param {string|null} fromDate - Earliest date (YYYY-MM-DD, inclusive)
+   * @param {string|null} beforeDate - Only readings before this date (YYYY-MM-DD)
+   * @returns {Promise<Object>} - { ticker: [{ date, iv }] } oldest first
+   */
+  async getIvHistory(tickers, fromDate = null, beforeDate = null) {
+    const history = {};
+    if (!this.isAvailable) return history;
+
+    try {
+      for (const ticker of tickers) {
+        const records = await this._getAllByIndex(STORE_IV_HISTORY, 'byTicker', ticker);
+        history[ticker] = records
+          .filter(r => (!fromDate || r.date >= fromDate) && (!beforeDate || r.date < beforeDate))
+          .sort((a, b) => a.date.localeCompare(b.date))
+          .map(({ date, iv }) => ({ date, iv }));
+      }
+    } catch (error) {
+      console.error('Failed to read IV history:', error);
+    }
+    return history;
+  }
+
   // ============================================================================
   // Private helpers
   // ============================================================================
 
+  /**
+   * Fold a saved scan's contract volumes into its session's snapshot, keeping
+   * each contract's largest reading of the day. Keyed by the last trading
+   * session, so weekend or pre-open scans update that session's snapshot
+   * @private
+   * @param {Object} results - Scan results passed to saveScan()
+   */
+  async _saveVolumeSnapshot(results) {
+    try {
+      const date = getSessionDate(new Date(results.stats?.fetchedAt || results.stats?.timestamp || Date.now()));
+      const session = await this._getFromDB(STORE_VOLUME_HISTORY, date) || { date, volumes: {} };
+
+      // Unfiltered contracts were kept - the filtered results are only what passed the filters
+      const contracts = results.normalizedContracts || results.contracts || [];
+      for (const c of contracts) {
+        if (!c.contractTicker || c.volume == null) continue;
+        const day = session.volumes[c.contractTicker];
+        if (!day || c.volume > day.volume) {
+          session.volumes[c.contractTicker] = { volume: c.volume, openInterest: c.openInterest ?? null };
+        }
+      }
+
+      await this._saveToDB(STORE_VOLUME_HISTORY, session);
+    } catch (error) {
+      console.error('Failed to save volume snapshot:', error);
+    }
+  }
+
+  /**
+   * Expiry for a chain fetched now: the TTL while the market is open,
+   * otherwise the next open (quotes don't change while closed)
+   * @private
+   */
+  _chainExpiry() {
+    const now = new Date();
+    if (isMarketOpen(now)) {
+      return new Date(now.getTime() + CACHE_CONFIG.chainTtlMinutes * 60 * 1000);
+    }
+    return getNextMarketOpen(now);
+  }
+
   /**
    * Generate a human-readable label for a scan
    * @private
@@ -335,9 +687,11 @@ export class CacheManager {
       minute: '2-digit',
       hour12: true
     });
-    const type = params.contractType === 'put' ? 'Puts' : 'Calls';
+    const type = { put: 'Puts', both: 'Calls + Puts' }[params.contractType] ?? 'Calls';
     const count = results.contracts?.length || 0;
-    return `${type} · ${count} contracts · ${time}`;
+    const partial = results.stats?.partial ? ' · Partial' : '';
+    const failed = results.errors?.length ? ` · ${results.errors.length} failed` : '';
+    return `${type} · ${count} contracts${partial}${failed} · ${time}`;
   }
 
   /**
@@ -427,11 +781,33 @@ export class CacheManager {
     });
   }
 
-  _getAllFromDB(storeName) {
+  _saveManyToDB(storeName, records) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      records.forEach(record => store.put(record));
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  _getAllByIndex(storeName, indexName, key) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readonly');
+      const store = transaction.objectStore(storeName);
+      const request = store.index(indexName).getAll(key);
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _getAllFromDB(storeName, query = undefined) {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(storeName, 'readonly');
       const store = transaction.objectStore(storeName);
-      const request = store.getAll();
+      const request = store.getAll(query);
 
       request.onsuccess = () => resolve(request.result || []);
       request.onerror = () => reject(request.error);
@@ -449,6 +825,17 @@ export class CacheManager {
     });
   }
 
+  _countStore(storeName) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readonly');
+      const store = transaction.objectStore(storeName);
+      const request = store.count();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   _clearStore(storeName) {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(storeName, 'readwrite');
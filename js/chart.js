@@ -15,8 +15,9 @@ let heatmap3dChart = null;
 let currentContracts = [];      // All contracts from last render
 let contractMap = {};           // Stores contracts by key for drill-down
 let currentView = '2d';         // '2d' | 'bar3d' | 'scatter3d'
-let colorMetric = 'iv';         // 'iv' | 'price' | 'count'
+let colorMetric = 'iv';         // 'iv' | 'price' | 'ivRank' | 'count'
 let selectedIndustry = 'all';   // 'all' or specific industry name
+let selectedType = 'all';       // 'all' | 'call' | 'put' - splits a calls + puts scan
 
 // Industry colors - consistent with volume chart
 const INDUSTRY_COLORS = {
@@ -167,7 +168,7 @@ export function setViewMode(view) {
 
 /**
  * Set the color metric for 3D bar chart
- * @param {string} metric - 'iv' | 'price' | 'count'
+ * @param {string} metric - 'iv' | 'price' | 'ivRank' | 'count'
  */
 export function setColorMetric(metric) {
   colorMetric = metric;
@@ -181,7 +182,7 @@ export function setColorMetric(metric) {
 
 /**
  * Update the 3D bar legend based on selected color metric
- * @param {string} metric - 'iv' | 'price' | 'count'
+ * @param {string} metric - 'iv' | 'price' | 'ivRank' | 'count'
  */
 function updateBarLegend(metric) {
   const legend = document.getElementById('heatmapIvLegend');
@@ -221,6 +222,27 @@ function updateBarLegend(metric) {
       </div>
     `;
     legend.classList.add('visible');
+  } else if (metric === 'ivRank') {
+    legend.innerHTML = `
+      <div class="heatmap-iv-legend-title">Avg IV Rank</div>
+      <div class="heatmap-iv-legend-item">
+        <div class="heatmap-iv-legend-color low"></div>
+        <span class="heatmap-iv-legend-label">&lt; 30 (Low vs history)</span>
+      </div>
+      <div class="heatmap-iv-legend-item">
+        <div class="heatmap-iv-legend-color mid"></div>
+        <span class="heatmap-iv-legend-label">30-70</span>
+      </div>
+      <div class="heatmap-iv-legend-item">
+        <div class="heatmap-iv-legend-color high"></div>
+        <span class="heatmap-iv-legend-label">&gt; 70 (High vs history)</span>
+      </div>
+      <div class="heatmap-iv-legend-item">
+        <div class="heatmap-iv-legend-color none"></div>
+        <span class="heatmap-iv-legend-label">Not enough history</span>
+      </div>
+    `;
+    legend.classList.add('visible');
   } else {
     // Count - hide legend (uniform color)
     legend.classList.remove('visible');
@@ -258,6 +280,57 @@ export function setIndustryFilter(industry) {
   }
 }
 
+/**
+ * Set the contract type shown in all views and re-render
+ * @param {string} type - 'all' (calls and puts combined), 'call' or 'put'
+ */
+export function setTypeFilter(type) {
+  selectedType = type;
+
+  const dropdown = document.getElementById('typeFilter');
+  if (dropdown && dropdown.value !== type) {
+    dropdown.value = type;
+  }
+
+  if (currentContracts.length > 0) {
+    renderCurrentView();
+  }
+}
+
+/**
+ * Populate the contract type dropdown - only shown when the results have
+ * both calls and puts
+ * @param {object[]} contracts - Array of contracts
+ */
+export function populateTypeFilter(contracts) {
+  const control = document.getElementById('typeFilterControl');
+  const dropdown = document.getElementById('typeFilter');
+  if (!control || !dropdown) return;
+
+  const calls = contracts.filter(c => c.type === 'call').length;
+  const puts = contracts.filter(c => c.type === 'put').length;
+
+  dropdown.innerHTML = `
+    <option value="all">Calls + Puts (${contracts.length})</option>
+    <option value="call">Calls (${calls})</option>
+    <option value="put">Puts (${puts})</option>
+  `;
+  control.hidden = calls === 0 || puts === 0;
+
+  // Reset selection to combined when populating (new scan)
+  selectedType = 'all';
+  dropdown.value = 'all';
+}
+
+/**
+ * Contracts of the selected type
+ * @param {object[]} contracts
+ * @returns {object[]}
+ */
+function filterByType(contracts) {
+  return selectedType === 'all' ? contracts : contracts.filter(c => c.type === selectedType);
+}
+
 /**
  * Populate industry dropdown from current contracts
  * @param {object[]} contracts - Array of contracts
@@ -308,6 +381,14 @@ export function initViewTabs() {
     });
   }
 
+  // Contract type dropdown
+  const typeFilter = document.getElementById('typeFilter');
+  if (typeFilter) {
+    typeFilter.addEventListener('change', (e) => {
+      setTypeFilter(e.target.value);
+    });
+  }
+
   // Color metric dropdown
   const colorMetricSelect = document.getElementById('colorMetric');
   if (colorMetricSelect) {
@@ -511,7 +592,7 @@ export function renderHeatmap(contracts) {
     return;
   }
 
-  const hierarchicalData = buildHierarchicalData(contracts);
+  const hierarchicalData = buildHierarchicalData(filterByType(contracts));
   const displayData = buildDisplayData(hierarchicalData, selectedIndustry);
 
   const { yAxisLabels, yAxisMeta, data, maxCount, xAxis } = displayData;
@@ -749,14 +830,16 @@ function build3dBarData(contracts) {
  */
 function calculateCellMetrics(contracts) {
   if (!contracts || contracts.length === 0) {
-    return { count: 0, avgIv: 0, avgPrice: 0, totalOi: 0 };
+    return { count: 0, avgIv: 0, avgPrice: 0, avgIvRank: null, totalOi: 0 };
   }
 
   let totalIv = 0;
   let totalPrice = 0;
+  let totalIvRank = 0;
   let totalOi = 0;
   let ivCount = 0;
   let priceCount = 0;
+  let ivRankCount = 0;
 
   contracts.forEach(c => {
     if (c.iv != null && c.iv > 0) {
@@ -767,6 +850,10 @@ function calculateCellMetrics(contracts) {
       totalPrice += c.last;
       priceCount++;
     }
+    if (c.ivRank != null) {
+      totalIvRank += c.ivRank;
+      ivRankCount++;
+    }
     totalOi += c.openInterest || 0;
   });
 
@@ -774,6 +861,7 @@ function calculateCellMetrics(contracts) {
     count: contracts.length,
     avgIv: ivCount > 0 ? totalIv / ivCount : 0,
     avgPrice: priceCount > 0 ? totalPrice / priceCount : 0,
+    avgIvRank: ivRankCount > 0 ? totalIvRank / ivRankCount : null,  // null without enough IV history
     totalOi
   };
 }
@@ -792,6 +880,12 @@ function getBarColor(metrics, metric) {
     if (price < 0.25) return '#00d4aa';  // Cheap - opportunity
     if (price < 1.00) return '#3b82f6';  // Moderate
     return '#ff4757';                     // Expensive
+  } else if (metric === 'ivRank') {
+    const rank = metrics.avgIvRank;
+    if (rank == null) return '#5a6b7d';  // No IV history yet (muted)
+    if (rank < 0.30) return '#00d4aa';   // Low vs its own history - opportunity
+    if (rank < 0.70) return '#3b82f6';   // Mid
+    return '#ff4757';                     // High vs its own history
   } else {
     // Count - use gradient
     return '#00d4aa';
@@ -823,7 +917,7 @@ function renderBar3D(contracts) {
   }
   heatmap3dChart.resize();
 
-  const barData = build3dBarData(contracts);
+  const barData = build3dBarData(filterByType(contracts));
   const { data, yAxisLabels, yAxisMeta, xAxis } = barData;
 
   // Find max values for scaling
@@ -867,6 +961,7 @@ function renderBar3D(contracts) {
                `Contracts: ${m.count}<br/>` +
                `Avg IV: ${(m.avgIv * 100).toFixed(1)}%<br/>` +
                `Avg Price: $${m.avgPrice.toFixed(2)}<br/>` +
+               (m.avgIvRank != null ? `IV Rank: ${(m.avgIvRank * 100).toFixed(0)}<br/>` : '') +
                `<em style="color:#5a6b7d">${hint}</em>`;
       }
     },
@@ -1039,10 +1134,10 @@ function renderScatter3D(contracts) {
   }
   heatmap3dChart.resize();
 
-  // Filter contracts by selected industry
-  let filteredContracts = contracts;
+  // Filter contracts by selected type and industry
+  let filteredContracts = filterByType(contracts);
   if (selectedIndustry !== 'all') {
-    filteredContracts = contracts.filter(c =>
+    filteredContracts = filteredContracts.filter(c =>
       (c._meta?.industry || 'Other') === selectedIndustry
     );
   }
@@ -1288,6 +1383,7 @@ export function resetChartState() {
   currentView = '2d';
   colorMetric = 'iv';
   selectedIndustry = 'all';
+  selectedType = 'all';
 
   // Reset view UI
   const chartSection = document.getElementById('chartSection');
@@ -1298,11 +1394,15 @@ export function resetChartState() {
     tab.classList.toggle('active', tab.dataset.view === '2d');
   });
 
-  // Reset industry dropdown
+  // Reset industry and type dropdowns
   const industryFilter = document.getElementById('industryFilter');
   if (industryFilter) {
     industryFilter.value = 'all';
   }
+  const typeFilter = document.getElementById('typeFilter');
+  if (typeFilter) {
+    typeFilter.value = 'all';
+  }
 
   // Hide the "Back to All" button
   const controls2d = document.getElementById('heatmap2dControls');
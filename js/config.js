@@ -1,26 +1,62 @@
 /**
  * Configuration for the Energy Options Scanner
  * 
- * IMPORTANT: Replace API_KEY with your actual Massive.com (Polygon.io) API key
+ * API keys are managed in the app (Settings > API Keys) and stored in IndexedDB.
  */
 
+import { getDateInDays } from './utils.js';
+
 export const CONFIG = {
-  // API Key - Replace with your actual key
-  API_KEY: 'Rs2eApMa3yJBr4TvR9m3ZB9WrLGZrhUM',
+  // Optional fallback API key, used only when no key has been saved in the app
+  API_KEY: null,
   
   // API Settings
   API: {
+    PROVIDER: 'polygon',      // Default market-data provider (see PROVIDERS)
     BASE_URL: 'https://api.polygon.io',
-    CONCURRENCY: 2,           // Max parallel requests
-    REQUEST_DELAY: 350,       // ms between request batches
+    PLAN: 'starter',          // API plan tier - selects limits from RATE_LIMITS
+    CONCURRENCY: 2,           // Initial parallel requests (adapts up to plan max)
     MAX_RETRIES: 3,           // Retry attempts on failure
-    RETRY_DELAY: 1000,        // Initial retry delay (doubles each retry)
+    RETRY_DELAY: 1000,        // Base retry delay (exponential with jitter)
+    MAX_RETRY_DELAY: 30000,   // Cap on a single retry delay
     PAGE_LIMIT: 250           // Max results per page (API max)
   },
   
+  // Rate limits per API plan tier (token bucket + concurrency ceiling)
+  RATE_LIMITS: {
+    basic:     { requestsPerSecond: 5 / 60, burst: 5,   maxConcurrency: 1 },   // Free: 5 requests/minute
+    starter:   { requestsPerSecond: 10,     burst: 20,  maxConcurrency: 6 },
+    developer: { requestsPerSecond: 20,     burst: 40,  maxConcurrency: 8 },
+    advanced:  { requestsPerSecond: 50,     burst: 100, maxConcurrency: 12 },
+    tradier:   { requestsPerSecond: 2,      burst: 10,  maxConcurrency: 4 }    // Tradier market data: 120 requests/minute
+  },
+  
+  // Market-data providers (see js/providers/) - each saved API key belongs to one
+  PROVIDERS: {
+    polygon: {
+      LABEL: 'Massive.com (Polygon.io)',
+      BASE_URL: 'https://api.polygon.io',
+      PLANS: ['basic', 'starter', 'developer', 'advanced']
+    },
+    tradier: {
+      LABEL: 'Tradier',
+      BASE_URL: 'https://api.tradier.com/v1',
+      PLANS: ['tradier']
+    }
+  },
+  
+  // Pricing model for IV / Greeks the vendor leaves null (see pricing.js)
+  PRICING: {
+    RISK_FREE_RATE: 0.04,         // Continuously compounded, decimal
+    DEFAULT_DIVIDEND_YIELD: 0,    // For underlyings not listed below
+    DIVIDEND_YIELDS: {            // Annual dividend yield per underlying, decimal
+      // e.g. XOM: 0.035
+    }
+  },
+  
   // Default scan parameters
   DEFAULTS: {
-    CONTRACT_TYPE: 'call',
+    CONTRACT_TYPE: 'call',    // 'call', 'put' or 'both' (one fetch for both sides)
     EXPIRATION_GTE: '2027-01-01',
     EXPIRATION_LTE: null,     // No upper bound by default
     PRICE_MIN: 0.05,
@@ -28,15 +64,125 @@ export const CONFIG = {
     PRICE_FIELD: 'last',      // 'ask', 'bid', 'last', 'mid' - use 'last' as illiquid options often lack quotes
     DELTA_MIN: 0,
     DELTA_MAX: 1.0,
+    OTM_MIN: null,            // Moneyness window as decimal % OTM (0.10 = 10% OTM) -
+    OTM_MAX: null,            // sent to the API as per-ticker strike bounds
     IV_MIN: 0,
     IV_MAX: 1.0,              // 100%
     MIN_OPEN_INTEREST: 0,
     MIN_VOLUME: 0,
     SORT_BY: 'ask',
     SORT_DIR: 'asc'
+  },
+  
+  // Income mode (covered calls / cash-secured puts) - overrides DEFAULTS, see getScanDefaults()
+  INCOME_DEFAULTS: {
+    DTE_MIN: 7,               // Expiration window in days from today
+    DTE_MAX: 60,
+    PRICE_MIN: 0.10,
+    PRICE_MAX: null,
+    PRICE_FIELD: 'bid',       // Premium a seller receives
+    DELTA_MIN: 0.10,
+    DELTA_MAX: 0.40,
+    OTM_MIN: 0,               // Out-of-the-money strikes only
+    OTM_MAX: 0.20,
+    MIN_OPEN_INTEREST: 50,
+    MIN_ANNUALIZED_YIELD: 0.10,
+    SORT_BY: 'annualizedYield',
+    SORT_DIR: 'desc'
+  },
+  
+  // LEAPS mode (long-dated calls as stock replacement) - overrides DEFAULTS, see getScanDefaults()
+  LEAPS_DEFAULTS: {
+    DTE_MIN: 365,             // A year or more to expiration
+    DTE_MAX: null,
+    PRICE_MIN: 0.05,
+    PRICE_MAX: null,          // Leverage, not price, bounds the search
+    DELTA_MIN: 0.10,
+    DELTA_MAX: 1.0,
+    MIN_LEVERAGE: null,
+    MAX_IMPLIED_CARRY: null,  // Time value as annual decimal % of the underlying
+    SORT_BY: 'leverage',
+    SORT_DIR: 'desc'
+  },
+  
+  // Built-in composite score profile (see scoring.js) - weights are relative
+  SCORING: {
+    PROFILE_NAME: 'Balanced',
+    TARGET_DELTA: 0.30,       // deltaProximity ranks |delta| closest to this first
+    WEIGHTS: {
+      lowIv: 1,
+      highOpenInterest: 1,
+      tightSpread: 1,
+      deltaProximity: 1,
+      lowPrice: 1,
+      longDte: 1
+    }
+  },
+  
+  // Default vertical spread parameters (see spreads.js)
+  SPREAD_DEFAULTS: {
+    STRATEGIES: ['bullCall', 'bearCall', 'bearPut', 'bullPut'],
+    PRICING: 'last',          // 'natural' (buy ask / sell bid), 'mid' or 'last' - as PRICE_FIELD, quotes are often missing
+    WIDTH_MIN: null,
+    WIDTH_MAX: null,          // Widest strike distance paired ($)
+    WIDTH_MAX_PCT: 0.10,      // ...and as a share of the underlying price, so wide chains don't pair every strike
+    WIDTH_MAX_STRIKES: 5,     // ...and in strikes, so dense chains don't either
+    DTE_MIN: null,            // Leg expiration window, applied before pairing
+    DTE_MAX: null,
+    NET_MIN: null,            // Net debit / credit per share
+    NET_MAX: null,
+    MIN_REWARD_RISK: 0,
+    MAX_LOSS: null,           // Per share
+    MIN_LEG_OPEN_INTEREST: 0,
+    SORT_BY: 'rewardRisk',
+    SORT_DIR: 'desc',
+    MAX_RESULTS: 5000         // Best spreads by the sort kept after filtering
+  },
+  
+  // IV rank / percentile per underlying (see ivrank.js)
+  IV_RANK: {
+    TARGET_DTE: 30,           // ATM IV is read from the expiration nearest this
+    DTE_TOLERANCE: 14,        // ...if within this many days - otherwise the ticker gets no reading
+    FETCH_ATM_SLICE: true,    // Fetch those ATM strikes (one extra fetch per ticker) when the scan's window misses them
+    LOOKBACK_DAYS: 365,       // Calendar days of history ranked against
+    MIN_HISTORY_DAYS: 10      // Sessions needed before a rank is shown
+  },
+  
+  // Unusual options activity detection (see unusual.js)
+  UNUSUAL: {
+    MIN_VOLUME: 100,          // Contracts traded today
+    VOL_OI_MULTIPLE: 2,       // Volume at least this multiple of open interest
+    HISTORY_MULTIPLE: 5,      // ...or of the contract's average daily volume in cached scans
+    MIN_HISTORY_DAYS: 1,      // Prior sessions needed before the history signal is used
+    MIN_PREMIUM: 10000,       // Volume x price x 100 ($)
+    SIZE_TIERS: [             // Premium traded ($), largest first - smaller is 'Small'
+      { label: 'Whale', minPremium: 1000000 },
+      { label: 'Block', minPremium: 250000 },
+      { label: 'Large', minPremium: 50000 }
+    ]
   }
 };
 
+/**
+ * Default scan parameters for a scan mode
+ * @param {string} mode - 'contracts', 'income' or 'leaps'
+ * @returns {object} CONFIG.DEFAULTS, or in income / LEAPS mode overlaid with
+ *   CONFIG.INCOME_DEFAULTS / CONFIG.LEAPS_DEFAULTS (their DTE window as
+ *   expiration dates)
+ */
+export function getScanDefaults(mode = 'contracts') {
+  const overrides = { income: CONFIG.INCOME_DEFAULTS, leaps: CONFIG.LEAPS_DEFAULTS }[mode];
+  if (!overrides) return CONFIG.DEFAULTS;
+
+  const { DTE_MIN, DTE_MAX, ...preset } = overrides;
+  return {
+    ...CONFIG.DEFAULTS,
+    ...preset,
+    EXPIRATION_GTE: getDateInDays(DTE_MIN),
+    EXPIRATION_LTE: DTE_MAX != null ? getDateInDays(DTE_MAX) : null
+  };
+}
+
 /**
  * Default Energy Sector Universe
  * Source: Finviz Energy sector, filtered by options volume
@@ -5,6 +5,8 @@
  * This allows composable, reusable filters.
  */
 
+import { getOtmPercent } from './utils.js';
+
 /**
  * Filter by price range
  * @param {number} min - Minimum price
@@ -160,6 +162,167 @@ export function moneyness(allowed) {
   return (contract) => allowed.includes(contract.moneyness);
 }
 
+/**
+ * Filter by % out-of-the-money window
+ * Client-side counterpart of the server-side strike bounds
+ * @param {number|null} min - Min % OTM as decimal (negative = ITM)
+ * @param {number|null} max - Max % OTM as decimal
+ * @returns {function}
+ */
+export function otmRange(min, max) {
+  return (contract) => {
+    const otm = getOtmPercent(contract.strike, contract.underlyingPrice, contract.type);
+    if (otm == null) return true; // Don't exclude if underlying price is missing
+    if (min != null && otm < min) return false;
+    if (max != null && otm > max) return false;
+    return true;
+  };
+}
+
+/**
+ * Filter by the underlying's IV rank (ATM IV between its history's low and high)
+ * @param {number|null} min - Minimum rank (decimal)
+ * @param {number|null} max - Maximum rank (decimal)
+ * @returns {function}
+ */
+export function ivRankRange(min, max) {
+  return (contract) => {
+    if (contract.ivRank == null) return true; // Don't exclude if there's too little history
+    if (min != null && contract.ivRank < min) return false;
+    if (max != null && contract.ivRank > max) return false;
+    return true;
+  };
+}
+
+/**
+ * Filter by the underlying's IV percentile (share of earlier sessions with lower IV)
+ * @param {number|null} min - Minimum percentile (decimal)
+ * @param {number|null} max - Maximum percentile (decimal)
+ * @returns {function}
+ */
+export function ivPercentileRange(min, max) {
+  return (contract) => {
+    if (contract.ivPercentile == null) return true; // Don't exclude if there's too little history
+    if (min != null && contract.ivPercentile < min) return false;
+    if (max != null && contract.ivPercentile > max) return false;
+    return true;
+  };
+}
+
+/**
+ * Filter by probability of finishing in the money
+ * @param {number|null} min - Minimum probability (decimal)
+ * @param {number|null} max - Maximum probability (decimal)
+ * @returns {function}
+ */
+export function probItmRange(min, max) {
+  return (contract) => {
+    if (contract.probItm == null) return true; // Don't exclude if IV is missing
+    if (min != null && contract.probItm < min) return false;
+    if (max != null && contract.probItm > max) return false;
+    return true;
+  };
+}
+
+/**
+ * Filter by probability of touching the strike before expiration
+ * @param {number|null} min - Minimum probability (decimal)
+ * @param {number|null} max - Maximum probability (decimal)
+ * @returns {function}
+ */
+export function probTouchRange(min, max) {
+  return (contract) => {
+    if (contract.probTouch == null) return true; // Don't exclude if IV is missing
+    if (min != null && contract.probTouch < min) return false;
+    if (max != null && contract.probTouch > max) return false;
+    return true;
+  };
+}
+
+/**
+ * Filter by maximum distance from the underlying to break-even
+ * @param {number} max - Maximum distance as decimal % of the underlying (either direction)
+ * @returns {function}
+ */
+export function maxBreakEvenDistance(max) {
+  return (contract) => {
+    if (contract.breakEvenPct == null) return true;
+    return Math.abs(contract.breakEvenPct) <= max;
+  };
+}
+
+/**
+ * Filter by maximum annualized underlying move needed to break even
+ * @param {number} max - Maximum annualized return as decimal (either direction)
+ * @returns {function}
+ */
+export function maxRequiredReturn(max) {
+  return (contract) => {
+    if (contract.requiredReturn == null) return true;
+    return Math.abs(contract.requiredReturn) <= max;
+  };
+}
+
+/**
+ * Filter by minimum annualized premium yield (income mode)
+ * @param {number} min - Minimum annualized yield as decimal (0.10 = 10%)
+ * @returns {function}
+ */
+export function minAnnualizedYield(min) {
+  return (contract) => {
+    if (contract.annualizedYield == null) return true;
+    return contract.annualizedYield >= min;
+  };
+}
+
+/**
+ * Filter by minimum leverage (LEAPS)
+ * @param {number} min - Minimum |delta| x underlying / price
+ * @returns {function}
+ */
+export function minLeverage(min) {
+  return (contract) => {
+    if (contract.leverage == null) return true; // Don't exclude if delta is missing
+    return contract.leverage >= min;
+  };
+}
+
+/**
+ * Filter by maximum time value paid per day (LEAPS)
+ * @param {number} max - Maximum extrinsic value per day of DTE ($ per share)
+ * @returns {function}
+ */
+export function maxExtrinsicPerDay(max) {
+  return (contract) => {
+    if (contract.extrinsicPerDay == null) return true;
+    return contract.extrinsicPerDay <= max;
+  };
+}
+
+/**
+ * Filter by maximum implied cost of carry (LEAPS)
+ * @param {number} max - Maximum extrinsic value as annual decimal % of the underlying
+ * @returns {function}
+ */
+export function maxImpliedCarry(max) {
+  return (contract) => {
+    if (contract.impliedCarry == null) return true;
+    return contract.impliedCarry <= max;
+  };
+}
+
+/**
+ * Filter by minimum stock-replacement efficiency (LEAPS)
+ * @param {number} min - Minimum |delta| x intrinsic share of price (0-1)
+ * @returns {function}
+ */
+export function minReplacementEfficiency(min) {
+  return (contract) => {
+    if (contract.replacementEfficiency == null) return true;
+    return contract.replacementEfficiency >= min;
+  };
+}
+
 /**
  * Filter by industry (from universe metadata)
  * @param {string[]} industries - Array of allowed industries
@@ -276,6 +439,14 @@ export function createFilterChain(params) {
     addFilter(`ivRange(${min}-${max})`, ivRange(min, max));
   }
 
+  // IV rank filters (per underlying, from stored IV history)
+  if (params.ivRankMin != null || params.ivRankMax != null) {
+    addFilter(`ivRankRange(${params.ivRankMin ?? '-'}-${params.ivRankMax ?? '-'})`, ivRankRange(params.ivRankMin, params.ivRankMax));
+  }
+  if (params.ivPercentileMin != null || params.ivPercentileMax != null) {
+    addFilter(`ivPercentileRange(${params.ivPercentileMin ?? '-'}-${params.ivPercentileMax ?? '-'})`, ivPercentileRange(params.ivPercentileMin, params.ivPercentileMax));
+  }
+
   // Delta filter
   if (params.deltaMin != null || params.deltaMax != null) {
     const min = params.deltaMin ?? 0;
@@ -283,6 +454,46 @@ export function createFilterChain(params) {
     addFilter(`deltaRange(${min}-${max})`, deltaRange(min, max));
   }
 
+  // Moneyness window (% OTM)
+  if (params.otmMin != null || params.otmMax != null) {
+    addFilter(`otmRange(${params.otmMin ?? '-'}-${params.otmMax ?? '-'})`, otmRange(params.otmMin, params.otmMax));
+  }
+
+  // Probability filters
+  if (params.probItmMin != null || params.probItmMax != null) {
+    addFilter(`probItmRange(${params.probItmMin ?? '-'}-${params.probItmMax ?? '-'})`, probItmRange(params.probItmMin, params.probItmMax));
+  }
+  if (params.probTouchMin != null || params.probTouchMax != null) {
+    addFilter(`probTouchRange(${params.probTouchMin ?? '-'}-${params.probTouchMax ?? '-'})`, probTouchRange(params.probTouchMin, params.probTouchMax));
+  }
+
+  // Break-even filters
+  if (params.breakEvenPctMax != null) {
+    addFilter(`maxBreakEvenDistance(${params.breakEvenPctMax})`, maxBreakEvenDistance(params.breakEvenPctMax));
+  }
+  if (params.requiredReturnMax != null) {
+    addFilter(`maxRequiredReturn(${params.requiredReturnMax})`, maxRequiredReturn(params.requiredReturnMax));
+  }
+
+  // Income filters
+  if (params.minAnnualizedYield != null && params.minAnnualizedYield > 0) {
+    addFilter(`minAnnualizedYield(${params.minAnnualizedYield})`, minAnnualizedYield(params.minAnnualizedYield));
+  }
+
+  // LEAPS filters
+  if (params.minLeverage != null) {
+    addFilter(`minLeverage(${params.minLeverage})`, minLeverage(params.minLeverage));
+  }
+  if (params.maxExtrinsicPerDay != null) {
+    addFilter(`maxExtrinsicPerDay(${params.maxExtrinsicPerDay})`, maxExtrinsicPerDay(params.maxExtrinsicPerDay));
+  }
+  if (params.maxImpliedCarry != null) {
+    addFilter(`maxImpliedCarry(${params.maxImpliedCarry})`, maxImpliedCarry(params.maxImpliedCarry));
+  }
+  if (params.minReplacementEfficiency != null) {
+    addFilter(`minReplacementEfficiency(${params.minReplacementEfficiency})`, minReplacementEfficiency(params.minReplacementEfficiency));
+  }
+
   // Liquidity filters
   if (params.minOpenInterest != null && params.minOpenInterest > 0) {
     addFilter(`minOpenInterest(${params.minOpenInterest})`, minOpenInterest(params.minOpenInterest));
@@ -296,8 +507,8 @@ export function createFilterChain(params) {
     addFilter(`maxSpread(${params.maxSpreadPct}%)`, maxSpread(params.maxSpreadPct));
   }
 
-  // Contract type
-  if (params.contractType) {
+  // Contract type ('both' keeps calls and puts)
+  if (params.contractType && params.contractType !== 'both') {
     addFilter(`contractType(${params.contractType})`, contractType(params.contractType));
   }
 
@@ -314,6 +525,156 @@ export function createFilterChain(params) {
   return filters;
 }
 
+/**
+ * Filter vertical spreads by strategy
+ * @param {string[]} strategies - Allowed strategy ids (see spreads.js)
+ * @returns {function}
+ */
+export function spreadStrategy(strategies) {
+  return (spread) => strategies.includes(spread.strategy);
+}
+
+/**
+ * Filter vertical spreads by net debit / credit
+ * @param {number|null} min - Minimum net premium per share
+ * @param {number|null} max - Maximum net premium per share
+ * @returns {function}
+ */
+export function netPremiumRange(min, max) {
+  return (spread) => {
+    if (min != null && spread.netPremium < min) return false;
+    if (max != null && spread.netPremium > max) return false;
+    return true;
+  };
+}
+
+/**
+ * Filter vertical spreads by strike width
+ * @param {number|null} min - Minimum width ($)
+ * @param {number|null} max - Maximum width ($)
+ * @returns {function}
+ */
+export function spreadWidthRange(min, max) {
+  return (spread) => {
+    if (min != null && spread.width < min) return false;
+    if (max != null && spread.width > max) return false;
+    return true;
+  };
+}
+
+/**
+ * Filter vertical spreads by minimum reward:risk
+ * @param {number} min - Minimum max profit / max loss
+ * @returns {function}
+ */
+export function minRewardRisk(min) {
+  return (spread) => spread.rewardRisk >= min;
+}
+
+/**
+ * Filter vertical spreads by maximum loss
+ * @param {number} max - Maximum loss per share
+ * @returns {function}
+ */
+export function maxSpreadLoss(max) {
+  return (spread) => spread.maxLoss <= max;
+}
+
+/**
+ * Filter vertical spreads by the open interest of their thinner leg
+ * @param {number} min - Minimum open interest on both legs
+ * @returns {function}
+ */
+export function minLegOpenInterest(min) {
+  return (spread) => spread.minLegOpenInterest >= min;
+}
+
+/**
+ * Create a filter chain for vertical spreads from a parameters object
+ * @param {object} params - Spread filter parameters (see OptionsScanner.scanSpreads())
+ * @returns {function[]} Array of filter functions with .filterName property
+ */
+export function createSpreadFilterChain(params) {
+  const filters = [];
+
+  const addFilter = (name, fn) => {
+    fn.filterName = name;
+    filters.push(fn);
+  };
+
+  if (params.strategies && params.strategies.length > 0) {
+    addFilter(`spreadStrategy(${params.strategies.join(',')})`, spreadStrategy(params.strategies));
+  }
+  if (params.netMin != null || params.netMax != null) {
+    addFilter(`netPremiumRange(${params.netMin ?? '-'}-${params.netMax ?? '-'})`, netPremiumRange(params.netMin, params.netMax));
+  }
+  if (params.widthMin != null || params.widthMax != null) {
+    addFilter(`spreadWidthRange(${params.widthMin ?? '-'}-${params.widthMax ?? '-'})`, spreadWidthRange(params.widthMin, params.widthMax));
+  }
+  if (params.minRewardRisk != null && params.minRewardRisk > 0) {
+    addFilter(`minRewardRisk(${params.minRewardRisk})`, minRewardRisk(params.minRewardRisk));
+  }
+  if (params.maxLoss != null) {
+    addFilter(`maxSpreadLoss(${params.maxLoss})`, maxSpreadLoss(params.maxLoss));
+  }
+  if (params.breakEvenPctMax != null) {
+    addFilter(`maxBreakEvenDistance(${params.breakEvenPctMax})`, maxBreakEvenDistance(params.breakEvenPctMax));
+  }
+  if (params.minLegOpenInterest != null && params.minLegOpenInterest > 0) {
+    addFilter(`minLegOpenInterest(${params.minLegOpenInterest})`, minLegOpenInterest(params.minLegOpenInterest));
+  }
+  if (params.industries && params.industries.length > 0) {
+    addFilter(`industry(${params.industries.join(',')})`, industry(params.industries));
+  }
+
+  return filters;
+}
+
+/**
+ * Price fields checked for data availability in the funnel report
+ */
+const FUNNEL_PRICE_FIELDS = ['bid', 'ask', 'mid', 'last'];
+
+/**
+ * Run a filter chain stage by stage and report how each stage narrows the set
+ * @param {object[]} contracts - Normalized contracts before filtering
+ * @param {function[]} filterChain - Filters from createFilterChain()
+ * @returns {object} { funnel, contracts } - Funnel report and the filtered contracts
+ */
+export function runFilterFunnel(contracts, filterChain) {
+  const total = contracts.length;
+
+  // Price field availability (a common cause of empty results)
+  const priceFields = {};
+  FUNNEL_PRICE_FIELDS.forEach(field => {
+    priceFields[field] = contracts.filter(c => c[field] != null && c[field] > 0).length;
+  });
+
+  // Individual pass rate and cumulative removal per stage
+  const stages = [];
+  let remaining = contracts;
+  filterChain.forEach(filter => {
+    const before = remaining.length;
+    remaining = remaining.filter(filter);
+    stages.push({
+      name: filter.filterName || 'unnamed',
+      passedAlone: contracts.filter(filter).length,
+      remaining: remaining.length,
+      removed: before - remaining.length
+    });
+  });
+
+  return {
+    funnel: {
+      total,
+      priceFields,
+      stages,
+      final: remaining.length
+    },
+    contracts: remaining
+  };
+}
+
 // Export all filters as a namespace object for convenience
 export const filters = {
   priceRange,
@@ -324,17 +685,37 @@ export const filters = {
   dteRange,
   ivRange,
   maxIv,
+  ivRankRange,
+  ivPercentileRange,
   deltaRange,
   minOpenInterest,
   minVolume,
   contractType,
   moneyness,
+  otmRange,
+  probItmRange,
+  probTouchRange,
+  maxBreakEvenDistance,
+  maxRequiredReturn,
+  minAnnualizedYield,
+  minLeverage,
+  maxExtrinsicPerDay,
+  maxImpliedCarry,
+  minReplacementEfficiency,
   industry,
   country,
   underlyingTicker,
   maxSpread,
   hasPrice,
   hasGreeks,
+  spreadStrategy,
+  netPremiumRange,
+  spreadWidthRange,
+  minRewardRisk,
+  maxSpreadLoss,
+  minLegOpenInterest,
   applyFilters,
-  createFilterChain
+  createFilterChain,
+  createSpreadFilterChain,
+  runFilterFunnel
 };
@@ -0,0 +1,104 @@
+/**
+ * Fixture Bundles - Record/replay of API responses
+ *
+ * A bundle maps normalized request URLs (apiKey removed, query params
+ * sorted) to the JSON each page returned. ApiClient writes to a bundle in
+ * 'record' mode and serves scans entirely from one in 'replay' mode.
+ * DOM-free so bundles can be used from Node as well as the browser.
+ */
+
+const FIXTURE_VERSION = 1;
+
+/**
+ * Normalize a request URL into a fixture key
+ * Drops the apiKey and sorts query params so equivalent requests match.
+ * @param {string} url - Full request URL (with or without apiKey)
+ * @returns {string} Normalized URL
+ */
+export function normalizeFixtureUrl(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.delete('apiKey');
+  parsed.searchParams.sort();
+  return parsed.toString();
+}
+
+/**
+ * Collection of recorded API responses keyed by normalized URL
+ */
+export class FixtureBundle {
+  /**
+   * @param {object} data - Existing bundle data (from toJSON())
+   */
+  constructor(data = {}) {
+    this.version = data.version || FIXTURE_VERSION;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.baseUrl = data.baseUrl || null;
+    this.meta = data.meta || {};
+    this.responses = data.responses || {};
+  }
+
+  /**
+   * Record a response
+   * @param {string} url - Request URL
+   * @param {object} json - Parsed response body
+   */
+  record(url, json) {
+    this.responses[normalizeFixtureUrl(url)] = json;
+  }
+
+  /**
+   * Look up a recorded response
+   * @param {string} url - Request URL
+   * @returns {object|null} Recorded response body or null if not recorded
+   */
+  lookup(url) {
+    return this.responses[normalizeFixtureUrl(url)] ?? null;
+  }
+
+  /**
+   * Whether a response is recorded for a URL
+   * @param {string} url
+   * @returns {boolean}
+   */
+  has(url) {
+    return normalizeFixtureUrl(url) in this.responses;
+  }
+
+  /**
+   * Number of recorded responses
+   * @returns {number}
+   */
+  get size() {
+    return Object.keys(this.responses).length;
+  }
+
+  /**
+   * Serializable form of the bundle
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      createdAt: this.createdAt,
+      baseUrl: this.baseUrl,
+      meta: this.meta,
+      responses: this.responses
+    };
+  }
+
+  /**
+   * Create a bundle from parsed JSON (e.g. a loaded fixture file)
+   * @param {object|string} json - Bundle object or JSON string
+   * @returns {FixtureBundle}
+   */
+  static fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || typeof data.responses !== 'object') {
+      throw new Error('Invalid fixture bundle: missing responses');
+    }
+    if (data.version > FIXTURE_VERSION) {
+      throw new Error(`Unsupported fixture bundle version: ${data.version}`);
+    }
+    return new FixtureBundle(data);
+  }
+}
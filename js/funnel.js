@@ -0,0 +1,161 @@
+/**
+ * Filter Funnel Module
+ * Renders the per-stage filter funnel recorded by OptionsScanner.scan()
+ * so users can see which filter removed their results
+ */
+
+import { formatNumber } from './utils.js';
+
+/**
+ * Format a count as a percentage of a total
+ * @param {number} count
+ * @param {number} total
+ * @returns {string} - e.g. "42.5%"
+ */
+function formatShare(count, total) {
+  if (!total) return '0%';
+  return ((count / total) * 100).toFixed(1) + '%';
+}
+
+/**
+ * Find the stage that emptied the result set (if any)
+ * @param {Object} funnel - Funnel report from runFilterFunnel()
+ * @returns {number} - Index of the stage that hit zero, or -1
+ */
+function findWipeoutStage(funnel) {
+  if (funnel.total === 0) return -1;
+  return funnel.stages.findIndex(stage => stage.remaining === 0);
+}
+
+/**
+ * Build the price field availability row
+ * @param {Object} funnel - Funnel report
+ * @returns {string} - HTML string
+ */
+function buildPriceFieldsHtml(funnel) {
+  const items = Object.entries(funnel.priceFields || {}).map(([field, count]) => `
+    <div class="funnel-price-field ${count === 0 ? 'empty' : ''}">
+      <span class="funnel-price-field-name">${field}</span>
+      <span class="funnel-price-field-value">${formatShare(count, funnel.total)}</span>
+    </div>
+  `).join('');
+
+  return `
+    <div class="funnel-section-title">Price data availability</div>
+    <div class="funnel-price-fields">${items}</div>
+  `;
+}
+
+/**
+ * Build the funnel stage table
+ * @param {Object} funnel - Funnel report
+ * @returns {string} - HTML string
+ */
+function buildStagesHtml(funnel) {
+  const wipeout = findWipeoutStage(funnel);
+
+  const rows = funnel.stages.map((stage, idx) => {
+    const width = funnel.total > 0 ? (stage.remaining / funnel.total) * 100 : 0;
+    const classes = [
+      'funnel-stage',
+      idx === wipeout ? 'wipeout' : '',
+      stage.removed === 0 ? 'no-effect' : ''
+    ].filter(Boolean).join(' ');
+
+    return `
+      <tr class="${classes}">
+        <td class="funnel-stage-name">${stage.name}</td>
+        <td class="funnel-stage-bar">
+          <div class="funnel-bar-track">
+            <div class="funnel-bar" style="width:${width}%"></div>
+          </div>
+        </td>
+        <td class="funnel-stage-num">${formatNumber(stage.remaining)}</td>
+        <td class="funnel-stage-num removed">${stage.removed > 0 ? '-' + formatNumber(stage.removed) : '0'}</td>
+        <td class="funnel-stage-num">${formatShare(stage.passedAlone, funnel.total)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div class="funnel-section-title">Filter stages</div>
+    <table class="funnel-table">
+      <thead>
+        <tr>
+          <th>Filter</th>
+          <th></th>
+          <th>Remaining</th>
+          <th>Removed</th>
+          <th>Pass alone</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr class="funnel-stage start">
+          <td class="funnel-stage-name">Fetched</td>
+          <td class="funnel-stage-bar">
+            <div class="funnel-bar-track"><div class="funnel-bar" style="width:100%"></div></div>
+          </td>
+          <td class="funnel-stage-num">${formatNumber(funnel.total)}</td>
+          <td class="funnel-stage-num"></td>
+          <td class="funnel-stage-num"></td>
+        </tr>
+        ${rows}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Build a one-line summary of the funnel outcome
+ * @param {Object} funnel - Funnel report
+ * @returns {string} - HTML string
+ */
+function buildSummaryHtml(funnel) {
+  if (funnel.total === 0) {
+    return `<div class="funnel-summary warning">The API returned no contracts - check contract type, expiration and tickers</div>`;
+  }
+
+  const wipeout = findWipeoutStage(funnel);
+  if (wipeout >= 0) {
+    const stage = funnel.stages[wipeout];
+    return `<div class="funnel-summary warning">All results removed at <strong>${stage.name}</strong></div>`;
+  }
+
+  return `<div class="funnel-summary">${formatNumber(funnel.final)} of ${formatNumber(funnel.total)} contracts passed all filters</div>`;
+}
+
+/**
+ * Render the filter funnel into a container
+ * @param {Object|null} funnel - Funnel report from result.stats.funnel
+ * @param {string} containerId - DOM element ID
+ */
+export function renderFilterFunnel(funnel, containerId = 'funnelContent') {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  if (!funnel) {
+    container.innerHTML = `
+      <div class="funnel-empty">
+        <i class="ph ph-funnel-simple"></i>
+        <p>No funnel data</p>
+        <span>Run a new scan to record filter stages</span>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = `
+    ${buildSummaryHtml(funnel)}
+    ${buildPriceFieldsHtml(funnel)}
+    ${buildStagesHtml(funnel)}
+  `;
+}
+
+/**
+ * Whether a funnel indicates the filters removed everything that was fetched
+ * @param {Object|null} funnel - Funnel report
+ * @returns {boolean}
+ */
+export function isFunnelWipeout(funnel) {
+  return !!funnel && funnel.total > 0 && funnel.final === 0;
+}
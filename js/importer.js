@@ -0,0 +1,378 @@
+/**
+ * Data File Importer - Bulk options snapshot files (CSV / JSON lines)
+ *
+ * Parses chain dumps from other tools and maps their columns to the
+ * provider-normalized contract shape (see api.js). Column names are matched
+ * loosely (case, spaces, underscores and dashes ignored) against common
+ * aliases; JSON lines may also be raw Polygon snapshot contracts.
+ * DOM-free so files can be imported from Node as well as the browser.
+ */
+
+import { parseOptionTicker } from './utils.js';
+import { PolygonProvider } from './providers/polygon.js';
+
+/**
+ * Accepted column names per normalized field (compared after normalizeKey())
+ */
+const COLUMN_ALIASES = {
+  contractTicker:  ['contractticker', 'optionsymbol', 'optionticker', 'occsymbol', 'symbol', 'contract'],
+  underlying:      ['underlying', 'underlyingticker', 'underlyingsymbol', 'rootsymbol', 'root', 'ticker', 'actsymbol'],
+  type:            ['type', 'contracttype', 'optiontype', 'putcall', 'callput', 'cp', 'right'],
+  strike:          ['strike', 'strikeprice'],
+  expiration:      ['expiration', 'expirationdate', 'expiry', 'expdate', 'expiredate'],
+  bid:             ['bid', 'bidprice'],
+  ask:             ['ask', 'askprice'],
+  mid:             ['mid', 'midpoint', 'mark'],
+  last:            ['last', 'lastprice', 'lasttrade', 'close'],
+  iv:              ['iv', 'impliedvolatility', 'impliedvol', 'midiv'],
+  delta:           ['delta'],
+  gamma:           ['gamma'],
+  theta:           ['theta'],
+  vega:            ['vega'],
+  volume:          ['volume', 'vol24h', 'dayvolume'],
+  openInterest:    ['openinterest', 'oi'],
+  underlyingPrice: ['underlyingprice', 'underlyinglast', 'spot', 'stockprice', 'spotprice'],
+  breakEven:       ['breakeven', 'breakevenprice']
+};
+
+// Numeric fields (parsed from strings; blank -> null)
+const NUMERIC_FIELDS = [
+  'strike', 'bid', 'ask', 'mid', 'last', 'iv', 'delta', 'gamma', 'theta', 'vega',
+  'volume', 'openInterest', 'underlyingPrice', 'breakEven'
+];
+
+// An IV column with any value above this is in percent (e.g. 45.2 rather than 0.452)
+const IV_PERCENT_THRESHOLD = 5;
+
+// Accepted column names in historical IV files (one ATM IV per underlying per day)
+const IV_HISTORY_ALIASES = {
+  ticker: ['ticker', 'symbol', 'underlying', 'underlyingsymbol', 'root'],
+  date:   ['date', 'tradedate', 'quotedate', 'asof', 'asofdate'],
+  iv:     ['atmiv', 'iv', 'iv30', 'ivmean', 'impliedvolatility', 'impliedvol']
+};
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Normalize a column name for alias matching
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse CSV text into row objects keyed by header
+ * Handles quoted fields (with commas, newlines and "" escapes) and CRLF.
+ * Tab-separated files are detected from the header line.
+ * @param {string} text - File contents
+ * @returns {Object[]} Rows
+ */
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim());
+  return rows.map(values => {
+    const row = {};
+    keys.forEach((key, index) => { row[key] = values[index]?.trim() ?? ''; });
+    return row;
+  });
+}
+
+/**
+ * Parse JSON lines (one object per line); a plain JSON array is accepted too
+ * @param {string} text - File contents
+ * @returns {Object[]} Rows
+ * @throws {Error} - On the first unparseable line
+ */
+export function parseJsonLines(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+
+  return trimmed.split(/\r?\n/)
+    .map((line, index) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+      }
+    })
+    .filter(Boolean);
+}
+
+// =============================================================================
+// Column Mapping
+// =============================================================================
+
+/**
+ * Index a row's columns by normalized name
+ * @param {Object} row - Parsed CSV row or JSON object
+ * @returns {Map}
+ */
+function indexColumns(row) {
+  const columns = new Map();
+  Object.entries(row).forEach(([key, value]) => columns.set(normalizeKey(key), value));
+  return columns;
+}
+
+/**
+ * Whether a file's IV column is in percent rather than decimal - decided
+ * once per file, so low percent readings (e.g. "4.5") aren't read as 450%
+ * @param {Array} values - The column's raw values
+ * @returns {boolean} True if any value has a % sign or is too large to be a decimal
+ */
+function isPercentColumn(values) {
+  return values.some(value =>
+    (typeof value === 'string' && value.includes('%')) || toNumber(value) > IV_PERCENT_THRESHOLD
+  );
+}
+
+/**
+ * Parse a number from a file value
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const parsed = parseFloat(String(value).replace(/[$,%\s]/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Normalize a contract type value ('C', 'Call', 'PUT', ...)
+ * @param {*} value
+ * @returns {string} 'call', 'put' or ''
+ */
+function toContractType(value) {
+  const type = String(value ?? '').trim().toLowerCase();
+  if (type === 'c' || type === 'call' || type === 'calls') return 'call';
+  if (type === 'p' || type === 'put' || type === 'puts') return 'put';
+  return '';
+}
+
+/**
+ * Normalize an expiration date to YYYY-MM-DD
+ * Accepts YYYY-MM-DD (optionally with a time), YYYYMMDD and MM/DD/YYYY.
+ * @param {*} value
+ * @returns {string} Date or '' if unrecognized
+ */
+function toIsoDate(value) {
+  const date = String(value ?? '').trim();
+  let match;
+
+  if ((match = date.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  if ((match = date.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  if ((match = date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+  return '';
+}
+
+/**
+ * Build an OCC-style ticker (O:XOM270115C00100000) for rows without one
+ * @param {Object} contract - Contract with underlying, expiration, type, strike
+ * @returns {string}
+ */
+function buildContractTicker({ underlying, expiration, type, strike }) {
+  const date = expiration.slice(2).replace(/-/g, '');
+  const strikeCode = String(Math.round(strike * 1000)).padStart(8, '0');
+  return `O:${underlying}${date}${type === 'put' ? 'P' : 'C'}${strikeCode}`;
+}
+
+/**
+ * Whether a row is a raw Polygon snapshot contract
+ * @param {Object} row
+ * @returns {boolean}
+ */
+function isPolygonRow(row) {
+  return !!row.details && typeof row.details === 'object';
+}
+
+/**
+ * Map a file row to a provider-normalized contract
+ * @param {Object} row - Parsed CSV row or JSON object
+ * @param {Object} options
+ * @param {boolean} options.ivPercent - Whether the file's IV column is in percent
+ * @returns {Object|null} Normalized contract, or null if the row lacks an
+ *   underlying, type, strike or expiration
+ */
+export function mapRowToContract(row, { ivPercent = false } = {}) {
+  // Raw Polygon snapshot contracts keep their nesting
+  if (isPolygonRow(row)) {
+    const contract = PolygonProvider.prototype.normalizeContract(row, row._ticker);
+    return contract.underlying && contract.type ? contract : null;
+  }
+
+  const columns = indexColumns(row);
+  const contract = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const alias = aliases.find(name => columns.has(name));
+    contract[field] = alias ? columns.get(alias) : null;
+  }
+
+  NUMERIC_FIELDS.forEach(field => { contract[field] = toNumber(contract[field]); });
+  contract.type = toContractType(contract.type);
+  contract.expiration = toIsoDate(contract.expiration);
+
+  // "symbol" / "ticker" columns hold the option symbol in some files and the
+  // underlying in others - sort them out by whether they parse as OCC
+  let ticker = String(contract.contractTicker ?? '').replace(/\s+/g, '').toUpperCase();
+  let underlying = String(contract.underlying ?? '').trim().toUpperCase();
+  if (underlying && parseOptionTicker(underlying).underlying) {
+    ticker = ticker || underlying;
+    underlying = '';
+  }
+  let parsed = ticker ? parseOptionTicker(ticker) : {};
+  if (ticker && !parsed.underlying) {
+    underlying = underlying || ticker;
+    ticker = '';
+    parsed = {};
+  }
+
+  // Fill spec gaps from the OCC ticker when the file has one
+  contract.underlying = underlying || parsed.underlying || '';
+  contract.type = contract.type || parsed.type || '';
+  contract.strike = contract.strike ?? parsed.strike ?? null;
+  contract.expiration = contract.expiration || parsed.expiration || '';
+
+  if (!contract.underlying || !contract.type || contract.strike == null || !contract.expiration) {
+    return null;
+  }
+
+  contract.contractTicker = ticker
+    ? (ticker.startsWith('O:') ? ticker : `O:${ticker}`)
+    : buildContractTicker(contract);
+
+  if (ivPercent && contract.iv != null) {
+    contract.iv = contract.iv / 100;
+  }
+  if (contract.mid == null && contract.bid && contract.ask) {
+    contract.mid = (contract.bid + contract.ask) / 2;
+  }
+
+  return contract;
+}
+
+/**
+ * Parse a data file into provider-normalized contracts
+ * @param {string} text - File contents
+ * @param {string} filename - Used to pick the format (.csv/.tsv/.txt vs .jsonl/.ndjson/.json)
+ * @returns {Object} { contracts, rowCount, skipped }
+ * @throws {Error} - If the file can't be parsed or has no usable rows
+ */
+export function importDataFile(text, filename = '') {
+  const isJson = /\.(jsonl|ndjson|json)$/i.test(filename) ||
+                 (!/\.(csv|tsv|txt)$/i.test(filename) && /^\s*[[{]/.test(text));
+  const rows = isJson ? parseJsonLines(text) : parseCsv(text);
+
+  const ivPercent = isPercentColumn(rows.filter(row => !isPolygonRow(row)).map(row => {
+    const columns = indexColumns(row);
+    return columns.get(COLUMN_ALIASES.iv.find(name => columns.has(name)));
+  }));
+
+  const contracts = [];
+  let skipped = 0;
+  for (const row of rows) {
+    const contract = mapRowToContract(row, { ivPercent });
+    if (contract) {
+      contracts.push(contract);
+    } else {
+      skipped++;
+    }
+  }
+
+  if (contracts.length === 0) {
+    throw new Error(rows.length === 0
+      ? 'File has no data rows'
+      : `None of ${rows.length} rows had an underlying, type, strike and expiration`);
+  }
+
+  return { contracts, rowCount: rows.length, skipped };
+}
+
+/**
+ * Parse a historical IV file (CSV with ticker, date and IV columns) to
+ * bootstrap IV rank history
+ * @param {string} text - File contents
+ * @returns {Object} { entries, rowCount, skipped } - entries are { ticker, date, iv }
+ *   with IV as a decimal
+ * @throws {Error} - If the file has no usable rows
+ */
+export function importIvHistoryFile(text) {
+  const rows = parseCsv(text).map(indexColumns);
+  const pick = (columns, field) => columns.get(IV_HISTORY_ALIASES[field].find(name => columns.has(name)));
+  const ivPercent = isPercentColumn(rows.map(columns => pick(columns, 'iv')));
+
+  const entries = [];
+  for (const columns of rows) {
+    const ticker = String(pick(columns, 'ticker') ?? '').trim().toUpperCase();
+    const date = toIsoDate(pick(columns, 'date'));
+    let iv = toNumber(pick(columns, 'iv'));
+    if (ivPercent && iv != null) {
+      iv = iv / 100;
+    }
+    if (ticker && date && iv > 0) {
+      entries.push({ ticker, date, iv });
+    }
+  }
+
+  if (entries.length === 0) {
+    throw new Error(rows.length === 0
+      ? 'File has no data rows'
+      : `None of ${rows.length} rows had a ticker, date and IV`);
+  }
+
+  return { entries, rowCount: rows.length, skipped: rows.length - entries.length };
+}
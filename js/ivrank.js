@@ -0,0 +1,132 @@
+/**
+ * IV Rank - Where an underlying's implied volatility sits in its own history
+ *
+ * Each scan reduces an underlying's chain to one at-the-money IV: the
+ * expiration nearest CONFIG.IV_RANK.TARGET_DTE, interpolated by strike
+ * between the ATM contracts (per getMoneyness()) either side of the
+ * underlying price. Chains without ATM strikes or without an expiration
+ * within CONFIG.IV_RANK.DTE_TOLERANCE of the target give no reading, so
+ * every stored reading has the same tenor and moneyness (LEAPS-only or
+ * OTM-only scans fetch a separate ATM slice for it - see
+ * OptionsScanner._fetchAtmSlices()). Those daily readings are stored
+ * (CacheManager.saveIvSnapshot()) and today's is compared against the
+ * lookback window:
+ * - IV rank: position between the window's low and high (0 = low, 1 = high)
+ * - IV percentile: share of earlier sessions with a lower IV
+ * DOM-free; used by OptionsScanner before filtering.
+ */
+
+import { CONFIG } from './config.js';
+import { getMoneyness } from './utils.js';
+
+/**
+ * IV at the underlying price, interpolated between the nearest strikes
+ * @param {object[]} contracts - One expiration's contracts with IV
+ * @param {number} price - Underlying price
+ * @returns {number|null}
+ */
+export function interpolateAtStrike(contracts, price) {
+  // Calls and puts at a strike share one reading
+  const byStrike = new Map();
+  for (const c of contracts) {
+    const entry = byStrike.get(c.strike) || { sum: 0, count: 0 };
+    entry.sum += c.iv;
+    entry.count++;
+    byStrike.set(c.strike, entry);
+  }
+  const strikes = [...byStrike.entries()]
+    .map(([strike, { sum, count }]) => ({ strike, iv: sum / count }))
+    .sort((a, b) => a.strike - b.strike);
+
+  const below = strikes.filter(s => s.strike <= price).pop();
+  const above = strikes.find(s => s.strike >= price);
+  if (!below || !above) return (below || above)?.iv ?? null;
+  if (above.strike === below.strike) return below.iv;
+
+  const weight = (price - below.strike) / (above.strike - below.strike);
+  return below.iv + weight * (above.iv - below.iv);
+}
+
+/**
+ * At-the-money IV per underlying at the target tenor
+ * @param {object[]} contracts - Normalized contracts (strike, expiration, dte, iv, underlyingPrice)
+ * @returns {object} { ticker: iv } - underlyings without ATM contracts with IV
+ *   near the target tenor are left out
+ */
+export function computeAtmIvs(contracts) {
+  const { TARGET_DTE: target, DTE_TOLERANCE: tolerance } = CONFIG.IV_RANK;
+
+  const byTicker = {};
+  for (const c of contracts) {
+    if (!(c.iv > 0) || c.strike == null || !(c.underlyingPrice > 0) || !c.expiration || c.dte == null) continue;
+    if (Math.abs(c.dte - target) > tolerance) continue;
+    if (getMoneyness(c.strike, c.underlyingPrice, c.type) !== 'ATM') continue;
+    if (!byTicker[c.underlying]) byTicker[c.underlying] = [];
+    byTicker[c.underlying].push(c);
+  }
+
+  const atmIvs = {};
+  for (const [ticker, atm] of Object.entries(byTicker)) {
+    // Expiration closest to the target tenor
+    const expiration = atm.reduce((best, c) =>
+      Math.abs(c.dte - target) < Math.abs(best.dte - target) ? c : best
+    ).expiration;
+
+    const iv = interpolateAtStrike(
+      atm.filter(c => c.expiration === expiration),
+      atm[0].underlyingPrice
+    );
+    if (iv != null) atmIvs[ticker] = iv;
+  }
+  return atmIvs;
+}
+
+/**
+ * Rank an IV against earlier readings
+ * @param {number} iv - Today's ATM IV
+ * @param {Array} history - [{ date, iv }] earlier sessions within the lookback
+ * @returns {object} { ivRank, ivPercentile, ivHistoryDays } - rank and
+ *   percentile as decimals, null with fewer than CONFIG.IV_RANK.MIN_HISTORY_DAYS sessions
+ */
+export function computeIvRank(iv, history) {
+  const values = history.map(h => h.iv).filter(v => v > 0);
+  if (iv == null || values.length < CONFIG.IV_RANK.MIN_HISTORY_DAYS) {
+    return { ivRank: null, ivPercentile: null, ivHistoryDays: values.length };
+  }
+
+  const low = Math.min(iv, ...values);
+  const high = Math.max(iv, ...values);
+  return {
+    ivRank: high > low ? (iv - low) / (high - low) : 0.5,
+    ivPercentile: values.filter(v => v < iv).length / values.length,
+    ivHistoryDays: values.length
+  };
+}
+
+/**
+ * Earliest exchange date inside the lookback window
+ * @param {string} date - Today (YYYY-MM-DD)
+ * @returns {string}
+ */
+export function getLookbackStart(date) {
+  const start = new Date(`${date}T12:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - CONFIG.IV_RANK.LOOKBACK_DAYS);
+  return start.toISOString().slice(0, 10);
+}
+
+/**
+ * Add ATM IV, IV rank and IV percentile to each contract
+ * @param {object[]} contracts - Normalized contracts
+ * @param {object} atmIvs - { ticker: iv } from computeAtmIvs()
+ * @param {object} history - { ticker: [{ date, iv }] } earlier sessions (CacheManager.getIvHistory())
+ * @returns {object[]} Copies with atmIv, ivRank, ivPercentile and ivHistoryDays
+ */
+export function applyIvRank(contracts, atmIvs, history) {
+  const ranks = {};
+  for (const [ticker, iv] of Object.entries(atmIvs)) {
+    ranks[ticker] = { atmIv: iv, ...computeIvRank(iv, history[ticker] || []) };
+  }
+
+  const none = { atmIv: null, ivRank: null, ivPercentile: null, ivHistoryDays: 0 };
+  return contracts.map(c => ({ ...c, ...(ranks[c.underlying] || none) }));
+}
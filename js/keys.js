@@ -0,0 +1,255 @@
+/**
+ * API Key Store - Saved market-data provider keys
+ *
+ * Each key belongs to one provider (see providers/), so switching the
+ * active key also switches the provider. Keys live in the CacheManager
+ * settings store so they never need to be hard-coded in config.js. Each key
+ * can optionally be encrypted with a user passphrase (PBKDF2 + AES-GCM via
+ * WebCrypto); encrypted keys must be unlocked with the passphrase before use
+ * and keep only their last few characters in plain text.
+ */
+
+import { CONFIG } from './config.js';
+import { SettingsStore } from './settingsstore.js';
+import { cacheManager } from './cache.js';
+
+// Settings key holding { activeId, keys: [...] }
+const SETTINGS_KEY = 'apiKeys';
+
+// Key derivation parameters for passphrase-protected keys
+const KDF_ITERATIONS = 210000;
+
+// =============================================================================
+// Encoding Helpers
+// =============================================================================
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+// =============================================================================
+// WebCrypto
+// =============================================================================
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: KDF_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt an API key with a passphrase
+ * @param {string} apiKey - Plain API key
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} - { salt, iv, data } (base64)
+ */
+export async function encryptApiKey(apiKey, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(apiKey)
+  );
+
+  return { salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt an API key encrypted with encryptApiKey()
+ * @param {Object} encrypted - { salt, iv, data }
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>} - Plain API key
+ * @throws {Error} - If the passphrase is wrong
+ */
+export async function decryptApiKey(encrypted, passphrase) {
+  const key = await deriveKey(passphrase, fromBase64(encrypted.salt));
+
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(encrypted.iv) },
+      key,
+      fromBase64(encrypted.data)
+    );
+    return new TextDecoder().decode(data);
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+}
+
+/**
+ * Mask an API key for display (e.g. "abcd••••xyz", or "••••wxyz" suffix only)
+ * @param {string} apiKey
+ * @param {Object} options
+ * @param {boolean} options.suffixOnly - Show only the last 4 characters
+ * @returns {string}
+ */
+export function maskApiKey(apiKey, { suffixOnly = false } = {}) {
+  if (!apiKey) return '';
+  if (apiKey.length <= 8) return '•'.repeat(apiKey.length);
+  if (suffixOnly) return `••••${apiKey.slice(-4)}`;
+  return `${apiKey.slice(0, 4)}••••${apiKey.slice(-3)}`;
+}
+
+// =============================================================================
+// Key Store
+// =============================================================================
+
+/**
+ * Fill fields missing from keys saved by older versions
+ * @param {Object} entry - Saved entry
+ * @returns {Object}
+ */
+function withDefaults(entry) {
+  return { ...entry, provider: entry.provider || CONFIG.API.PROVIDER };
+}
+
+/**
+ * Key Store class - saved keys and the active selection
+ */
+export class KeyStore extends SettingsStore {
+  /**
+   * @param {Object} settings - Settings store with getSetting/saveSetting (CacheManager)
+   */
+  constructor(settings) {
+    super(settings, SETTINGS_KEY, () => ({ activeId: null, keys: [] }));
+  }
+
+  /**
+   * List saved keys (encrypted keys have no plain `key`)
+   * @returns {Promise<Array>} - [{ id, label, provider, plan, key, encrypted, hint, createdAt, active }]
+   */
+  async list() {
+    const state = await this._load();
+    return state.keys.map(entry => ({ ...withDefaults(entry), active: entry.id === state.activeId }));
+  }
+
+  /**
+   * Get the active key entry
+   * @returns {Promise<Object|null>}
+   */
+  async getActive() {
+    const state = await this._load();
+    const entry = state.keys.find(k => k.id === state.activeId);
+    return entry ? withDefaults(entry) : null;
+  }
+
+  /**
+   * Save a new key and make it active
+   * @param {Object} options
+   * @param {string} options.label - Display name (e.g. "Personal")
+   * @param {string} options.key - Plain API key
+   * @param {string} options.provider - Provider ID from CONFIG.PROVIDERS
+   * @param {string} options.plan - API plan tier from CONFIG.RATE_LIMITS
+   * @param {string} options.passphrase - Optional passphrase to encrypt the key with
+   * @returns {Promise<Object>} - Saved entry
+   */
+  async add({ label, key, provider = CONFIG.API.PROVIDER, plan = CONFIG.API.PLAN, passphrase = null }) {
+    const state = await this._load();
+
+    // Timestamp IDs, bumped past existing ones so quick successive adds don't collide
+    const lastId = state.keys.reduce((max, k) => Math.max(max, k.id), 0);
+
+    const entry = {
+      id: Math.max(Date.now(), lastId + 1),
+      label: label || `Key ${state.keys.length + 1}`,
+      provider,
+      plan,
+      // Stored in plain text, so encrypted keys keep only a short suffix
+      hint: maskApiKey(key, { suffixOnly: !!passphrase }),
+      key: null,
+      encrypted: null,
+      createdAt: new Date().toISOString()
+    };
+
+    if (passphrase) {
+      entry.encrypted = await encryptApiKey(key, passphrase);
+    } else {
+      entry.key = key;
+    }
+
+    state.keys.push(entry);
+    state.activeId = entry.id;
+    await this._save();
+
+    return entry;
+  }
+
+  /**
+   * Make a saved key active
+   * @param {number} id - Entry ID
+   */
+  async setActive(id) {
+    const state = await this._load();
+    if (!state.keys.some(entry => entry.id === id)) {
+      throw new Error(`Unknown API key: ${id}`);
+    }
+    state.activeId = id;
+    await this._save();
+  }
+
+  /**
+   * Remove a saved key (the first remaining key becomes active)
+   * @param {number} id - Entry ID
+   */
+  async remove(id) {
+    const state = await this._load();
+    state.keys = state.keys.filter(entry => entry.id !== id);
+    if (state.activeId === id) {
+      state.activeId = state.keys[0]?.id ?? null;
+    }
+    await this._save();
+  }
+
+  /**
+   * Get the plain key for an entry
+   * @param {Object} entry - Saved entry
+   * @param {string} passphrase - Required for encrypted entries
+   * @returns {Promise<string>}
+   */
+  async reveal(entry, passphrase = null) {
+    if (!entry.encrypted) return entry.key;
+    if (!passphrase) throw new Error('Passphrase required');
+    return decryptApiKey(entry.encrypted, passphrase);
+  }
+}
+
+// Export singleton instance
+export const keyStore = new KeyStore(cacheManager);
@@ -0,0 +1,177 @@
+/**
+ * Market Hours - US listed options regular session (America/New_York)
+ *
+ * Works in exchange time regardless of the user's time zone, so cache
+ * expiry and scheduling line up with the actual session. Exchange holidays
+ * and early closes are bundled below (NYSE / Cboe calendar) - extend them
+ * each year. DOM-free so it can be used from the scan worker and Node.
+ */
+
+const MARKET_TIME_ZONE = 'America/New_York';
+const OPEN_MINUTES = 9 * 60 + 30;   // 9:30 ET
+const CLOSE_MINUTES = 16 * 60;      // 16:00 ET
+const EARLY_CLOSE_MINUTES = 13 * 60; // 13:00 ET
+
+// Full-day exchange closures
+const MARKET_HOLIDAYS = new Set([
+  // 2025
+  '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+  '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+  // 2026
+  '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19',
+  '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25',
+  // 2027
+  '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18',
+  '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24',
+  // 2028
+  '2028-01-17', '2028-02-21', '2028-04-14', '2028-05-29', '2028-06-19', '2028-07-04',
+  '2028-09-04', '2028-11-23', '2028-12-25'
+]);
+
+// Sessions that close at 13:00 ET
+const EARLY_CLOSES = new Set([
+  '2025-07-03', '2025-11-28', '2025-12-24',
+  '2026-11-27', '2026-12-24',
+  '2027-11-26',
+  '2028-07-03', '2028-11-24'
+]);
+
+const easternFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: MARKET_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Wall-clock time in New York for an instant
+ * @param {Date} date
+ * @returns {object} { date: 'YYYY-MM-DD', minutes, seconds } - minutes since midnight ET
+ */
+function getEasternClock(date) {
+  const parts = {};
+  for (const { type, value } of easternFormatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second)
+  };
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} isoDate
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Instant of a New York wall-clock time
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} minutes - Minutes since midnight ET
+ * @returns {Date}
+ */
+function easternTimeToDate(isoDate, minutes) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Shift by the zone offset at that instant (EST -5h / EDT -4h)
+  const clock = getEasternClock(new Date(guess));
+  const [y, m, d] = clock.date.split('-').map(Number);
+  const offset = Date.UTC(y, m - 1, d, 0, clock.minutes, clock.seconds) - guess;
+  return new Date(guess - offset);
+}
+
+/**
+ * Whether a date has a trading session (weekday and not an exchange holiday)
+ * @param {string} isoDate - YYYY-MM-DD (exchange date)
+ * @returns {boolean}
+ */
+export function isTradingDay(isoDate) {
+  const weekday = new Date(`${isoDate}T12:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !MARKET_HOLIDAYS.has(isoDate);
+}
+
+/**
+ * Session close for a trading day, in minutes since midnight ET
+ * @param {string} isoDate - YYYY-MM-DD (exchange date)
+ * @returns {number}
+ */
+function getCloseMinutes(isoDate) {
+  return EARLY_CLOSES.has(isoDate) ? EARLY_CLOSE_MINUTES : CLOSE_MINUTES;
+}
+
+/**
+ * Whether the regular options session is open
+ * @param {Date} date - Instant to check (default now)
+ * @returns {boolean}
+ */
+export function isMarketOpen(date = new Date()) {
+  const clock = getEasternClock(date);
+  return isTradingDay(clock.date) &&
+    clock.minutes >= OPEN_MINUTES &&
+    clock.minutes < getCloseMinutes(clock.date);
+}
+
+/**
+ * Next regular session open strictly after an instant
+ * @param {Date} date - Instant to start from (default now)
+ * @returns {Date}
+ */
+export function getNextMarketOpen(date = new Date()) {
+  const clock = getEasternClock(date);
+  let day = clock.minutes < OPEN_MINUTES ? clock.date : addDays(clock.date, 1);
+
+  while (!isTradingDay(day)) {
+    day = addDays(day, 1);
+  }
+  return easternTimeToDate(day, OPEN_MINUTES);
+}
+
+/**
+ * Close of the session that is open at an instant
+ * @param {Date} date - Instant to check (default now)
+ * @returns {Date|null} Close time, or null when the market is closed
+ */
+export function getMarketClose(date = new Date()) {
+  if (!isMarketOpen(date)) return null;
+  const today = getEasternClock(date).date;
+  return easternTimeToDate(today, getCloseMinutes(today));
+}
+
+/**
+ * Exchange (New York) calendar date of an instant
+ * @param {Date} date - Instant (default now)
+ * @returns {string} YYYY-MM-DD
+ */
+export function getExchangeDate(date = new Date()) {
+  return getEasternClock(date).date;
+}
+
+/**
+ * Exchange date of the latest session that had opened by an instant - the
+ * day quotes fetched then belong to. Weekends, holidays and the hours before
+ * the open map to the previous trading day.
+ * @param {Date} date - Instant (default now)
+ * @returns {string} YYYY-MM-DD
+ */
+export function getSessionDate(date = new Date()) {
+  const clock = getEasternClock(date);
+  let day = clock.minutes < OPEN_MINUTES ? addDays(clock.date, -1) : clock.date;
+
+  while (!isTradingDay(day)) {
+    day = addDays(day, -1);
+  }
+  return day;
+}
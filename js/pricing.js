@@ -0,0 +1,259 @@
+/**
+ * Pricing Engine - American option values, implied volatility and Greeks
+ *
+ * Uses the Bjerksund-Stensland (1993) approximation for American options
+ * with a continuous dividend yield (cost of carry b = r - q), falling back
+ * to generalized Black-Scholes-Merton when early exercise is never optimal.
+ * Puts are priced with the Bjerksund-Stensland put-call transformation.
+ *
+ * Used by OptionsScanner to fill IV and Greeks the vendor left null
+ * (common on illiquid LEAPS). Conventions match vendor data: IV as a
+ * decimal, theta per calendar day, vega per 1 vol point.
+ */
+
+import { CONFIG } from './config.js';
+
+// Implied volatility search bounds and tolerance
+const IV_MIN = 0.001;
+const IV_MAX = 5;
+const IV_PRICE_TOLERANCE = 1e-6;
+const IV_MAX_ITERATIONS = 100;
+
+// =============================================================================
+// Normal Distribution
+// =============================================================================
+
+/**
+ * Standard normal density
+ * @param {number} x
+ * @returns {number}
+ */
+function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Zelen & Severo, |error| < 7.5e-8)
+ * @param {number} x
+ * @returns {number}
+ */
+export function normCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const tail = normPdf(x) * poly;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+// =============================================================================
+// Option Values
+// =============================================================================
+
+/**
+ * Generalized Black-Scholes-Merton value of a European option
+ * @param {string} type - 'call' or 'put'
+ * @param {number} S - Underlying price
+ * @param {number} K - Strike
+ * @param {number} T - Years to expiration
+ * @param {number} r - Risk-free rate
+ * @param {number} b - Cost of carry (r - dividend yield)
+ * @param {number} v - Volatility
+ * @returns {number}
+ */
+function europeanValue(type, S, K, T, r, b, v) {
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (b + v * v / 2) * T) / (v * sqrtT);
+  const d2 = d1 - v * sqrtT;
+  const carry = Math.exp((b - r) * T);
+  const discount = Math.exp(-r * T);
+
+  return type === 'call'
+    ? S * carry * normCdf(d1) - K * discount * normCdf(d2)
+    : K * discount * normCdf(-d2) - S * carry * normCdf(-d1);
+}
+
+/**
+ * Bjerksund-Stensland phi helper
+ */
+function phi(S, T, gamma, H, I, r, b, v) {
+  const v2 = v * v;
+  const sqrtT = Math.sqrt(T);
+  const lambda = (-r + gamma * b + 0.5 * gamma * (gamma - 1) * v2) * T;
+  const d = -(Math.log(S / H) + (b + (gamma - 0.5) * v2) * T) / (v * sqrtT);
+  const kappa = 2 * b / v2 + (2 * gamma - 1);
+
+  return Math.exp(lambda) * Math.pow(S, gamma) *
+    (normCdf(d) - Math.pow(I / S, kappa) * normCdf(d - 2 * Math.log(I / S) / (v * sqrtT)));
+}
+
+/**
+ * Bjerksund-Stensland (1993) American call value
+ * @returns {number}
+ */
+function americanCallValue(S, K, T, r, b, v) {
+  // Without a dividend (b >= r) an American call is never exercised early
+  if (b >= r) {
+    return europeanValue('call', S, K, T, r, b, v);
+  }
+
+  const v2 = v * v;
+  const beta = (0.5 - b / v2) + Math.sqrt(Math.pow(b / v2 - 0.5, 2) + 2 * r / v2);
+  const bInfinity = beta / (beta - 1) * K;
+  const b0 = Math.max(K, r / (r - b) * K);
+  const ht = -(b * T + 2 * v * Math.sqrt(T)) * b0 / (bInfinity - b0);
+  const trigger = b0 + (bInfinity - b0) * (1 - Math.exp(ht));
+
+  if (S >= trigger) {
+    return S - K;
+  }
+
+  const alpha = (trigger - K) * Math.pow(trigger, -beta);
+  return alpha * Math.pow(S, beta)
+    - alpha * phi(S, T, beta, trigger, trigger, r, b, v)
+    + phi(S, T, 1, trigger, trigger, r, b, v)
+    - phi(S, T, 1, K, trigger, r, b, v)
+    - K * phi(S, T, 0, trigger, trigger, r, b, v)
+    + K * phi(S, T, 0, K, trigger, r, b, v);
+}
+
+/**
+ * American option value (Bjerksund-Stensland 1993)
+ * @param {object} inputs
+ * @param {string} inputs.type - 'call' or 'put'
+ * @param {number} inputs.S - Underlying price
+ * @param {number} inputs.K - Strike
+ * @param {number} inputs.T - Years to expiration
+ * @param {number} inputs.r - Risk-free rate (decimal)
+ * @param {number} inputs.q - Dividend yield (decimal)
+ * @param {number} inputs.sigma - Volatility (decimal)
+ * @returns {number}
+ */
+export function americanValue({ type, S, K, T, r, q, sigma }) {
+  const b = r - q;
+  if (T <= 0 || sigma <= 0) {
+    return Math.max(type === 'call' ? S - K : K - S, 0);
+  }
+
+  // Put-call transformation: P(S, K, T, r, b, v) = C(K, S, T, r - b, -b, v)
+  return type === 'call'
+    ? americanCallValue(S, K, T, r, b, sigma)
+    : americanCallValue(K, S, T, r - b, -b, sigma);
+}
+
+// =============================================================================
+// Implied Volatility and Greeks
+// =============================================================================
+
+/**
+ * Back-solve implied volatility from an option price (bisection - the
+ * American value is monotonic in volatility)
+ * @param {object} inputs - americanValue() inputs plus price (sigma ignored)
+ * @returns {number|null} IV as a decimal, or null if the price is outside
+ *   the range any volatility can produce
+ */
+export function impliedVolatility({ price, ...inputs }) {
+  if (!(price > 0) || !(inputs.T > 0)) return null;
+
+  let low = IV_MIN;
+  let high = IV_MAX;
+  if (price < americanValue({ ...inputs, sigma: low }) - IV_PRICE_TOLERANCE) return null;
+  if (price > americanValue({ ...inputs, sigma: high })) return null;
+
+  for (let i = 0; i < IV_MAX_ITERATIONS; i++) {
+    const mid = (low + high) / 2;
+    const value = americanValue({ ...inputs, sigma: mid });
+    if (Math.abs(value - price) < IV_PRICE_TOLERANCE) return mid;
+    if (value < price) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Greeks by finite differences on the American value
+ * @param {object} inputs - americanValue() inputs
+ * @returns {object} { delta, gamma, theta, vega } - theta per calendar day,
+ *   vega per 1 vol point
+ */
+export function americanGreeks(inputs) {
+  const { S, T, sigma } = inputs;
+  const dS = S * 0.01;
+  const dV = Math.min(0.01, sigma / 2);
+  const dT = Math.min(1 / 365, T / 2);
+
+  const value = americanValue(inputs);
+  const up = americanValue({ ...inputs, S: S + dS });
+  const down = americanValue({ ...inputs, S: S - dS });
+
+  return {
+    delta: (up - down) / (2 * dS),
+    gamma: (up - 2 * value + down) / (dS * dS),
+    theta: (americanValue({ ...inputs, T: T - dT }) - value) / (dT * 365),
+    vega: (americanValue({ ...inputs, sigma: sigma + dV }) - americanValue({ ...inputs, sigma: sigma - dV })) / (2 * dV) / 100
+  };
+}
+
+/**
+ * Dividend yield for an underlying (CONFIG.PRICING.DIVIDEND_YIELDS, else the default)
+ * @param {string} ticker - Underlying ticker
+ * @returns {number}
+ */
+export function getDividendYield(ticker) {
+  return CONFIG.PRICING.DIVIDEND_YIELDS[ticker] ?? CONFIG.PRICING.DEFAULT_DIVIDEND_YIELD;
+}
+
+/**
+ * Fill a contract's missing IV and Greeks
+ *
+ * IV is back-solved from the given price when the vendor has none; Greeks
+ * the vendor left null are computed from the (vendor or solved) IV.
+ * @param {object} contract - { type, strike, underlying, underlyingPrice, iv, delta, gamma, theta, vega }
+ * @param {number|null} price - Option price to solve IV from
+ * @param {number|null} dte - Days to expiration
+ * @returns {object} { iv, delta, gamma, theta, vega, sources } - sources maps
+ *   each field to 'vendor', 'computed' or null (unavailable)
+ */
+export function fillPricingGaps(contract, price, dte) {
+  const fields = ['iv', 'delta', 'gamma', 'theta', 'vega'];
+  const values = {};
+  const sources = {};
+  fields.forEach(field => {
+    values[field] = contract[field] ?? null;
+    sources[field] = values[field] != null ? 'vendor' : null;
+  });
+
+  const S = contract.underlyingPrice;
+  const K = contract.strike;
+  const canPrice = (contract.type === 'call' || contract.type === 'put') && S > 0 && K > 0 && dte > 0;
+  if (!canPrice || fields.every(field => values[field] != null)) {
+    return { ...values, sources };
+  }
+
+  const inputs = {
+    type: contract.type,
+    S: S,
+    K: K,
+    T: dte / 365,
+    r: CONFIG.PRICING.RISK_FREE_RATE,
+    q: getDividendYield(contract.underlying)
+  };
+
+  if (values.iv == null && price != null) {
+    values.iv = impliedVolatility({ ...inputs, price });
+    if (values.iv != null) sources.iv = 'computed';
+  }
+
+  if (values.iv != null && fields.some(field => values[field] == null)) {
+    const greeks = americanGreeks({ ...inputs, sigma: values.iv });
+    ['delta', 'gamma', 'theta', 'vega'].forEach(field => {
+      if (values[field] == null && Number.isFinite(greeks[field])) {
+        values[field] = greeks[field];
+        sources[field] = 'computed';
+      }
+    });
+  }
+
+  return { ...values, sources };
+}
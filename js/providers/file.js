@@ -0,0 +1,102 @@
+/**
+ * Imported File Provider
+ *
+ * Serves contracts from an imported snapshot file (see importer.js) through
+ * the provider interface, so file data goes through the same filters, table
+ * and charts as a live fetch. Server-side params (type, expirations, strike
+ * bounds) are applied in memory.
+ */
+
+import { ApiClient } from '../api.js';
+import { createAbortError } from '../utils.js';
+
+export class FileProvider extends ApiClient {
+  /**
+   * @param {Object[]} contracts - Provider-normalized contracts from importDataFile()
+   * @param {string} filename - Source file name (for display)
+   */
+  constructor(contracts, filename = 'file') {
+    super(null);
+    this.id = 'file';
+    this.label = filename;
+    this.resumable = false;
+
+    this.byTicker = new Map();
+    for (const contract of contracts) {
+      if (!this.byTicker.has(contract.underlying)) {
+        this.byTicker.set(contract.underlying, []);
+      }
+      this.byTicker.get(contract.underlying).push(contract);
+    }
+    this.tickers = [...this.byTicker.keys()].sort();
+    this.contractCount = contracts.length;
+  }
+
+  /**
+   * Plain-object description of this provider (see ApiClient.toConfig())
+   * @returns {object}
+   */
+  toConfig() {
+    return {
+      id: this.id,
+      filename: this.label,
+      contracts: [...this.byTicker.values()].flat()
+    };
+  }
+
+  /**
+   * Get the file's contracts for one underlying
+   * @param {string} ticker - Underlying ticker symbol
+   * @param {object} params - Query parameters (applied in memory)
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object[]>} Normalized contracts (copies)
+   */
+  async getOptionsChain(ticker, params = {}, signal = null) {
+    if (signal?.aborted) {
+      throw createAbortError(signal);
+    }
+
+    return (this.byTicker.get(ticker) || [])
+      .filter(c =>
+        (!params.contractType || c.type === params.contractType) &&
+        (!params.expirationGte || c.expiration >= params.expirationGte) &&
+        (!params.expirationLte || c.expiration <= params.expirationLte) &&
+        (params.strikeGte == null || c.strike >= params.strikeGte) &&
+        (params.strikeLte == null || c.strike <= params.strikeLte)
+      )
+      .map(c => ({ ...c }));
+  }
+
+  /**
+   * File contracts are already normalized
+   * @param {object} raw - Contract from getOptionsChain()
+   * @returns {object}
+   */
+  normalizeContract(raw) {
+    return raw;
+  }
+
+  /**
+   * Underlying prices as recorded in the file
+   * @param {string[]} tickers - Underlying ticker symbols
+   * @returns {Promise<Map>} Ticker -> price (tickers without a price are omitted)
+   */
+  async getUnderlyingPrices(tickers) {
+    const prices = new Map();
+    for (const ticker of tickers) {
+      const price = this.byTicker.get(ticker)?.find(c => c.underlyingPrice != null)?.underlyingPrice;
+      if (price != null) {
+        prices.set(ticker, price);
+      }
+    }
+    return prices;
+  }
+
+  /**
+   * Files need no connection
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    return true;
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Market-Data Providers
+ *
+ * Registry of keyed ApiClient adapters. OptionsScanner only uses the provider
+ * interface (see api.js), so providers can be swapped to cross-check data.
+ */
+
+import { CONFIG } from '../config.js';
+import { PolygonProvider } from './polygon.js';
+import { TradierProvider } from './tradier.js';
+import { FileProvider } from './file.js';
+import { FixtureBundle } from '../fixtures.js';
+
+const PROVIDER_CLASSES = {
+  polygon: PolygonProvider,
+  tradier: TradierProvider
+};
+
+/**
+ * List available providers for settings UIs
+ * @returns {object[]} [{ id, label, plans }]
+ */
+export function listProviders() {
+  return Object.keys(PROVIDER_CLASSES).map(id => ({
+    id,
+    label: CONFIG.PROVIDERS[id].LABEL,
+    plans: CONFIG.PROVIDERS[id].PLANS
+  }));
+}
+
+/**
+ * Create a provider client
+ * @param {string} id - Provider ID from CONFIG.PROVIDERS
+ * @param {string} apiKey - Provider API key / access token
+ * @param {object} options - ApiClient options (plan, concurrency, ...)
+ * @returns {ApiClient}
+ */
+export function createProvider(id = CONFIG.API.PROVIDER, apiKey = null, options = {}) {
+  const Provider = PROVIDER_CLASSES[id];
+  if (!Provider) {
+    throw new Error(`Unknown market-data provider: ${id}`);
+  }
+  return new Provider(apiKey, options);
+}
+
+/**
+ * Re-create a provider from ApiClient.toConfig() (e.g. inside the scan worker)
+ * @param {object} config - Provider config
+ * @returns {ApiClient}
+ */
+export function createProviderFromConfig(config) {
+  if (config.id === 'file') {
+    return new FileProvider(config.contracts, config.filename);
+  }
+
+  const provider = createProvider(config.id, config.apiKey, {
+    plan: config.plan,
+    baseUrl: config.baseUrl
+  });
+  if (config.fixtureMode && config.fixtureMode !== 'off') {
+    provider.setFixtureMode(config.fixtureMode, config.fixtures ? new FixtureBundle(config.fixtures) : null);
+  }
+  return provider;
+}
+
+// FileProvider wraps an imported file rather than a keyed API, so it is not in the registry
+export { PolygonProvider, TradierProvider, FileProvider };
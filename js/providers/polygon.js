@@ -0,0 +1,197 @@
+/**
+ * Massive.com (Polygon.io) Provider
+ *
+ * Options chains come from the per-underlying snapshot endpoint, which
+ * supports server-side contract type, expiration and strike filters and
+ * paginates via next_url. Underlying prices use the batched stock snapshot.
+ */
+
+import { ApiClient } from '../api.js';
+import { CONFIG } from '../config.js';
+import { chunk, createAbortError } from '../utils.js';
+
+export class PolygonProvider extends ApiClient {
+  /**
+   * @param {string} apiKey - Massive.com API key
+   * @param {object} options - Configuration options (see ApiClient)
+   */
+  constructor(apiKey, options = {}) {
+    super(apiKey, {
+      ...options,
+      baseUrl: options.baseUrl || CONFIG.PROVIDERS.polygon.BASE_URL
+    });
+    this.id = 'polygon';
+    this.label = CONFIG.PROVIDERS.polygon.LABEL;
+  }
+
+  /**
+   * Add the API key as a query param
+   * @param {string} url - Request URL
+   * @returns {object} { url, headers }
+   */
+  _authorize(url) {
+    const separator = url.includes('?') ? '&' : '?';
+    return { url: `${url}${separator}apiKey=${this.apiKey}`, headers: {} };
+  }
+
+  /**
+   * Fetch all pages of a paginated endpoint
+   * @param {string} initialUrl
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object[]>} All results combined
+   */
+  async _fetchAllPages(initialUrl, signal = null) {
+    const allResults = [];
+    let url = initialUrl;
+
+    while (url) {
+      if (signal?.aborted) {
+        throw createAbortError(signal);
+      }
+
+      const response = await this._fetchWithRetry(url, signal);
+
+      if (response.results && Array.isArray(response.results)) {
+        allResults.push(...response.results);
+      }
+
+      // Check for next page (throttled by the rate limiter)
+      url = response.next_url || null;
+    }
+
+    return allResults;
+  }
+
+  /**
+   * Build URL for options snapshot endpoint
+   * @param {string} ticker - Underlying ticker symbol
+   * @param {object} params - Query parameters
+   * @returns {string}
+   */
+  _buildOptionsUrl(ticker, params = {}) {
+    const url = new URL(`${this.baseUrl}/v3/snapshot/options/${ticker}`);
+
+    if (params.contractType) {
+      url.searchParams.set('contract_type', params.contractType);
+    }
+    if (params.expirationGte) {
+      url.searchParams.set('expiration_date.gte', params.expirationGte);
+    }
+    if (params.expirationLte) {
+      url.searchParams.set('expiration_date.lte', params.expirationLte);
+    }
+    if (params.strikeGte) {
+      url.searchParams.set('strike_price.gte', params.strikeGte);
+    }
+    if (params.strikeLte) {
+      url.searchParams.set('strike_price.lte', params.strikeLte);
+    }
+
+    url.searchParams.set('limit', this.pageLimit.toString());
+
+    return url.toString();
+  }
+
+  /**
+   * Get options chain for a single ticker
+   * @param {string} ticker - Underlying ticker symbol
+   * @param {object} params - Query parameters
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object[]>} Raw snapshot contracts
+   */
+  async getOptionsChain(ticker, params = {}, signal = null) {
+    const url = this._buildOptionsUrl(ticker, params);
+    return this._fetchAllPages(url, signal);
+  }
+
+  /**
+   * Flatten a snapshot contract
+   * @param {object} raw - Raw snapshot contract (details/greeks/last_quote nesting)
+   * @param {string} ticker - Underlying ticker it was fetched for
+   * @returns {object} Normalized contract
+   */
+  normalizeContract(raw, ticker) {
+    // Extract nested data safely
+    const details = raw.details || {};
+    const greeks = raw.greeks || {};
+    const lastQuote = raw.last_quote || {};
+    const lastTrade = raw.last_trade || {};
+    const day = raw.day || {};
+    const underlying = raw.underlying_asset || {};
+
+    const bid = lastQuote.bid ?? null;
+    const ask = lastQuote.ask ?? null;
+
+    return {
+      contractTicker: details.ticker || '',
+      underlying: details.underlying_ticker || underlying.ticker || ticker || '',
+      type: details.contract_type || '',
+      strike: details.strike_price ?? null,
+      expiration: details.expiration_date || '',
+      bid: bid,
+      ask: ask,
+      mid: lastQuote.midpoint ?? (bid && ask ? (bid + ask) / 2 : null),
+      last: lastTrade.price ?? null,
+      iv: raw.implied_volatility ?? null,
+      delta: greeks.delta ?? null,
+      gamma: greeks.gamma ?? null,
+      theta: greeks.theta ?? null,
+      vega: greeks.vega ?? null,
+      volume: day.volume ?? null,
+      openInterest: raw.open_interest ?? null,
+      underlyingPrice: underlying.price ?? null,
+      breakEven: raw.break_even_price ?? null
+    };
+  }
+
+  /**
+   * Get current prices for a set of underlying stocks
+   * Uses the batched stock snapshot endpoint (one request per 100 tickers)
+   * @param {string[]} tickers - Underlying ticker symbols
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<Map>} Ticker -> price (tickers without a price are omitted)
+   */
+  async getUnderlyingPrices(tickers, signal = null) {
+    const prices = new Map();
+
+    for (const batch of chunk(tickers, 100)) {
+      const url = new URL(`${this.baseUrl}/v2/snapshot/locale/us/markets/stocks/tickers`);
+      url.searchParams.set('tickers', batch.join(','));
+
+      const response = await this._fetchWithRetry(url.toString(), signal);
+
+      for (const snapshot of response.tickers || []) {
+        // Latest trade, else minute/day close, else previous close (pre-market)
+        const price = snapshot.lastTrade?.p ||
+                      snapshot.min?.c ||
+                      snapshot.day?.c ||
+                      snapshot.prevDay?.c ||
+                      null;
+        if (price) {
+          prices.set(snapshot.ticker, price);
+        }
+      }
+    }
+
+    return prices;
+  }
+
+  /**
+   * Get ticker details (for SIC code, market cap, etc.)
+   * @param {string} ticker
+   * @returns {Promise<object>}
+   */
+  async getTickerDetails(ticker) {
+    const url = `${this.baseUrl}/v3/reference/tickers/${ticker}`;
+    const response = await this._fetchWithRetry(url);
+    return response.results;
+  }
+
+  /**
+   * Lightweight reference endpoint for testConnection()
+   * @returns {string}
+   */
+  _buildTestUrl() {
+    return `${this.baseUrl}/v3/reference/tickers?limit=1`;
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Tradier Provider
+ *
+ * Tradier serves one expiration per chain request and has no server-side
+ * type or strike filters, so a chain is fetched as: expirations for the
+ * underlying -> one chain request per expiration in range -> filtered
+ * client-side to the requested type and strike bounds. Chains carry no
+ * underlying price, so it is attached from a quote request (skipped when
+ * the scanner already prefetched it).
+ */
+
+import { ApiClient } from '../api.js';
+import { CONFIG } from '../config.js';
+import { chunk, createAbortError } from '../utils.js';
+
+/**
+ * Tradier returns a single object (or null) instead of a one-element array
+ * @param {*} value
+ * @returns {Array}
+ */
+function toArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+export class TradierProvider extends ApiClient {
+  /**
+   * @param {string} apiKey - Tradier access token
+   * @param {object} options - Configuration options (see ApiClient)
+   */
+  constructor(apiKey, options = {}) {
+    const { PLANS, BASE_URL, LABEL } = CONFIG.PROVIDERS.tradier;
+    super(apiKey, {
+      ...options,
+      baseUrl: options.baseUrl || BASE_URL,
+      plan: PLANS.includes(options.plan) ? options.plan : PLANS[0]
+    });
+    this.id = 'tradier';
+    this.label = LABEL;
+  }
+
+  /**
+   * Send the token as a bearer header
+   * @param {string} url - Request URL
+   * @returns {object} { url, headers }
+   */
+  _authorize(url) {
+    return {
+      url,
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        Accept: 'application/json'
+      }
+    };
+  }
+
+  /**
+   * Get expiration dates for an underlying within a range
+   * @param {string} ticker - Underlying ticker symbol
+   * @param {object} params - { expirationGte, expirationLte }
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<string[]>} YYYY-MM-DD dates
+   */
+  async _getExpirations(ticker, params = {}, signal = null) {
+    const url = new URL(`${this.baseUrl}/markets/options/expirations`);
+    url.searchParams.set('symbol', ticker);
+
+    const response = await this._fetchWithRetry(url.toString(), signal);
+
+    return toArray(response.expirations?.date).filter(date =>
+      (!params.expirationGte || date >= params.expirationGte) &&
+      (!params.expirationLte || date <= params.expirationLte)
+    );
+  }
+
+  /**
+   * Get options chain for a single ticker
+   * @param {string} ticker - Underlying ticker symbol
+   * @param {object} params - Query parameters (underlyingPrice when already known)
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object[]>} Raw chain options with _underlyingPrice attached
+   */
+  async getOptionsChain(ticker, params = {}, signal = null) {
+    const expirations = await this._getExpirations(ticker, params, signal);
+    if (expirations.length === 0) return [];
+
+    let underlyingPrice = params.underlyingPrice ?? null;
+    if (underlyingPrice == null) {
+      const prices = await this.getUnderlyingPrices([ticker], signal);
+      underlyingPrice = prices.get(ticker) ?? null;
+    }
+
+    const results = [];
+    for (const expiration of expirations) {
+      if (signal?.aborted) {
+        throw createAbortError(signal);
+      }
+
+      const url = new URL(`${this.baseUrl}/markets/options/chains`);
+      url.searchParams.set('symbol', ticker);
+      url.searchParams.set('expiration', expiration);
+      url.searchParams.set('greeks', 'true');
+
+      const response = await this._fetchWithRetry(url.toString(), signal);
+
+      for (const option of toArray(response.options?.option)) {
+        if (params.contractType && option.option_type !== params.contractType) continue;
+        if (params.strikeGte != null && option.strike < params.strikeGte) continue;
+        if (params.strikeLte != null && option.strike > params.strikeLte) continue;
+        results.push({ ...option, _underlyingPrice: underlyingPrice });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Flatten a chain option
+   * @param {object} raw - Raw chain option
+   * @param {string} ticker - Underlying ticker it was fetched for
+   * @returns {object} Normalized contract
+   */
+  normalizeContract(raw, ticker) {
+    const greeks = raw.greeks || {};
+
+    const bid = raw.bid ?? null;
+    const ask = raw.ask ?? null;
+
+    return {
+      // OCC symbol, prefixed to match Polygon tickers for cross-checking
+      contractTicker: raw.symbol ? `O:${raw.symbol}` : '',
+      underlying: raw.underlying || ticker || '',
+      type: raw.option_type || '',
+      strike: raw.strike ?? null,
+      expiration: raw.expiration_date || '',
+      bid: bid,
+      ask: ask,
+      mid: bid != null && ask != null ? (bid + ask) / 2 : null,
+      last: raw.last ?? null,
+      iv: greeks.mid_iv ?? greeks.smv_vol ?? null,
+      delta: greeks.delta ?? null,
+      gamma: greeks.gamma ?? null,
+      theta: greeks.theta ?? null,
+      vega: greeks.vega ?? null,
+      volume: raw.volume ?? null,
+      openInterest: raw.open_interest ?? null,
+      underlyingPrice: raw._underlyingPrice ?? null,
+      breakEven: null
+    };
+  }
+
+  /**
+   * Get current prices for a set of underlying stocks
+   * @param {string[]} tickers - Underlying ticker symbols
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<Map>} Ticker -> price (tickers without a price are omitted)
+   */
+  async getUnderlyingPrices(tickers, signal = null) {
+    const prices = new Map();
+
+    for (const batch of chunk(tickers, 100)) {
+      const url = new URL(`${this.baseUrl}/markets/quotes`);
+      url.searchParams.set('symbols', batch.join(','));
+
+      const response = await this._fetchWithRetry(url.toString(), signal);
+
+      for (const quote of toArray(response.quotes?.quote)) {
+        // Last trade, else today's close, else previous close (pre-market)
+        const price = quote.last || quote.close || quote.prevclose || null;
+        if (price) {
+          prices.set(quote.symbol, price);
+        }
+      }
+    }
+
+    return prices;
+  }
+
+  /**
+   * Market clock - lightweight authenticated endpoint for testConnection()
+   * @returns {string}
+   */
+  _buildTestUrl() {
+    return `${this.baseUrl}/markets/clock`;
+  }
+}
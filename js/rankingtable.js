@@ -0,0 +1,143 @@
+/**
+ * Ranking Table Module - Contracts ranked by composite score
+ *
+ * Handles:
+ * - Top contracts by score with a per-factor percentile breakdown
+ * - Weight inputs generated from the score factors
+ */
+
+import { SCORE_FACTORS } from './scoring.js';
+import { formatCurrency, formatDate, formatNumber } from './utils.js';
+
+const CONFIG = {
+  maxDisplayRows: 100
+};
+
+// Fixed columns before the factor breakdown
+const FIXED_COLUMNS = ['#', 'Ticker', 'Strike', 'Exp', 'Price', 'Score'];
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+/**
+ * Percentile bar cell
+ * @param {number|null} value - 0-1
+ * @param {boolean} weighted - Whether the factor counts toward the score
+ * @returns {string}
+ */
+function barCell(value, weighted) {
+  if (!weighted) return '<td class="factor unweighted">-</td>';
+  if (value == null) return '<td class="factor">n/a</td>';
+
+  const pct = Math.round(value * 100);
+  return `<td class="factor"><span class="factor-bar"><span style="width: ${pct}%"></span></span><span class="factor-value">${pct}</span></td>`;
+}
+
+/**
+ * Render the header row (one column per factor)
+ * @param {object} profile - Weight profile
+ */
+function renderHeader(profile) {
+  const thead = document.getElementById('rankingHead');
+  if (!thead) return;
+
+  const fixed = FIXED_COLUMNS.map(label => `<th>${label}</th>`).join('');
+  const factors = Object.entries(SCORE_FACTORS).map(([id, factor]) => {
+    const weight = profile.weights[id];
+    return `<th class="factor${weight > 0 ? '' : ' unweighted'}" title="Percentile in this result set (100 = best)">${factor.label} <span class="factor-weight">x${weight}</span></th>`;
+  }).join('');
+  thead.innerHTML = `<tr>${fixed}${factors}</tr>`;
+}
+
+/**
+ * Build a single ranking row HTML
+ * @param {object} contract - Scored contract
+ * @param {number} rank - 1-based rank
+ * @param {object} profile - Weight profile
+ * @param {string} priceField - Price shown (the scan's price field)
+ * @returns {string}
+ */
+function buildRow(contract, rank, profile, priceField) {
+  const factors = Object.keys(SCORE_FACTORS)
+    .map(id => barCell(contract.scoreFactors?.[id] ?? null, profile.weights[id] > 0))
+    .join('');
+
+  return `<tr data-ticker="${contract.contractTicker || ''}">
+    <td class="rank">${rank}</td>
+    <td class="ticker">${contract.underlying}</td>
+    <td class="num">${contract.strike != null ? contract.strike.toFixed(2) : '-'}</td>
+    <td>${formatDate(contract.expiration)}</td>
+    <td class="num">${formatCurrency(contract[priceField] ?? contract.mid ?? contract.last)}</td>
+    <td class="num score-cell">${contract.score.toFixed(0)}</td>
+    ${factors}
+  </tr>`;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Render the top contracts by score
+ * @param {object[]} contracts - Contracts scored by scoreContracts()
+ * @param {object} profile - Weight profile they were scored with
+ * @param {object} options - { priceField } - the scan's price field
+ */
+export function renderRanking(contracts, profile, { priceField = 'last' } = {}) {
+  renderHeader(profile);
+
+  const tbody = document.getElementById('rankingBody');
+  if (!tbody) return;
+
+  const colspan = FIXED_COLUMNS.length + Object.keys(SCORE_FACTORS).length;
+  const ranked = contracts
+    .filter(c => c.score != null)
+    .sort((a, b) => b.score - a.score);
+
+  if (ranked.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="${colspan}" class="no-results">No contracts have data for the weighted factors</td></tr>`;
+  } else {
+    tbody.innerHTML = ranked
+      .slice(0, CONFIG.maxDisplayRows)
+      .map((contract, i) => buildRow(contract, i + 1, profile, priceField))
+      .join('');
+  }
+
+  const info = document.getElementById('rankingShowing');
+  if (info) {
+    info.textContent = ranked.length > CONFIG.maxDisplayRows
+      ? `Top ${CONFIG.maxDisplayRows} of ${formatNumber(ranked.length)} scored contracts`
+      : `${formatNumber(ranked.length)} scored contracts`;
+  }
+}
+
+/**
+ * Show a placeholder message instead of the ranking
+ * @param {string} message
+ * @param {object} profile - Weight profile (for the header)
+ */
+export function showRankingPlaceholder(message, profile) {
+  renderHeader(profile);
+
+  const tbody = document.getElementById('rankingBody');
+  if (tbody) {
+    const colspan = FIXED_COLUMNS.length + Object.keys(SCORE_FACTORS).length;
+    tbody.innerHTML = `<tr><td colspan="${colspan}" class="placeholder">${message}</td></tr>`;
+  }
+  const info = document.getElementById('rankingShowing');
+  if (info) info.textContent = '';
+}
+
+/**
+ * Generate one weight input per score factor
+ * @param {HTMLElement} container - Element to fill
+ */
+export function renderWeightInputs(container) {
+  container.innerHTML = Object.entries(SCORE_FACTORS).map(([id, factor]) => `
+    <div class="ranking-control-group">
+      <label for="scoreWeight-${id}">${factor.label}</label>
+      <input type="number" id="scoreWeight-${id}" data-factor="${id}" step="0.5" min="0" max="10">
+    </div>
+  `).join('');
+}
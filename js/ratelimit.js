@@ -0,0 +1,318 @@
+/**
+ * Rate Limiting for the API Client
+ *
+ * Provides:
+ * - Token bucket throttling configured per API plan tier
+ * - Retry-After / rate-limit response header parsing
+ * - Adaptive concurrency (speeds up when healthy, backs off when throttled)
+ * - Jittered exponential retry policy
+ */
+
+import { CONFIG } from './config.js';
+import { sleep } from './utils.js';
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number|null} Delay in ms, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Parse rate-limit response headers (X-RateLimit-* or IETF RateLimit-*)
+ * @param {Headers} headers - Fetch response headers
+ * @returns {object} { limit, remaining, resetMs } - null where not present
+ */
+export function parseRateLimitHeaders(headers) {
+  const get = (...names) => {
+    for (const name of names) {
+      const value = headers?.get?.(name);
+      if (value != null && value !== '') return Number(value);
+    }
+    return null;
+  };
+
+  const limit = get('x-ratelimit-limit', 'ratelimit-limit');
+  const remaining = get('x-ratelimit-remaining', 'ratelimit-remaining');
+  const reset = get('x-ratelimit-reset', 'ratelimit-reset');
+
+  // Reset is either an epoch timestamp (seconds) or seconds until reset
+  let resetMs = null;
+  if (reset != null && !isNaN(reset)) {
+    resetMs = reset > 1e9 ? Math.max(0, reset * 1000 - Date.now()) : reset * 1000;
+  }
+
+  return {
+    limit: isNaN(limit) ? null : limit,
+    remaining: isNaN(remaining) ? null : remaining,
+    resetMs
+  };
+}
+
+/**
+ * Get rate limit settings for an API plan tier
+ * @param {string} plan - Plan name from CONFIG.RATE_LIMITS
+ * @returns {object} { requestsPerSecond, burst, maxConcurrency }
+ */
+export function getPlanLimits(plan) {
+  const limits = CONFIG.RATE_LIMITS[plan];
+  if (!limits) {
+    console.warn(`Unknown API plan "${plan}", using "${CONFIG.API.PLAN}" limits`);
+    return CONFIG.RATE_LIMITS[CONFIG.API.PLAN];
+  }
+  return limits;
+}
+
+/**
+ * Token bucket - allows bursts up to capacity, refills at a steady rate
+ */
+export class TokenBucket {
+  /**
+   * @param {number} ratePerSecond - Refill rate (tokens per second)
+   * @param {number} capacity - Maximum tokens (burst size)
+   */
+  constructor(ratePerSecond, capacity) {
+    this.rate = ratePerSecond;
+    this.capacity = Math.max(1, capacity);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+  }
+
+  /**
+   * Add tokens accrued since the last refill
+   */
+  _refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a token is available, then take it
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<void>}
+   */
+  async acquire(signal = null) {
+    for (;;) {
+      const now = Date.now();
+      if (this.blockedUntil > now) {
+        await sleep(this.blockedUntil - now, signal);
+        continue;
+      }
+
+      this._refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      const waitMs = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+      await sleep(waitMs, signal);
+    }
+  }
+
+  /**
+   * Block all acquisitions for a period (e.g. from Retry-After)
+   * @param {number} ms - Pause duration
+   */
+  pause(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+
+  /**
+   * Change the refill rate
+   * @param {number} ratePerSecond
+   */
+  setRate(ratePerSecond) {
+    this._refill();
+    this.rate = ratePerSecond;
+  }
+}
+
+/**
+ * Adaptive concurrency - additive increase, multiplicative decrease
+ */
+export class AdaptiveConcurrency {
+  /**
+   * @param {number} initial - Starting concurrency
+   * @param {number} max - Upper bound
+   * @param {number} successThreshold - Consecutive successes before increasing
+   */
+  constructor(initial, max, successThreshold = 10) {
+    this.min = 1;
+    this.max = Math.max(1, max);
+    this.current = Math.min(Math.max(1, initial), this.max);
+    this.successThreshold = successThreshold;
+    this.successStreak = 0;
+  }
+
+  /**
+   * Record a successful request
+   */
+  onSuccess() {
+    this.successStreak++;
+    if (this.successStreak >= this.successThreshold && this.current < this.max) {
+      this.current++;
+      this.successStreak = 0;
+    }
+  }
+
+  /**
+   * Record a throttled request
+   */
+  onThrottle() {
+    this.current = Math.max(this.min, Math.floor(this.current / 2));
+    this.successStreak = 0;
+  }
+}
+
+/**
+ * Retry policy - exponential backoff with full jitter
+ */
+export class RetryPolicy {
+  /**
+   * @param {object} options
+   * @param {number} options.maxRetries - Maximum attempts
+   * @param {number} options.baseDelay - Base delay in ms
+   * @param {number} options.maxDelay - Cap on any single delay in ms
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? CONFIG.API.MAX_RETRIES;
+    this.baseDelay = options.baseDelay ?? CONFIG.API.RETRY_DELAY;
+    this.maxDelay = options.maxDelay ?? CONFIG.API.MAX_RETRY_DELAY;
+  }
+
+  /**
+   * Whether an error is worth retrying
+   * @param {Error} error
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @returns {boolean}
+   */
+  shouldRetry(error, attempt) {
+    if (attempt + 1 >= this.maxRetries) return false;
+    if (error.name === 'AbortError') return false;
+
+    // Network failure (no HTTP status)
+    if (error.status == null) return true;
+
+    return error.status === 429 || error.status >= 500;
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @returns {number} Delay in ms
+   */
+  getDelay(error, attempt) {
+    // Honor the server's Retry-After, with a little jitter to avoid a thundering herd
+    if (error.retryAfterMs != null) {
+      return error.retryAfterMs + Math.random() * this.baseDelay * 0.25;
+    }
+
+    // Rate limited without a hint - start one step further along the curve
+    const exponent = error.status === 429 ? attempt + 1 : attempt;
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, exponent));
+    return Math.random() * ceiling;
+  }
+}
+
+/**
+ * Rate limiter facade used by ApiClient
+ * Combines the token bucket, adaptive concurrency and response header feedback
+ */
+export class RateLimiter {
+  /**
+   * @param {object} limits - { requestsPerSecond, burst, maxConcurrency } from getPlanLimits()
+   * @param {number} initialConcurrency - Starting concurrency
+   */
+  constructor(limits, initialConcurrency = CONFIG.API.CONCURRENCY) {
+    this.baseRate = limits.requestsPerSecond;
+    this.minRate = limits.requestsPerSecond * 0.1;
+    this.bucket = new TokenBucket(limits.requestsPerSecond, limits.burst);
+    this.concurrency = new AdaptiveConcurrency(initialConcurrency, limits.maxConcurrency);
+
+    // Stats for debugging
+    this.throttleCount = 0;
+  }
+
+  /**
+   * Current number of requests allowed in flight
+   * @returns {number}
+   */
+  get maxConcurrent() {
+    return this.concurrency.current;
+  }
+
+  /**
+   * Wait for permission to send a request
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<void>}
+   */
+  acquire(signal = null) {
+    return this.bucket.acquire(signal);
+  }
+
+  /**
+   * Feed a response back into the limiter
+   * @param {number} status - HTTP status
+   * @param {Headers} headers - Response headers
+   */
+  onResponse(status, headers) {
+    const { remaining, resetMs } = parseRateLimitHeaders(headers);
+
+    if (status === 429) {
+      this.throttleCount++;
+      this.concurrency.onThrottle();
+      this.bucket.setRate(Math.max(this.minRate, this.bucket.rate / 2));
+
+      const retryAfterMs = parseRetryAfter(headers?.get?.('retry-after'));
+      const pauseMs = retryAfterMs ?? resetMs;
+      if (pauseMs != null) {
+        this.bucket.pause(pauseMs);
+      }
+      return;
+    }
+
+    // Quota exhausted for this window - wait for the reset rather than hitting a 429
+    if (remaining === 0 && resetMs != null) {
+      this.bucket.pause(resetMs);
+    }
+
+    if (status < 400) {
+      this.concurrency.onSuccess();
+      if (this.bucket.rate < this.baseRate) {
+        this.bucket.setRate(Math.min(this.baseRate, this.bucket.rate * 1.1));
+      }
+    }
+  }
+
+  /**
+   * Get limiter statistics
+   * @returns {object}
+   */
+  getStats() {
+    return {
+      rate: this.bucket.rate,
+      concurrency: this.concurrency.current,
+      throttleCount: this.throttleCount
+    };
+  }
+}
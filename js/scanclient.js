@@ -0,0 +1,308 @@
+/**
+ * Scan Worker Client - OptionsScanner that runs its pipeline in a Web Worker
+ *
+ * Drop-in replacement for OptionsScanner on the main thread: scanStream(),
+ * scan(), refilter(), scanSpreads() and retryFailedTickers() are forwarded to
+ * scanworker.js and their progress, ticker events and results are relayed
+ * back, so fetching, normalization, filtering and sorting never block the
+ * UI. The last results are mirrored here, so needsRefetch(), canRefilter()
+ * and the universe getters stay synchronous.
+ *
+ * `api` remains a main-thread provider for labels, testConnection() and
+ * fixture state; call syncProvider() after changing it in place (key, plan,
+ * fixture mode) so the worker's copy follows. Where module workers are not
+ * available the scanner runs in-process as before.
+ */
+
+import { OptionsScanner } from './scanner.js';
+import { FixtureBundle } from './fixtures.js';
+
+// Requests whose results replace the last scan results
+const SCAN_REQUESTS = new Set(['scan', 'refilter', 'retry']);
+
+export class ScanWorkerClient extends OptionsScanner {
+  /**
+   * @param {ApiClient} apiClient - Configured market-data provider (see providers/)
+   * @param {object[]} universe - Array of ticker objects with metadata
+   */
+  constructor(apiClient, universe = null) {
+    super(apiClient, universe);
+    this.worker = null;
+    this.nextRequestId = 1;
+    this.requests = new Map();  // Request id -> message handler
+
+    if (typeof Worker === 'undefined') return;
+
+    try {
+      this.worker = new Worker(new URL('./scanworker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn('Scan worker unavailable - scanning on the main thread:', error);
+      return;
+    }
+
+    this.worker.addEventListener('message', ({ data }) => {
+      const handler = this.requests.get(data.id);
+      if (handler) {
+        handler(data);
+      } else if (data.type === 'error') {
+        console.error('Scan worker error:', data.message);
+      }
+    });
+
+    // A worker that fails to load (e.g. no module worker support) falls back to in-process
+    this.worker.addEventListener('error', event => {
+      console.warn('Scan worker failed - scanning on the main thread:', event.message);
+      event.preventDefault();
+      this.worker = null;
+      for (const handler of this.requests.values()) {
+        handler({ type: 'error', message: 'Scan worker stopped' });
+      }
+    });
+
+    this._send('setProvider', { provider: apiClient.toConfig() });
+    this._send('setUniverse', { universe: this.universe });
+  }
+
+  /**
+   * Post a message to the worker (no-op when running in-process)
+   * @param {string} type - Message type
+   * @param {object} payload - Message fields
+   */
+  _send(type, payload = {}) {
+    this.worker?.postMessage({ type, ...payload });
+  }
+
+  /**
+   * Run a worker request, yielding its ticker events and returning its result
+   * @param {string} type - 'scan' | 'refilter' | 'spreads' | 'retry'
+   * @param {object} payload - Request fields
+   * @param {function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Optional abort signal (forwarded as a cancel)
+   * @yields {object} scanStream() ticker events
+   * @returns {Promise<object>} Result
+   */
+  async *_request(type, payload, onProgress = null, signal = null) {
+    const id = this.nextRequestId++;
+    const queue = [];
+    let wake = null;
+    let done = false;
+
+    this.requests.set(id, message => {
+      queue.push(message);
+      wake?.();
+    });
+    const cancel = () => this._send('cancel', { id });
+    signal?.addEventListener('abort', cancel);
+    this._send(type, { id, ...payload });
+    if (signal?.aborted) cancel();
+
+    try {
+      while (true) {
+        if (queue.length === 0) {
+          await new Promise(resolve => { wake = resolve; });
+          wake = null;
+        }
+
+        const message = queue.shift();
+        if (message.type === 'progress') {
+          onProgress?.(message.progress);
+        } else if (message.type === 'ticker') {
+          yield message.event;
+        } else if (message.type === 'error') {
+          done = true;
+          throw new Error(message.message);
+        } else if (message.type === 'result') {
+          done = true;
+          if (SCAN_REQUESTS.has(type)) this._mirrorResult(message);
+          return message.result;
+        }
+      }
+    } finally {
+      // A consumer that stops early abandons the request
+      if (!done) cancel();
+      signal?.removeEventListener('abort', cancel);
+      this.requests.delete(id);
+    }
+  }
+
+  /**
+   * Run a worker request that has no ticker events
+   * @param {string} type - 'refilter' | 'spreads' | 'retry'
+   * @param {object} payload - Request fields
+   * @param {function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object>} Result
+   */
+  async _call(type, payload, onProgress = null, signal = null) {
+    const request = this._request(type, payload, onProgress, signal);
+    let step = await request.next();
+    while (!step.done) {
+      step = await request.next();
+    }
+    return step.value;
+  }
+
+  /**
+   * Keep the last results on this side for the synchronous checks, and pick
+   * up responses the worker recorded
+   * @param {object} message - Worker result message
+   */
+  _mirrorResult({ result, fixtures }) {
+    // Refilters don't send the unfiltered contracts back - they're unchanged
+    if (result.normalizedContracts === null) {
+      result.normalizedContracts = this.lastNormalizedContracts;
+    }
+
+    this.lastScanResults = result;
+    this.lastScanParams = result.params;
+    this.lastNormalizedContracts = result.normalizedContracts;
+
+    if (fixtures && this.api.fixtureMode === 'record') {
+      this.api.fixtures = new FixtureBundle(fixtures);
+    }
+  }
+
+  /**
+   * Run a scan in the worker (see OptionsScanner.scanStream())
+   * @param {object} params - Scan parameters
+   * @param {function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Optional abort signal
+   * @param {object} options - Stream options ({ resume })
+   * @yields {object} Ticker and completion events
+   */
+  async *scanStream(params = {}, onProgress = null, signal = null, options = {}) {
+    if (!this.worker) {
+      yield* super.scanStream(params, onProgress, signal, options);
+      return;
+    }
+
+    const result = yield* this._request('scan', { params, options }, onProgress, signal);
+    yield { type: 'complete', result: result };
+  }
+
+  /**
+   * Re-filter the last scan in the worker (see OptionsScanner.refilter())
+   * @param {object} params - New filter parameters
+   * @returns {Promise<object>} Filtered results
+   */
+  async refilter(params = {}) {
+    if (!this.worker) return super.refilter(params);
+    return this._call('refilter', { params });
+  }
+
+  /**
+   * Build vertical spreads from the last scan in the worker (see OptionsScanner.scanSpreads())
+   * @param {object} params - Spread parameters
+   * @returns {Promise<object>} Spreads
+   */
+  async scanSpreads(params = {}) {
+    if (!this.worker) return super.scanSpreads(params);
+    return this._call('spreads', { params });
+  }
+
+  /**
+   * Re-fetch failed tickers in the worker (see OptionsScanner.retryFailedTickers())
+   * @param {function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object>} Updated results
+   */
+  async retryFailedTickers(onProgress = null, signal = null) {
+    if (!this.worker) return super.retryFailedTickers(onProgress, signal);
+    return this._call('retry', {}, onProgress, signal);
+  }
+
+  /**
+   * Switch market-data provider
+   * @param {ApiClient} apiClient - Configured market-data provider
+   */
+  setProvider(apiClient) {
+    super.setProvider(apiClient);
+    this.syncProvider();
+  }
+
+  /**
+   * Send the current provider's key, plan and fixtures to the worker
+   */
+  syncProvider() {
+    this._send('setProvider', { provider: this.api.toConfig() });
+  }
+
+  /**
+   * Restore saved results here and in the worker
+   * @param {object} results - Saved results ({ contracts, normalizedContracts, stats })
+   * @param {object} params - Params the results were scanned with
+   */
+  restoreResults(results, params = {}) {
+    super.restoreResults(results, params);
+    this._send('restore', { results, params });
+  }
+
+  /**
+   * Enable or disable scan checkpoints. The worker can't share the main
+   * thread's store, so it opens its own connection to the same database
+   * (cacheManager); any non-null store enables checkpointing there.
+   * @param {object|null} store
+   */
+  setCheckpointStore(store) {
+    super.setCheckpointStore(store);
+    this._sendStores();
+  }
+
+  /**
+   * Enable or disable the chain cache (in the worker's own cacheManager,
+   * as for setCheckpointStore())
+   * @param {object|null} store
+   */
+  setChainCache(store) {
+    super.setChainCache(store);
+    this._sendStores();
+  }
+
+  /**
+   * Enable or disable IV rank history (in the worker's own cacheManager,
+   * as for setCheckpointStore())
+   * @param {object|null} store
+   */
+  setIvHistoryStore(store) {
+    super.setIvHistoryStore(store);
+    this._sendStores();
+  }
+
+  /**
+   * Tell the worker which IndexedDB stores to use
+   */
+  _sendStores() {
+    this._send('setStores', {
+      checkpoints: !!this.checkpointStore,
+      chains: !!this.chainCache,
+      ivHistory: !!this.ivHistoryStore
+    });
+  }
+
+  /**
+   * Update the ticker universe
+   * @param {object[]} newUniverse
+   */
+  setUniverse(newUniverse) {
+    super.setUniverse(newUniverse);
+    this._send('setUniverse', { universe: this.universe });
+  }
+
+  /**
+   * Add tickers to universe
+   * @param {object[]} tickers
+   */
+  addToUniverse(tickers) {
+    super.addToUniverse(tickers);
+    this._send('setUniverse', { universe: this.universe });
+  }
+
+  /**
+   * Remove tickers from universe
+   * @param {string[]} tickerSymbols
+   */
+  removeFromUniverse(tickerSymbols) {
+    super.removeFromUniverse(tickerSymbols);
+    this._send('setUniverse', { universe: this.universe });
+  }
+}
@@ -9,13 +9,29 @@
  */
 
 import { ApiClient } from './api.js';
-import { applyFilters, createFilterChain } from './filters.js';
-import { calculateDTE, getMoneyness } from './utils.js';
-import { CONFIG, DEFAULT_UNIVERSE } from './config.js';
+import { applyFilters, createFilterChain, createSpreadFilterChain, runFilterFunnel } from './filters.js';
+import { calculateDTE, getDateInDays, getMoneyness, getStrikeBounds } from './utils.js';
+import { fillPricingGaps } from './pricing.js';
+import { computeContractAnalytics, computeIncomeAnalytics, computeLeapsAnalytics } from './analytics.js';
+import { buildVerticalSpreads } from './spreads.js';
+import { scoreContracts, getDefaultScoreProfile } from './scoring.js';
+import { computeAtmIvs, applyIvRank, getLookbackStart } from './ivrank.js';
+import { getSessionDate } from './market.js';
+import { CONFIG, DEFAULT_UNIVERSE, getScanDefaults } from './config.js';
+
+/**
+ * Scan params that are sent to the API as server-side filters.
+ * Changing any of these requires a fresh fetch; everything else can be
+ * re-applied to the retained normalized contracts.
+ */
+const SERVER_PARAM_KEYS = ['contractType', 'expirationGte', 'expirationLte', 'otmMin', 'otmMax', 'tickers'];
+
+// Strike distance getMoneyness() counts as ATM - the width of the IV slice
+const ATM_BAND = 0.02;
 
 export class OptionsScanner {
   /**
-   * @param {ApiClient} apiClient - Configured API client
+   * @param {ApiClient} apiClient - Configured market-data provider (see providers/)
    * @param {object[]} universe - Array of ticker objects with metadata
    */
   constructor(apiClient, universe = null) {
@@ -23,6 +39,18 @@ export class OptionsScanner {
     this.universe = universe || DEFAULT_UNIVERSE;
     this.lastScanResults = null;
     this.lastScanParams = null;
+    this.lastNormalizedContracts = null;  // Pre-filter contracts for refilter()
+    this.checkpointStore = null;          // Per-ticker checkpoints for resumable scans
+    this.chainCache = null;               // Per-ticker chain cache reused across scans
+    this.ivHistoryStore = null;           // Daily ATM IV per underlying for IV rank
+  }
+  
+  /**
+   * Switch market-data provider (existing results stay available for refilter())
+   * @param {ApiClient} apiClient - Configured market-data provider
+   */
+  setProvider(apiClient) {
+    this.api = apiClient;
   }
   
   /**
@@ -38,38 +66,24 @@ export class OptionsScanner {
   }
   
   /**
-   * Normalize a raw API contract to flat structure
-   * @param {object} raw - Raw API response contract
+   * Complete a provider-normalized contract with derived fields and metadata
+   * @param {object} contract - Normalized contract from the provider
+   *   (see ApiClient.normalizeContract())
    * @param {Map} universeMap - Ticker metadata lookup
-   * @returns {object} Normalized contract
+   * @param {string} priceField - Price to back-solve missing IV from
+   *   (falls back to mid, then last)
+   * @returns {object} Scanner contract
    */
-  _normalizeContract(raw, universeMap) {
-    // Extract nested data safely
-    const details = raw.details || {};
-    const greeks = raw.greeks || {};
-    const lastQuote = raw.last_quote || {};
-    const lastTrade = raw.last_trade || {};
-    const day = raw.day || {};
-    const underlying = raw.underlying_asset || {};
-    
-    // Get ticker from details or fallback
-    const underlyingTicker = details.underlying_ticker || 
-                             underlying.ticker || 
-                             raw._ticker || 
-                             '';
+  _normalizeContract(contract, universeMap, priceField = CONFIG.DEFAULTS.PRICE_FIELD) {
+    const { bid, ask, mid, strike, underlyingPrice, expiration } = contract;
+    const contractType = contract.type || '';
     
     // Look up universe metadata
-    const meta = universeMap.get(underlyingTicker) || {};
+    const meta = universeMap.get(contract.underlying) || {};
     
     // Calculate derived fields
-    const expiration = details.expiration_date || '';
     const dte = expiration ? calculateDTE(expiration) : null;
     
-    const bid = lastQuote.bid ?? null;
-    const ask = lastQuote.ask ?? null;
-    const mid = lastQuote.midpoint ?? (bid && ask ? (bid + ask) / 2 : null);
-    const last = lastTrade.price ?? null;
-    
     // Calculate spread
     let spread = null;
     let spreadPct = null;
@@ -78,55 +92,207 @@ export class OptionsScanner {
       spreadPct = (spread / mid) * 100;
     }
     
-    const strike = details.strike_price ?? null;
-    const underlyingPrice = underlying.price ?? null;
-    const contractType = details.contract_type || '';
-    
     const moneynessValue = getMoneyness(strike, underlyingPrice, contractType);
     
+    // Fill IV / Greeks the vendor left null (illiquid LEAPS) from the pricing model
+    const price = contract[priceField] ?? mid ?? contract.last ?? null;
+    const { sources, ...pricing } = fillPricingGaps(contract, price, dte);
+    
+    // Vendors without a break-even (Tradier, most files) get strike +/- price
+    let breakEven = contract.breakEven ?? null;
+    sources.breakEven = breakEven != null ? 'vendor' : null;
+    if (breakEven == null && price != null && strike != null && contractType) {
+      breakEven = contractType === 'put' ? strike - price : strike + price;
+      sources.breakEven = 'computed';
+    }
+    
+    const analytics = computeContractAnalytics({ ...contract, iv: pricing.iv, breakEven }, dte);
+    const income = computeIncomeAnalytics(contract, price, dte, analytics.probItm);
+    const leaps = computeLeapsAnalytics(contract, price, dte, pricing.delta);
+    
     return {
       // Identifiers
-      contractTicker: details.ticker || '',
-      underlying: underlyingTicker,
+      contractTicker: contract.contractTicker || '',
+      underlying: contract.underlying || '',
       type: contractType,
       
       // Contract specs
-      strike: strike,
-      expiration: expiration,
+      strike: strike ?? null,
+      expiration: expiration || '',
       dte: dte,
       
       // Pricing
-      bid: bid,
-      ask: ask,
-      mid: mid,
-      last: last,
+      bid: bid ?? null,
+      ask: ask ?? null,
+      mid: mid ?? null,
+      last: contract.last ?? null,
       spread: spread,
       spreadPct: spreadPct,
       
       // Volatility
-      iv: raw.implied_volatility ?? null,
+      iv: pricing.iv,
       
       // Greeks
-      delta: greeks.delta ?? null,
-      gamma: greeks.gamma ?? null,
-      theta: greeks.theta ?? null,
-      vega: greeks.vega ?? null,
+      delta: pricing.delta,
+      gamma: pricing.gamma,
+      theta: pricing.theta,
+      vega: pricing.vega,
       
       // Liquidity
-      volume: day.volume ?? null,
-      openInterest: raw.open_interest ?? null,
+      volume: contract.volume ?? null,
+      openInterest: contract.openInterest ?? null,
       
       // Context
-      underlyingPrice: underlyingPrice,
-      breakEven: raw.break_even_price ?? null,
+      underlyingPrice: underlyingPrice ?? null,
+      breakEven: breakEven,
       moneyness: moneynessValue,
       
+      // Analytics (see analytics.js)
+      probItm: analytics.probItm,
+      probTouch: analytics.probTouch,
+      expectedMove: analytics.expectedMove,
+      breakEvenPct: analytics.breakEvenPct,
+      requiredReturn: analytics.requiredReturn,
+      
+      // Short-premium income (covered call / cash-secured put)
+      premiumYield: income.premiumYield,
+      annualizedYield: income.annualizedYield,
+      downsideProtection: income.downsideProtection,
+      returnIfAssigned: income.returnIfAssigned,
+      probOtm: income.probOtm,
+      
+      // Leverage and time value (LEAPS)
+      leverage: leaps.leverage,
+      intrinsicValue: leaps.intrinsicValue,
+      extrinsicValue: leaps.extrinsicValue,
+      extrinsicPerDay: leaps.extrinsicPerDay,
+      impliedCarry: leaps.impliedCarry,
+      replacementEfficiency: leaps.replacementEfficiency,
+      
       // Metadata from universe
       _meta: {
         company: meta.company || '',
         industry: meta.industry || '',
         country: meta.country || ''
+      },
+      
+      // Where iv / Greeks / breakEven came from: 'vendor', 'computed' or null
+      _sources: sources
+    };
+  }
+  
+  /**
+   * Merge scan parameters with defaults
+   * @param {object} params - User-supplied scan parameters
+   * @returns {object} Complete scan parameters
+   */
+  _buildScanParams(params = {}) {
+    const mode = params.mode ?? 'contracts';
+    const defaults = getScanDefaults(mode);
+    return {
+      mode: mode,
+      contractType: params.contractType ?? defaults.CONTRACT_TYPE,
+      expirationGte: params.expirationGte ?? defaults.EXPIRATION_GTE,
+      expirationLte: params.expirationLte ?? defaults.EXPIRATION_LTE,
+      priceMin: params.priceMin ?? defaults.PRICE_MIN,
+      priceMax: params.priceMax ?? defaults.PRICE_MAX,
+      priceField: params.priceField ?? defaults.PRICE_FIELD,
+      deltaMin: params.deltaMin ?? defaults.DELTA_MIN,
+      deltaMax: params.deltaMax ?? defaults.DELTA_MAX,
+      otmMin: params.otmMin ?? defaults.OTM_MIN,
+      otmMax: params.otmMax ?? defaults.OTM_MAX,
+      ivMin: params.ivMin ?? defaults.IV_MIN,
+      ivMax: params.ivMax ?? defaults.IV_MAX,
+      ivRankMin: params.ivRankMin ?? null,
+      ivRankMax: params.ivRankMax ?? null,
+      ivPercentileMin: params.ivPercentileMin ?? null,
+      ivPercentileMax: params.ivPercentileMax ?? null,
+      minOpenInterest: params.minOpenInterest ?? defaults.MIN_OPEN_INTEREST,
+      minVolume: params.minVolume ?? defaults.MIN_VOLUME,
+      sortBy: params.sortBy ?? defaults.SORT_BY,
+      sortDir: params.sortDir ?? defaults.SORT_DIR,
+      // Optional filters
+      industries: params.industries || null,
+      countries: params.countries || null,
+      probItmMin: params.probItmMin ?? null,
+      probItmMax: params.probItmMax ?? null,
+      probTouchMin: params.probTouchMin ?? null,
+      probTouchMax: params.probTouchMax ?? null,
+      breakEvenPctMax: params.breakEvenPctMax ?? null,
+      requiredReturnMax: params.requiredReturnMax ?? null,
+      minAnnualizedYield: params.minAnnualizedYield ?? defaults.MIN_ANNUALIZED_YIELD ?? null,
+      minLeverage: params.minLeverage ?? defaults.MIN_LEVERAGE ?? null,
+      maxExtrinsicPerDay: params.maxExtrinsicPerDay ?? null,
+      maxImpliedCarry: params.maxImpliedCarry ?? defaults.MAX_IMPLIED_CARRY ?? null,
+      minReplacementEfficiency: params.minReplacementEfficiency ?? null,
+      // Composite score weights (see scoring.js)
+      scoreProfile: params.scoreProfile ?? getDefaultScoreProfile(),
+      tickers: params.tickers || null  // Override universe
+    };
+  }
+  
+  /**
+   * Build API query params (server-side filters) from scan parameters
+   * @param {object} scanParams - Complete scan parameters
+   * @returns {object} Params for ApiClient
+   */
+  _buildApiParams(scanParams) {
+    return {
+      // No contract type fetches both sides in one pass
+      contractType: scanParams.contractType === 'both' ? null : scanParams.contractType,
+      expirationGte: scanParams.expirationGte,
+      expirationLte: scanParams.expirationLte
+    };
+  }
+  
+  /**
+   * Resolve the API params for each ticker, adding strike bounds when the
+   * scan has a moneyness window (otmMin/otmMax)
+   * 
+   * Underlying prices are prefetched in batches and passed along as
+   * `underlyingPrice` so providers don't quote them again; tickers without a
+   * price are fetched unbounded and the otmRange filter still applies client-side.
+   * @param {object} scanParams - Complete scan parameters
+   * @param {string[]} tickers - Tickers about to be fetched
+   * @param {function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object>} { params, boundedTickers } - params is an object
+   *   or a (ticker) => params function for ApiClient
+   */
+  async _resolveApiParams(scanParams, tickers, onProgress = null, signal = null) {
+    const apiParams = this._buildApiParams(scanParams);
+    if ((scanParams.otmMin == null && scanParams.otmMax == null) || tickers.length === 0) {
+      return { params: apiParams, boundedTickers: 0 };
+    }
+    
+    if (onProgress) {
+      onProgress({ phase: 'fetching', message: 'Fetching underlying prices...', progress: 0 });
+    }
+    
+    let prices;
+    try {
+      prices = await this.api.getUnderlyingPrices(tickers, signal);
+    } catch (error) {
+      // On abort the ticker fetch is skipped anyway; otherwise fall back to full chains
+      if (!signal?.aborted) {
+        console.warn('Failed to prefetch underlying prices - fetching unbounded chains:', error.message);
       }
+      return { params: apiParams, boundedTickers: 0 };
+    }
+    
+    const boundsByTicker = new Map();
+    for (const [ticker, price] of prices) {
+      boundsByTicker.set(ticker, {
+        ...getStrikeBounds(price, apiParams.contractType, scanParams.otmMin, scanParams.otmMax),
+        underlyingPrice: price
+      });
+    }
+    
+    console.log(`Strike bounds from moneyness window for ${boundsByTicker.size}/${tickers.length} tickers`);
+    
+    return {
+      params: (ticker) => ({ ...apiParams, ...boundsByTicker.get(ticker) }),
+      boundedTickers: boundsByTicker.size
     };
   }
   
@@ -160,159 +326,297 @@ export class OptionsScanner {
    * Run a scan with the given parameters
    * @param {object} params - Scan parameters
    * @param {function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Optional abort signal; on abort the
+   *   contracts fetched so far are returned with stats.partial = true
+   * @param {object} options - See scanStream()
    * @returns {Promise<object>} Scan results
    */
-  async scan(params = {}, onProgress = null) {
+  async scan(params = {}, onProgress = null, signal = null, options = {}) {
+    let result = null;
+    for await (const event of this.scanStream(params, onProgress, signal, options)) {
+      if (event.type === 'complete') result = event.result;
+    }
+    return result;
+  }
+  
+  /**
+   * Run a scan, yielding each ticker's contracts as soon as it completes
+   * 
+   * Yields { type: 'ticker', ticker, contracts, error, completed, total } per
+   * ticker, where contracts are normalized and filtered (but not sorted) and
+   * error is the ticker's fetch error (or null), followed by a single
+   * { type: 'complete', result } with the same result as scan().
+   * @param {object} params - Scan parameters
+   * @param {function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Optional abort signal; on abort the stream
+   *   completes with the contracts fetched so far and stats.partial = true
+   * @param {object} options - Stream options
+   * @param {object} options.resume - Interrupted scan checkpoint to resume
+   *   (from getInterruptedScan()); its params and tickers replace params
+   * @param {boolean} options.forceRefresh - Fetch every ticker even if the
+   *   chain cache has a fresh copy (fetched chains are still cached)
+   * @yields {object} Ticker and completion events
+   */
+  async *scanStream(params = {}, onProgress = null, signal = null, options = {}) {
     const startTime = Date.now();
+    const resume = options.resume || null;
     
-    // Merge with defaults
-    const scanParams = {
-      contractType: params.contractType ?? CONFIG.DEFAULTS.CONTRACT_TYPE,
-      expirationGte: params.expirationGte ?? CONFIG.DEFAULTS.EXPIRATION_GTE,
-      expirationLte: params.expirationLte ?? CONFIG.DEFAULTS.EXPIRATION_LTE,
-      priceMin: params.priceMin ?? CONFIG.DEFAULTS.PRICE_MIN,
-      priceMax: params.priceMax ?? CONFIG.DEFAULTS.PRICE_MAX,
-      priceField: params.priceField ?? CONFIG.DEFAULTS.PRICE_FIELD,
-      deltaMin: params.deltaMin ?? CONFIG.DEFAULTS.DELTA_MIN,
-      deltaMax: params.deltaMax ?? CONFIG.DEFAULTS.DELTA_MAX,
-      ivMin: params.ivMin ?? CONFIG.DEFAULTS.IV_MIN,
-      ivMax: params.ivMax ?? CONFIG.DEFAULTS.IV_MAX,
-      minOpenInterest: params.minOpenInterest ?? CONFIG.DEFAULTS.MIN_OPEN_INTEREST,
-      minVolume: params.minVolume ?? CONFIG.DEFAULTS.MIN_VOLUME,
-      sortBy: params.sortBy ?? CONFIG.DEFAULTS.SORT_BY,
-      sortDir: params.sortDir ?? CONFIG.DEFAULTS.SORT_DIR,
-      // Optional filters
-      industries: params.industries || null,
-      countries: params.countries || null,
-      tickers: params.tickers || null  // Override universe
-    };
+    const scanParams = this._buildScanParams(resume ? resume.params : params);
     
     // Determine which tickers to scan
     let tickersToScan;
-    if (scanParams.tickers && scanParams.tickers.length > 0) {
+    if (resume) {
+      tickersToScan = resume.tickers;
+    } else if (scanParams.tickers && scanParams.tickers.length > 0) {
       tickersToScan = scanParams.tickers;
+    } else if (this.api.tickers) {
+      tickersToScan = this.api.tickers;  // e.g. every underlying in an imported file
     } else {
       tickersToScan = this.universe.map(u => u.ticker);
     }
     
-    // Build API query params (server-side filters)
-    const apiParams = {
-      contractType: scanParams.contractType,
-      expirationGte: scanParams.expirationGte,
-      expirationLte: scanParams.expirationLte
-    };
+    // Checkpoint each completed ticker so an interrupted scan can be resumed
+    const store = this.api.resumable ? this.checkpointStore : null;
+    
+    // Recorded fixtures must see every request, and files need no caching
+    const chainCache = this.api.resumable && this.api.fixtureMode === 'off' ? this.chainCache : null;
+    let checkpointId = null;
+    let restoredChains = new Map();
+    if (store) {
+      if (resume) {
+        checkpointId = resume.id;
+        restoredChains = await store.loadCheckpointChains(checkpointId);
+      } else {
+        checkpointId = await store.beginCheckpoint(scanParams, tickersToScan);
+      }
+    }
     
     // Fetch data from API
     if (onProgress) {
       onProgress({ phase: 'fetching', message: 'Fetching options data...', progress: 0 });
     }
     
-    const rawContracts = await this.api.getOptionsChainForTickers(
-      tickersToScan,
+    // Build universe map for metadata lookup
+    const universeMap = this._buildUniverseMap();
+    const filterChain = createFilterChain(scanParams);
+    
+    // Normalized contracts per ticker, kept in ticker order for the final result
+    const normalizedByIndex = new Array(tickersToScan.length);
+    const total = tickersToScan.length;
+    const errors = [];
+    let tickersCompleted = 0;
+    
+    const completeTicker = (index, results, error = null) => {
+      tickersCompleted++;
+      
+      const normalized = results.map(contract => this._normalizeContract(contract, universeMap, scanParams.priceField));
+      normalizedByIndex[index] = normalized;
+      
+      return {
+        type: 'ticker',
+        ticker: tickersToScan[index],
+        contracts: applyFilters(normalized, ...filterChain),
+        error: error,
+        completed: tickersCompleted,
+        total: total
+      };
+    };
+    
+    // Replay checkpointed tickers first, then fetch only the missing ones
+    let pendingIndexes = [];
+    tickersToScan.forEach((ticker, index) => {
+      if (!restoredChains.has(ticker)) pendingIndexes.push(index);
+    });
+    
+    for (const [index, ticker] of tickersToScan.entries()) {
+      if (restoredChains.has(ticker)) {
+        yield completeTicker(index, restoredChains.get(ticker));
+      }
+    }
+    const resumedTickers = tickersCompleted;
+    
+    // Then reuse fresh cached chains fetched with the same server-side params
+    let cachedTickers = 0;
+    if (chainCache && !options.forceRefresh && pendingIndexes.length > 0) {
+      const keys = pendingIndexes.map(index => this._chainCacheKey(tickersToScan[index], scanParams));
+      const cachedChains = await chainCache.getCachedChains(keys);
+      
+      for (const [i, index] of pendingIndexes.entries()) {
+        const chain = cachedChains.get(keys[i]);
+        if (!chain) continue;
+        
+        cachedTickers++;
+        if (store) {
+          await store.saveTickerCheckpoint(checkpointId, tickersToScan[index], chain);
+        }
+        yield completeTicker(index, chain);
+      }
+      pendingIndexes = pendingIndexes.filter((index, i) => !cachedChains.has(keys[i]));
+      if (cachedTickers > 0) {
+        console.log(`Reused ${cachedTickers} cached chains`);
+      }
+    }
+    const prefetchedTickers = tickersCompleted;
+    const pendingTickers = pendingIndexes.map(index => tickersToScan[index]);
+    
+    const { params: apiParams, boundedTickers } = await this._resolveApiParams(
+      scanParams, pendingTickers, onProgress, signal
+    );
+    
+    const tickerStream = this.api.streamOptionsChainForTickers(
+      pendingTickers,
       apiParams,
-      (ticker, current, total, status) => {
-        if (onProgress) {
-          const progress = Math.round((current / total) * 100);
+      (ticker, current, pendingTotal, status) => {
+        if (onProgress && !signal?.aborted) {
+          const done = prefetchedTickers + current;
           onProgress({
             phase: 'fetching',
-            message: `Fetching ${ticker}... (${current}/${total})`,
-            progress: progress,
+            message: `Fetching ${ticker}... (${done}/${total})`,
+            progress: Math.round((done / total) * 100),
             ticker: ticker
           });
         }
-      }
+      },
+      signal
     );
     
-    if (onProgress) {
-      onProgress({ phase: 'processing', message: 'Processing contracts...', progress: 100 });
+    for await (const { ticker, index, results, error } of tickerStream) {
+      if (error) {
+        errors.push(error);
+      } else {
+        if (store) {
+          await store.saveTickerCheckpoint(checkpointId, ticker, results);
+        }
+        if (chainCache) {
+          await chainCache.saveCachedChain(this._chainCacheKey(ticker, scanParams), results);
+        }
+      }
+      yield completeTicker(pendingIndexes[index], results, error);
     }
     
-    // Build universe map for metadata lookup
-    const universeMap = this._buildUniverseMap();
+    const partial = !!signal?.aborted;
     
-    // Normalize all contracts
-    const normalizedContracts = rawContracts.map(raw => 
-      this._normalizeContract(raw, universeMap)
-    );
+    // Finished scans don't need resuming; cancelled ones keep their checkpoint
+    if (store && !partial) {
+      await store.clearCheckpoint();
+    }
     
-    // Build and apply filters
-    const filterChain = createFilterChain(scanParams);
-
-    // DEBUG: Log filter diagnostics
-    console.log('=== FILTER DIAGNOSTICS ===');
-    console.log('Scan params:', scanParams);
-    console.log('Number of filters:', filterChain.length);
-    console.log('Filter chain:', filterChain.map(f => f.filterName || 'unnamed'));
-
-    // Test each filter individually to find the culprit
-    if (normalizedContracts.length > 0) {
-      const sample = normalizedContracts.slice(0, 3);
-      console.log('Sample contracts (first 3):', sample);
-
-      // Check what price fields have data
-      const priceFields = ['bid', 'ask', 'mid', 'last'];
-      console.log('\n--- Price field availability ---');
-      priceFields.forEach(field => {
-        const hasValue = normalizedContracts.filter(c => c[field] != null && c[field] > 0).length;
-        console.log(`${field}: ${hasValue}/${normalizedContracts.length} have data`);
-      });
-
-      // Count how many pass each filter independently
-      console.log('\n--- Individual filter pass rates ---');
-      filterChain.forEach((filter) => {
-        const passing = normalizedContracts.filter(filter).length;
-        const pct = ((passing / normalizedContracts.length) * 100).toFixed(1);
-        console.log(`${filter.filterName}: ${passing}/${normalizedContracts.length} (${pct}%)`);
-      });
-
-      // Show cumulative filtering
-      console.log('\n--- Cumulative filtering ---');
-      let remaining = normalizedContracts;
-      filterChain.forEach((filter) => {
-        const before = remaining.length;
-        remaining = remaining.filter(filter);
-        console.log(`After ${filter.filterName}: ${remaining.length} remaining (removed ${before - remaining.length})`);
-      });
+    if (onProgress) {
+      onProgress({ phase: 'processing', message: 'Processing contracts...', progress: 100 });
     }
-    console.log('=== END DIAGNOSTICS ===');
-
-    const filteredContracts = applyFilters(normalizedContracts, ...filterChain);
     
-    // Sort results
-    const sortedContracts = this._sortContracts(
-      filteredContracts, 
-      scanParams.sortBy, 
-      scanParams.sortDir
+    // IV rank needs every ticker's chain, so it is added once fetching is done
+    const normalizedContracts = await this._applyIvRank(
+      normalizedByIndex.filter(Boolean).flat(),
+      this.api.resumable && this.api.fixtureMode === 'off',
+      signal
     );
     
+    // Filter (recording the funnel) and sort
+    const { contracts: sortedContracts, funnel } = this._filterAndSort(normalizedContracts, scanParams);
+    
     const endTime = Date.now();
+    const timestamp = new Date().toISOString();
     
     // Build result object
     const result = {
       contracts: sortedContracts,
+      normalizedContracts: normalizedContracts,  // Unfiltered, for refilter()
       stats: {
-        totalFetched: rawContracts.length,
+        totalFetched: normalizedContracts.length,
         afterFilters: sortedContracts.length,
         tickersScanned: tickersToScan.length,
+        tickersCompleted: tickersCompleted,
+        resumedTickers: resumedTickers,
+        cachedTickers: cachedTickers,
+        strikeBoundedTickers: boundedTickers,
+        partial: partial,
         scanTime: endTime - startTime,
-        timestamp: new Date().toISOString()
+        timestamp: timestamp,
+        fetchedAt: timestamp,
+        funnel: funnel
       },
+      errors: errors,  // Per-ticker fetch failures ({ ticker, status, message })
       params: scanParams
     };
     
     // Cache results
     this.lastScanResults = result;
     this.lastScanParams = scanParams;
+    this.lastNormalizedContracts = normalizedContracts;
     
     if (onProgress) {
-      onProgress({ 
-        phase: 'complete', 
-        message: `Found ${sortedContracts.length} contracts`, 
-        progress: 100 
-      });
+      if (partial) {
+        onProgress({ 
+          phase: 'cancelled', 
+          message: `Cancelled - ${sortedContracts.length} contracts from ${tickersCompleted}/${tickersToScan.length} tickers (partial)`, 
+          progress: Math.round((tickersCompleted / tickersToScan.length) * 100) 
+        });
+      } else {
+        onProgress({ 
+          phase: 'complete', 
+          message: `Found ${sortedContracts.length} contracts`, 
+          progress: 100 
+        });
+      }
     }
     
-    return result;
+    yield { type: 'complete', result: result };
+  }
+  
+  /**
+   * Apply the filter chain and sort for a set of scan params
+   * @param {object[]} contracts - Normalized contracts
+   * @param {object} scanParams - Complete scan parameters
+   * @returns {object} { contracts, funnel } - Scored, sorted contracts and filter funnel report
+   */
+  _filterAndSort(contracts, scanParams) {
+    const filterChain = createFilterChain(scanParams);
+    const { funnel, contracts: filteredContracts } = runFilterFunnel(contracts, filterChain);
+    
+    // Scores are percentiles within the filtered set
+    const scoredContracts = scoreContracts(filteredContracts, scanParams.scoreProfile, {
+      priceField: scanParams.priceField
+    });
+    
+    const sortedContracts = this._sortContracts(
+      scoredContracts, 
+      scanParams.sortBy, 
+      scanParams.sortDir
+    );
+    
+    return { contracts: sortedContracts, funnel };
+  }
+  
+  /**
+   * Check whether new params change any server-side filter of the last scan
+   * @param {object} params - Candidate scan parameters
+   * @returns {boolean} True if a fresh API fetch is required
+   */
+  needsRefetch(params = {}) {
+    if (!this.lastScanParams) return true;
+    
+    const next = this._buildScanParams(params);
+    
+    // Normalized contracts are priced (IV, break-even, yields) from the price field
+    if (next.priceField !== this.lastScanParams.priceField) return true;
+    
+    return SERVER_PARAM_KEYS.some(key => {
+      const a = this.lastScanParams[key];
+      const b = next[key];
+      if (Array.isArray(a) || Array.isArray(b)) {
+        return (a || []).join(',') !== (b || []).join(',');
+      }
+      return (a ?? null) !== (b ?? null);
+    });
+  }
+  
+  /**
+   * Whether the last scan can be re-filtered without an API call
+   * @returns {boolean}
+   */
+  canRefilter() {
+    return Array.isArray(this.lastNormalizedContracts);
   }
   
   /**
@@ -320,21 +624,350 @@ export class OptionsScanner {
    * @param {object} params - New filter parameters
    * @returns {object} Filtered results
    */
-  refilter(params) {
+  refilter(params = {}) {
     if (!this.lastScanResults) {
       throw new Error('No previous scan results to filter');
     }
+    if (!this.canRefilter()) {
+      throw new Error('Last scan has no unfiltered data - please run a new scan');
+    }
+    if (this.needsRefetch(params)) {
+      throw new Error('Contract type, expiration, tickers or price field changed - please run a new scan');
+    }
+    
+    const startTime = Date.now();
+    const filterParams = this._buildScanParams(params);
+    const { contracts: sortedContracts, funnel } = this._filterAndSort(this.lastNormalizedContracts, filterParams);
+    const lastStats = this.lastScanResults.stats || {};
+    
+    const result = {
+      contracts: sortedContracts,
+      normalizedContracts: this.lastNormalizedContracts,
+      stats: {
+        totalFetched: this.lastNormalizedContracts.length,
+        afterFilters: sortedContracts.length,
+        tickersScanned: lastStats.tickersScanned,
+        tickersCompleted: lastStats.tickersCompleted,
+        partial: lastStats.partial || false,
+        scanTime: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        fetchedAt: lastStats.fetchedAt || lastStats.timestamp,
+        refiltered: true,
+        funnel: funnel
+      },
+      errors: this.lastScanResults.errors || [],
+      params: filterParams
+    };
+    
+    this.lastScanResults = result;
+    this.lastScanParams = filterParams;
+    
+    return result;
+  }
+  
+  /**
+   * Merge vertical spread parameters with defaults
+   * @param {object} params - User-supplied spread parameters
+   * @returns {object} Complete spread parameters
+   */
+  _buildSpreadParams(params = {}) {
+    const defaults = CONFIG.SPREAD_DEFAULTS;
+    return {
+      strategies: params.strategies ?? defaults.STRATEGIES,
+      pricing: params.pricing ?? defaults.PRICING,
+      widthMin: params.widthMin ?? defaults.WIDTH_MIN,
+      widthMax: params.widthMax ?? defaults.WIDTH_MAX,
+      widthMaxPct: params.widthMaxPct ?? defaults.WIDTH_MAX_PCT,
+      widthMaxStrikes: params.widthMaxStrikes ?? defaults.WIDTH_MAX_STRIKES,
+      dteMin: params.dteMin ?? defaults.DTE_MIN,
+      dteMax: params.dteMax ?? defaults.DTE_MAX,
+      netMin: params.netMin ?? defaults.NET_MIN,
+      netMax: params.netMax ?? defaults.NET_MAX,
+      minRewardRisk: params.minRewardRisk ?? defaults.MIN_REWARD_RISK,
+      maxLoss: params.maxLoss ?? defaults.MAX_LOSS,
+      minLegOpenInterest: params.minLegOpenInterest ?? defaults.MIN_LEG_OPEN_INTEREST,
+      breakEvenPctMax: params.breakEvenPctMax ?? null,
+      industries: params.industries || null,
+      sortBy: params.sortBy ?? defaults.SORT_BY,
+      sortDir: params.sortDir ?? defaults.SORT_DIR,
+      maxResults: params.maxResults ?? defaults.MAX_RESULTS
+    };
+  }
+  
+  /**
+   * Pair the last scan's chains into vertical spreads (no API call). Legs
+   * come from the unfiltered contracts, so single-leg filters don't apply.
+   * @param {object} params - Spread parameters (see CONFIG.SPREAD_DEFAULTS)
+   * @returns {object} { spreads, stats, params }
+   */
+  scanSpreads(params = {}) {
+    if (!this.canRefilter()) {
+      throw new Error('Run a scan first - spreads are built from its chains');
+    }
     
-    // Get the raw normalized contracts before the last filter
-    // Note: This would require storing pre-filtered results
-    // For now, this is a limitation - we'd need to re-scan
+    const startTime = Date.now();
+    const spreadParams = this._buildSpreadParams(params);
+    // Leg-level limits are applied before pairing; the filter chain sees spreads
+    const built = buildVerticalSpreads(this.lastNormalizedContracts, {
+      strategies: spreadParams.strategies,
+      pricing: spreadParams.pricing,
+      maxWidth: spreadParams.widthMax,
+      maxWidthPct: spreadParams.widthMaxPct,
+      maxWidthStrikes: spreadParams.widthMaxStrikes,
+      minLegOpenInterest: spreadParams.minLegOpenInterest,
+      dteMin: spreadParams.dteMin,
+      dteMax: spreadParams.dteMax
+    });
+    const { funnel, contracts: filtered } = runFilterFunnel(built, createSpreadFilterChain(spreadParams));
+    const sorted = this._sortContracts(filtered, spreadParams.sortBy, spreadParams.sortDir);
+    const spreads = spreadParams.maxResults != null ? sorted.slice(0, spreadParams.maxResults) : sorted;
     
-    const filterParams = { ...this.lastScanParams, ...params };
-    const filterChain = createFilterChain(filterParams);
+    return {
+      spreads: spreads,
+      stats: {
+        totalLegs: this.lastNormalizedContracts.length,
+        totalBuilt: built.length,
+        afterFilters: sorted.length,
+        truncated: spreads.length < sorted.length,
+        scanTime: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        funnel: funnel
+      },
+      params: spreadParams
+    };
+  }
+  
+  /**
+   * Re-fetch the tickers that failed in the last scan and merge any
+   * recovered contracts into its results
+   * @param {function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object>} Updated results; errors lists tickers still failing
+   */
+  async retryFailedTickers(onProgress = null, signal = null) {
+    if (!this.lastScanResults) {
+      throw new Error('No previous scan results to retry');
+    }
+    if (!this.canRefilter()) {
+      throw new Error('Last scan has no unfiltered data - please run a new scan');
+    }
+    
+    const failed = (this.lastScanResults.errors || []).map(e => e.ticker);
+    if (failed.length === 0) {
+      return this.lastScanResults;
+    }
+    
+    const startTime = Date.now();
+    const scanParams = this.lastScanParams;
+    const universeMap = this._buildUniverseMap();
     
-    // We need to store normalized but unfiltered contracts for this to work
-    // This is a TODO for optimization
-    throw new Error('Refilter not yet implemented - please run a new scan');
+    if (onProgress) {
+      onProgress({ phase: 'fetching', message: `Retrying ${failed.length} failed tickers...`, progress: 0 });
+    }
+    
+    const recovered = [];
+    const attempted = new Set();
+    const errors = [];
+    
+    const { params: apiParams } = await this._resolveApiParams(scanParams, failed, null, signal);
+    
+    const tickerStream = this.api.streamOptionsChainForTickers(
+      failed,
+      apiParams,
+      (ticker, current, total) => {
+        if (onProgress && !signal?.aborted) {
+          onProgress({
+            phase: 'fetching',
+            message: `Retrying ${ticker}... (${current}/${total})`,
+            progress: Math.round((current / total) * 100),
+            ticker: ticker
+          });
+        }
+      },
+      signal
+    );
+    
+    for await (const { ticker, results, error } of tickerStream) {
+      attempted.add(ticker);
+      if (error) {
+        errors.push(error);
+      } else {
+        recovered.push(...results.map(contract => this._normalizeContract(contract, universeMap, scanParams.priceField)));
+      }
+    }
+    
+    // Tickers skipped by a cancel keep their original error
+    this.lastScanResults.errors
+      .filter(e => !attempted.has(e.ticker))
+      .forEach(e => errors.push(e));
+    
+    const normalizedContracts = await this._applyIvRank(
+      [...this.lastNormalizedContracts, ...recovered],
+      this.api.resumable && this.api.fixtureMode === 'off',
+      signal
+    );
+    const { contracts: sortedContracts, funnel } = this._filterAndSort(normalizedContracts, scanParams);
+    const lastStats = this.lastScanResults.stats || {};
+    
+    const result = {
+      contracts: sortedContracts,
+      normalizedContracts: normalizedContracts,
+      stats: {
+        ...lastStats,
+        totalFetched: normalizedContracts.length,
+        afterFilters: sortedContracts.length,
+        scanTime: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        refiltered: false,
+        funnel: funnel
+      },
+      errors: errors,
+      params: scanParams
+    };
+    
+    this.lastScanResults = result;
+    this.lastNormalizedContracts = normalizedContracts;
+    
+    if (onProgress) {
+      const recoveredCount = failed.length - errors.length;
+      onProgress({
+        phase: 'complete',
+        message: `Recovered ${recoveredCount}/${failed.length} tickers - ${sortedContracts.length} contracts`,
+        progress: 100
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Restore scanner state from previously saved results (e.g. from cache)
+   * so that refilter() works on a reloaded scan
+   * @param {object} results - Saved results ({ contracts, normalizedContracts, stats })
+   * @param {object} params - Params the results were scanned with
+   */
+  restoreResults(results, params = {}) {
+    const scanParams = this._buildScanParams(results.params || params);
+    this.lastScanResults = { ...results, params: scanParams };
+    this.lastScanParams = scanParams;
+    this.lastNormalizedContracts = results.normalizedContracts || null;
+  }
+  
+  /**
+   * Set the store used to checkpoint scans (e.g. cacheManager)
+   * Must provide beginCheckpoint, saveTickerCheckpoint, loadCheckpointChains
+   * and clearCheckpoint; pass null to disable checkpointing.
+   * @param {object|null} store
+   */
+  setCheckpointStore(store) {
+    this.checkpointStore = store;
+  }
+  
+  /**
+   * Set the per-ticker chain cache (e.g. cacheManager)
+   * Must provide getCachedChains(keys) and saveCachedChain(key, results)
+   * and handle expiry; pass null to always fetch.
+   * @param {object|null} store
+   */
+  setChainCache(store) {
+    this.chainCache = store;
+  }
+  
+  /**
+   * Set the IV history store (e.g. cacheManager)
+   * Must provide getIvHistory(tickers, fromDate, beforeDate) and
+   * saveIvSnapshot(date, ivs); pass null to scan without IV rank.
+   * @param {object|null} store
+   */
+  setIvHistoryStore(store) {
+    this.ivHistoryStore = store;
+  }
+  
+  /**
+   * Add ATM IV, IV rank and IV percentile per underlying (see ivrank.js)
+   * against the IV history store, recording the ATM IVs under the last
+   * trading session (a weekend scan re-reads Friday's close, not a new day).
+   * Underlyings whose fetched chain has no ATM strikes near the target tenor
+   * (e.g. the default LEAPS window, or an OTM window) get their reading from
+   * an ATM slice fetched for it when CONFIG.IV_RANK.FETCH_ATM_SLICE is set;
+   * otherwise they get no rank and record nothing.
+   * @param {object[]} contracts - Normalized contracts
+   * @param {boolean} record - Whether to store the readings (live data only -
+   *   imported files and fixture replays aren't today's market)
+   * @param {AbortSignal} signal - Optional abort signal for the slice fetch
+   * @returns {Promise<object[]>} Contracts with the IV rank fields
+   */
+  async _applyIvRank(contracts, record, signal = null) {
+    let atmIvs = computeAtmIvs(contracts);
+    const store = this.ivHistoryStore;
+    if (!store) return applyIvRank(contracts, atmIvs, {});
+    
+    if (record && CONFIG.IV_RANK.FETCH_ATM_SLICE) {
+      const slices = await this._fetchAtmSlices(contracts, atmIvs, signal);
+      atmIvs = { ...computeAtmIvs(slices), ...atmIvs };
+    }
+    
+    const session = getSessionDate();
+    const history = await store.getIvHistory(Object.keys(atmIvs), getLookbackStart(session), session);
+    if (record) {
+      await store.saveIvSnapshot(session, atmIvs);
+    }
+    return applyIvRank(contracts, atmIvs, history);
+  }
+  
+  /**
+   * Fetch the ATM strikes near the target tenor for underlyings whose
+   * scanned chain gave no IV reading - one small fetch per ticker, used
+   * only for the reading (the contracts are not added to the results)
+   * @param {object[]} contracts - Normalized contracts from the scan
+   * @param {object} atmIvs - Readings the scanned chains already gave
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<object[]>} Normalized slice contracts
+   */
+  async _fetchAtmSlices(contracts, atmIvs, signal = null) {
+    // Underlying price from the scanned chain (tickers that returned nothing are skipped)
+    const prices = new Map();
+    for (const c of contracts) {
+      if (!(c.underlying in atmIvs) && c.underlyingPrice > 0) {
+        prices.set(c.underlying, c.underlyingPrice);
+      }
+    }
+    if (prices.size === 0 || signal?.aborted) return [];
+    
+    const { TARGET_DTE, DTE_TOLERANCE } = CONFIG.IV_RANK;
+    const expirationGte = getDateInDays(Math.max(0, TARGET_DTE - DTE_TOLERANCE));
+    const expirationLte = getDateInDays(TARGET_DTE + DTE_TOLERANCE);
+    const params = (ticker) => ({
+      contractType: null,
+      expirationGte,
+      expirationLte,
+      ...getStrikeBounds(prices.get(ticker), null, -ATM_BAND, ATM_BAND),
+      underlyingPrice: prices.get(ticker)
+    });
+    
+    const universeMap = this._buildUniverseMap();
+    const slices = [];
+    for await (const { results, error } of this.api.streamOptionsChainForTickers([...prices.keys()], params, null, signal)) {
+      if (error) continue;  // Logged by the ticker pool; the ticker just gets no reading
+      slices.push(...results.map(contract => this._normalizeContract(contract, universeMap)));
+    }
+    
+    console.log(`Fetched ATM IV slices for ${prices.size} tickers`);
+    return slices;
+  }
+  
+  /**
+   * Cache key for a ticker's chain: provider, ticker and the server-side
+   * params (tickers aside) that shaped the request
+   * @param {string} ticker - Underlying ticker
+   * @param {object} scanParams - Complete scan parameters
+   * @returns {string}
+   */
+  _chainCacheKey(ticker, scanParams) {
+    const serverParams = SERVER_PARAM_KEYS
+      .filter(key => key !== 'tickers')
+      .map(key => scanParams[key] ?? '');
+    return [this.api.id, ticker, ...serverParams].join('|');
   }
   
   /**
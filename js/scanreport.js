@@ -0,0 +1,149 @@
+/**
+ * Scan Report Module
+ * Summarizes per-ticker fetch failures from a scan (result.errors) by
+ * category so users can tell bad keys and throttling from unknown symbols
+ */
+
+import { formatNumber, escapeHtml } from './utils.js';
+
+/**
+ * Error categories, in display order
+ */
+const ERROR_CATEGORIES = [
+  { id: 'auth',      label: 'Auth',           icon: 'ph-key',           hint: 'Check the API key and plan (401/403)' },
+  { id: 'rateLimit', label: 'Rate limit',     icon: 'ph-hourglass',     hint: 'Throttled after retries (429)' },
+  { id: 'notFound',  label: 'Unknown symbol', icon: 'ph-question',      hint: 'Ticker not found (404)' },
+  { id: 'server',    label: 'Server',         icon: 'ph-cloud-warning', hint: 'Provider error (5xx)' },
+  { id: 'network',   label: 'Network',        icon: 'ph-wifi-slash',    hint: 'No response from the API' },
+  { id: 'other',     label: 'Other',          icon: 'ph-warning',       hint: 'Other request errors' }
+];
+
+/**
+ * Categorize a per-ticker error by its HTTP status
+ * @param {Object} error - { ticker, status, message }
+ * @returns {string} - Category ID from ERROR_CATEGORIES
+ */
+export function categorizeError(error) {
+  const status = error?.status;
+  if (status == null) return 'network';
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rateLimit';
+  if (status === 404) return 'notFound';
+  if (status >= 500) return 'server';
+  return 'other';
+}
+
+/**
+ * Count errors per category
+ * @param {Object[]} errors - Per-ticker errors
+ * @returns {Object} - Category ID -> count (every category present)
+ */
+export function countErrorsByCategory(errors = []) {
+  const counts = {};
+  ERROR_CATEGORIES.forEach(cat => { counts[cat.id] = 0; });
+  errors.forEach(error => { counts[categorizeError(error)]++; });
+  return counts;
+}
+
+/**
+ * Build the one-line summary
+ * @param {Object[]} errors - Per-ticker errors
+ * @param {Object} stats - Scan stats
+ * @returns {string} - HTML string
+ */
+function buildSummaryHtml(errors, stats) {
+  const scanned = stats?.tickersCompleted ?? stats?.tickersScanned ?? 0;
+
+  if (errors.length === 0) {
+    return `<div class="scan-report-summary">All ${formatNumber(scanned)} tickers fetched successfully</div>`;
+  }
+
+  return `<div class="scan-report-summary warning">${formatNumber(errors.length)} of ${formatNumber(scanned)} tickers failed</div>`;
+}
+
+/**
+ * Build the category count cards
+ * @param {Object[]} errors - Per-ticker errors
+ * @returns {string} - HTML string
+ */
+function buildCategoriesHtml(errors) {
+  const counts = countErrorsByCategory(errors);
+
+  const cards = ERROR_CATEGORIES
+    .filter(cat => counts[cat.id] > 0 || cat.id !== 'other')
+    .map(cat => `
+      <div class="scan-report-category ${counts[cat.id] > 0 ? 'has-errors' : ''}" title="${cat.hint}">
+        <i class="ph ${cat.icon}"></i>
+        <span class="scan-report-category-count">${formatNumber(counts[cat.id])}</span>
+        <span class="scan-report-category-label">${cat.label}</span>
+      </div>
+    `).join('');
+
+  return `<div class="scan-report-categories">${cards}</div>`;
+}
+
+/**
+ * Build the failed ticker list
+ * @param {Object[]} errors - Per-ticker errors
+ * @returns {string} - HTML string
+ */
+function buildErrorListHtml(errors) {
+  const labels = Object.fromEntries(ERROR_CATEGORIES.map(cat => [cat.id, cat.label]));
+
+  const rows = [...errors]
+    .sort((a, b) => a.ticker.localeCompare(b.ticker))
+    .map(error => `
+      <tr>
+        <td class="scan-report-ticker">${escapeHtml(error.ticker)}</td>
+        <td>${labels[categorizeError(error)]}</td>
+        <td class="scan-report-status">${error.status ?? '-'}</td>
+        <td class="scan-report-message">${escapeHtml(error.message)}</td>
+      </tr>
+    `).join('');
+
+  return `
+    <div class="scan-report-section-title">Failed tickers</div>
+    <table class="scan-report-table">
+      <thead>
+        <tr>
+          <th>Ticker</th>
+          <th>Category</th>
+          <th>Status</th>
+          <th>Message</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render the scan report into a container
+ * @param {Object|null} results - Scan results ({ stats, errors })
+ * @param {string} containerId - DOM element ID
+ */
+export function renderScanReport(results, containerId = 'scanReportContent') {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  if (!results) {
+    container.innerHTML = `
+      <div class="scan-report-empty">
+        <i class="ph ph-clipboard-text"></i>
+        <p>No scan report</p>
+        <span>Run a scan to see per-ticker results</span>
+      </div>
+    `;
+    return;
+  }
+
+  const errors = results.errors || [];
+
+  container.innerHTML = `
+    ${buildSummaryHtml(errors, results.stats)}
+    ${buildCategoriesHtml(errors)}
+    ${errors.length > 0 ? buildErrorListHtml(errors) : ''}
+  `;
+}
+
+export { ERROR_CATEGORIES };
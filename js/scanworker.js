@@ -0,0 +1,147 @@
+/**
+ * Scan Worker - Runs OptionsScanner off the main thread
+ *
+ * Module worker started by ScanWorkerClient (see scanclient.js). Fetching,
+ * normalization, filtering and sorting all happen here so large scans and
+ * re-filters don't block rendering.
+ *
+ * Messages in:
+ *   { type: 'setProvider', provider }      - ApiClient.toConfig()
+ *   { type: 'setUniverse', universe }
+ *   { type: 'setStores', checkpoints, chains } - Checkpoint / chain cache in IndexedDB
+ *   { type: 'restore', results, params }
+ *   { type: 'scan', id, params, options } - scanStream() options ({ resume, forceRefresh })
+ *   { type: 'refilter', id, params }
+ *   { type: 'spreads', id, params }      - scanSpreads() on the last scan
+ *   { type: 'retry', id }
+ *   { type: 'cancel', id }
+ *
+ * Messages out (tagged with the request id):
+ *   { type: 'progress', id, progress }     - onProgress payload
+ *   { type: 'ticker', id, event }          - scanStream() ticker event
+ *   { type: 'result', id, result, fixtures }
+ *   { type: 'error', id, message }
+ */
+
+import { OptionsScanner } from './scanner.js';
+import { createProviderFromConfig } from './providers/index.js';
+import { cacheManager } from './cache.js';
+import { DEFAULT_UNIVERSE } from './config.js';
+
+const scanner = new OptionsScanner(null, DEFAULT_UNIVERSE);
+
+// Handled as soon as they arrive rather than after the checkpoint store opens
+const IMMEDIATE_MESSAGES = new Set(['cancel', 'setStores']);
+
+// Abort controllers of running scan / retry requests by id
+const controllers = new Map();
+
+// Resolves once the IndexedDB stores are open; requests wait for it
+let ready = Promise.resolve();
+
+/**
+ * Post a message to the main thread
+ * @param {object} message
+ */
+function post(message) {
+  self.postMessage(message);
+}
+
+/**
+ * Recorded fixtures to hand back with a result (record mode only)
+ * @returns {object|null}
+ */
+function recordedFixtures() {
+  return scanner.api?.fixtureMode === 'record' ? scanner.api.getFixtureBundle().toJSON() : null;
+}
+
+/**
+ * Run a request with its own abort controller
+ * @param {number} id - Request id
+ * @param {function} run - (signal) => Promise
+ */
+async function withController(id, run) {
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  try {
+    await run(controller.signal);
+  } finally {
+    controllers.delete(id);
+  }
+}
+
+const handlers = {
+  setProvider({ provider }) {
+    scanner.setProvider(createProviderFromConfig(provider));
+  },
+
+  setUniverse({ universe }) {
+    scanner.setUniverse(universe);
+  },
+
+  setStores({ checkpoints, chains, ivHistory }) {
+    // The main thread's connection can't be shared, so open our own
+    const open = (checkpoints || chains || ivHistory) && !cacheManager.isAvailable
+      ? cacheManager.init()
+      : Promise.resolve(cacheManager.isAvailable);
+
+    ready = open.then(ok => {
+      scanner.setCheckpointStore(ok && checkpoints ? cacheManager : null);
+      scanner.setChainCache(ok && chains ? cacheManager : null);
+      scanner.setIvHistoryStore(ok && ivHistory ? cacheManager : null);
+    });
+  },
+
+  restore({ results, params }) {
+    scanner.restoreResults(results, params);
+  },
+
+  scan({ id, params, options }) {
+    return withController(id, async signal => {
+      const onProgress = progress => post({ type: 'progress', id, progress });
+
+      for await (const event of scanner.scanStream(params, onProgress, signal, options)) {
+        if (event.type === 'ticker') {
+          post({ type: 'ticker', id, event });
+        } else {
+          post({ type: 'result', id, result: event.result, fixtures: recordedFixtures() });
+        }
+      }
+    });
+  },
+
+  refilter({ id, params }) {
+    const result = scanner.refilter(params);
+
+    // The main thread already holds the unfiltered contracts - don't copy them back
+    post({ type: 'result', id, result: { ...result, normalizedContracts: null }, fixtures: null });
+  },
+
+  spreads({ id, params }) {
+    post({ type: 'result', id, result: scanner.scanSpreads(params), fixtures: null });
+  },
+
+  retry({ id }) {
+    return withController(id, async signal => {
+      const onProgress = progress => post({ type: 'progress', id, progress });
+      const result = await scanner.retryFailedTickers(onProgress, signal);
+      post({ type: 'result', id, result, fixtures: recordedFixtures() });
+    });
+  },
+
+  cancel({ id }) {
+    controllers.get(id)?.abort();
+  }
+};
+
+self.addEventListener('message', async ({ data }) => {
+  try {
+    // Cancels must not wait behind the request they cancel, and later
+    // requests must see a checkpoint store change
+    if (!IMMEDIATE_MESSAGES.has(data.type)) await ready;
+    await handlers[data.type](data);
+  } catch (error) {
+    console.error(`Scan worker ${data.type} error:`, error);
+    post({ type: 'error', id: data.id, message: error.message });
+  }
+});
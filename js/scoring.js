@@ -0,0 +1,299 @@
+/**
+ * Composite Scoring - User-weighted ranking of contracts
+ *
+ * Each factor is normalized to a percentile across the result set (1 = best
+ * contract in the set on that factor), then combined as a weighted average
+ * into a 0-100 score. Contracts missing a factor's data are scored on the
+ * remaining factors. Weight profiles are plain JSON so they can be saved in
+ * the settings store and shared as files. DOM-free; used by OptionsScanner
+ * after filtering and by the ranking view.
+ */
+
+import { CONFIG } from './config.js';
+import { SettingsStore } from './settingsstore.js';
+
+const PROFILE_TYPE = 'options-score-profile';
+const PROFILE_VERSION = 1;
+
+// Settings key holding { activeName, profiles: [...] }
+const SETTINGS_KEY = 'scoreProfiles';
+
+/**
+ * Score factors by id
+ * - value: raw factor value for a contract (null when missing)
+ * - higherIsBetter: direction of the percentile
+ */
+export const SCORE_FACTORS = {
+  lowIv: {
+    label: 'Low IV',
+    value: (c) => c.iv,
+    higherIsBetter: false
+  },
+  highOpenInterest: {
+    label: 'High OI',
+    value: (c) => c.openInterest,
+    higherIsBetter: true
+  },
+  tightSpread: {
+    label: 'Tight Spread',
+    value: (c) => c.spreadPct,
+    higherIsBetter: false
+  },
+  deltaProximity: {
+    label: 'Delta Near Target',
+    value: (c, profile) => c.delta != null ? Math.abs(Math.abs(c.delta) - profile.targetDelta) : null,
+    higherIsBetter: false
+  },
+  lowPrice: {
+    label: 'Low Price',
+    value: (c, profile, priceField) => c[priceField] ?? c.mid ?? c.last,
+    higherIsBetter: false
+  },
+  longDte: {
+    label: 'Long DTE',
+    value: (c) => c.dte,
+    higherIsBetter: true
+  }
+};
+
+// =============================================================================
+// Profiles
+// =============================================================================
+
+/**
+ * Build a complete weight profile, filling missing weights with 0 and a
+ * missing (or null) target delta with the default
+ * @param {object} profile - { name, weights, targetDelta }
+ * @returns {object} { name, weights, targetDelta }
+ */
+export function createScoreProfile(profile = {}) {
+  const weights = profile.weights ?? {};
+  const complete = {};
+  for (const id of Object.keys(SCORE_FACTORS)) {
+    const weight = Number(weights[id] ?? 0);
+    complete[id] = Number.isFinite(weight) && weight > 0 ? weight : 0;
+  }
+
+  const targetDelta = Number(profile.targetDelta ?? CONFIG.SCORING.TARGET_DELTA);
+  return {
+    name: String(profile.name ?? 'Custom'),
+    weights: complete,
+    targetDelta: Number.isFinite(targetDelta) ? targetDelta : CONFIG.SCORING.TARGET_DELTA
+  };
+}
+
+/**
+ * The built-in profile from CONFIG.SCORING
+ * @returns {object}
+ */
+export function getDefaultScoreProfile() {
+  return createScoreProfile({
+    name: CONFIG.SCORING.PROFILE_NAME,
+    weights: CONFIG.SCORING.WEIGHTS,
+    targetDelta: CONFIG.SCORING.TARGET_DELTA
+  });
+}
+
+/**
+ * Serialize a profile for sharing
+ * @param {object} profile
+ * @returns {string} JSON text
+ */
+export function scoreProfileToJSON(profile) {
+  const { name, weights, targetDelta } = createScoreProfile(profile);
+  return JSON.stringify({ type: PROFILE_TYPE, version: PROFILE_VERSION, name, weights, targetDelta }, null, 2);
+}
+
+/**
+ * Parse a shared profile
+ * @param {object|string} json - Profile object or JSON text (from scoreProfileToJSON())
+ * @returns {object} Complete profile
+ */
+export function parseScoreProfile(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!data || data.type !== PROFILE_TYPE || typeof data.weights !== 'object') {
+    throw new Error('Invalid score profile: missing weights');
+  }
+  if (data.version > PROFILE_VERSION) {
+    throw new Error(`Unsupported score profile version: ${data.version}`);
+  }
+
+  const unknown = Object.keys(data.weights).filter(id => !SCORE_FACTORS[id]);
+  if (unknown.length > 0) {
+    throw new Error(`Invalid score profile: unknown factors ${unknown.join(', ')}`);
+  }
+  const invalid = Object.keys(data.weights).filter(id => data.weights[id] != null && !Number.isFinite(data.weights[id]));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid score profile: weights must be numbers (${invalid.join(', ')})`);
+  }
+  if (data.targetDelta != null && !(Number.isFinite(data.targetDelta) && data.targetDelta >= 0 && data.targetDelta <= 1)) {
+    throw new Error('Invalid score profile: targetDelta must be between 0 and 1');
+  }
+
+  return createScoreProfile(data);
+}
+
+// =============================================================================
+// Scoring
+// =============================================================================
+
+/**
+ * Index of the first sorted value >= target (or > target when after is true)
+ * @param {number[]} sorted - Ascending values
+ * @param {number} target
+ * @param {boolean} after
+ * @returns {number}
+ */
+function bound(sorted, target, after) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < target || (after && sorted[mid] === target)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Percentile of each value within the set (ties share their mid rank)
+ * @param {Array<number|null>} values
+ * @returns {Array<number|null>} 0 (lowest) to 1 (highest), null where the value is
+ */
+function percentiles(values) {
+  const sorted = values.filter(v => v != null && Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return values.map(() => null);
+  if (sorted.length === 1) return values.map(v => (v != null && Number.isFinite(v) ? 0.5 : null));
+
+  return values.map(v => {
+    if (v == null || !Number.isFinite(v)) return null;
+    const below = bound(sorted, v, false);
+    const equal = bound(sorted, v, true) - below;
+    return (below + (equal - 1) / 2) / (sorted.length - 1);
+  });
+}
+
+/**
+ * Score contracts against each other
+ * @param {object[]} contracts - Normalized contracts (the result set to rank within)
+ * @param {object} profile - Weight profile (see createScoreProfile())
+ * @param {object} options
+ * @param {string} options.priceField - Price the lowPrice factor ranks on
+ * @returns {object[]} Copies with score (0-100, null without any weighted
+ *   data) and scoreFactors (per-factor percentile, 1 = best)
+ */
+export function scoreContracts(contracts, profile, { priceField = CONFIG.DEFAULTS.PRICE_FIELD } = {}) {
+  const { weights, ...rest } = createScoreProfile(profile);
+  const factorIds = Object.keys(SCORE_FACTORS).filter(id => weights[id] > 0);
+
+  const ranks = {};
+  for (const id of factorIds) {
+    const factor = SCORE_FACTORS[id];
+    const raw = percentiles(contracts.map(c => factor.value(c, rest, priceField) ?? null));
+    ranks[id] = factor.higherIsBetter ? raw : raw.map(p => (p != null ? 1 - p : null));
+  }
+
+  return contracts.map((contract, i) => {
+    const scoreFactors = {};
+    let total = 0;
+    let weightSum = 0;
+    for (const id of factorIds) {
+      const p = ranks[id][i];
+      scoreFactors[id] = p;
+      if (p == null) continue;
+      total += weights[id] * p;
+      weightSum += weights[id];
+    }
+    return {
+      ...contract,
+      score: weightSum > 0 ? (total / weightSum) * 100 : null,
+      scoreFactors
+    };
+  });
+}
+
+// =============================================================================
+// Saved Profiles
+// =============================================================================
+
+/**
+ * Score Profile Store class - saved weight profiles and the active selection
+ */
+export class ScoreProfileStore extends SettingsStore {
+  /**
+   * @param {Object} settings - Settings store with getSetting/saveSetting (CacheManager)
+   */
+  constructor(settings) {
+    super(settings, SETTINGS_KEY, () => ({ activeName: null, profiles: [] }));
+  }
+
+  /**
+   * List saved profiles (the built-in default first)
+   * @returns {Promise<Array>} - [{ name, weights, targetDelta, builtIn, active }]
+   */
+  async list() {
+    const state = await this._load();
+    const builtIn = getDefaultScoreProfile();
+    return [
+      { ...builtIn, builtIn: true, active: !state.profiles.some(p => p.name === state.activeName) },
+      ...state.profiles.map(p => ({ ...p, builtIn: false, active: p.name === state.activeName }))
+    ];
+  }
+
+  /**
+   * Get the active profile (the built-in default if none is saved)
+   * @returns {Promise<Object>}
+   */
+  async getActive() {
+    const state = await this._load();
+    return state.profiles.find(p => p.name === state.activeName) || getDefaultScoreProfile();
+  }
+
+  /**
+   * Save a profile (replacing one with the same name) and make it active
+   * @param {Object} profile - { name, weights, targetDelta }
+   * @returns {Promise<Object>} - Saved profile
+   */
+  async save(profile) {
+    const state = await this._load();
+    const entry = createScoreProfile(profile);
+    if (!entry.name || entry.name === CONFIG.SCORING.PROFILE_NAME) {
+      throw new Error(`Choose a name other than "${CONFIG.SCORING.PROFILE_NAME}"`);
+    }
+
+    state.profiles = [...state.profiles.filter(p => p.name !== entry.name), entry];
+    state.activeName = entry.name;
+    await this._save();
+
+    return entry;
+  }
+
+  /**
+   * Make a profile active (the built-in default's name selects it)
+   * @param {string} name - Profile name
+   */
+  async setActive(name) {
+    const state = await this._load();
+    if (name !== CONFIG.SCORING.PROFILE_NAME && !state.profiles.some(p => p.name === name)) {
+      throw new Error(`Unknown score profile: ${name}`);
+    }
+    state.activeName = name === CONFIG.SCORING.PROFILE_NAME ? null : name;
+    await this._save();
+  }
+
+  /**
+   * Remove a saved profile (the built-in default becomes active if it was)
+   * @param {string} name - Profile name
+   */
+  async remove(name) {
+    const state = await this._load();
+    state.profiles = state.profiles.filter(p => p.name !== name);
+    if (state.activeName === name) {
+      state.activeName = null;
+    }
+    await this._save();
+  }
+}
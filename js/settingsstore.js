@@ -0,0 +1,42 @@
+/**
+ * Settings Store - Base for small stores kept under one settings key
+ *
+ * Subclasses (KeyStore, ScoreProfileStore) hold their whole state as one
+ * plain object in the CacheManager settings store, loaded on first use and
+ * written back after each change.
+ */
+
+export class SettingsStore {
+  /**
+   * @param {Object} settings - Settings store with getSetting/saveSetting (CacheManager)
+   * @param {string} key - Settings key holding the state
+   * @param {function} createState - Returns the empty state when nothing is saved
+   */
+  constructor(settings, key, createState) {
+    this.settings = settings;
+    this.key = key;
+    this.createState = createState;
+    this.state = null;   // Loaded lazily; kept in memory if the cache is unavailable
+  }
+
+  /**
+   * Load the saved state from settings
+   * @protected
+   * @returns {Promise<Object>}
+   */
+  async _load() {
+    if (!this.state) {
+      const saved = await this.settings.getSetting(this.key, null);
+      this.state = saved || this.createState();
+    }
+    return this.state;
+  }
+
+  /**
+   * Persist the state to settings
+   * @protected
+   */
+  async _save() {
+    await this.settings.saveSetting(this.key, this.state);
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Vertical Spreads - Pairs strikes from fetched chains into two-leg spreads
+ *
+ * Each pair of strikes in the same underlying / expiration / type, within
+ * the width limits, becomes the debit and the credit spread on those strikes:
+ *   calls: bull call (debit) and bear call (credit)
+ *   puts:  bear put (debit) and bull put (credit)
+ *
+ * Values are per share, like contract prices. DOM-free; used by
+ * OptionsScanner.scanSpreads().
+ */
+
+/**
+ * Spread strategies by id
+ * - longLower: the long leg is the lower strike
+ */
+export const SPREAD_STRATEGIES = {
+  bullCall: { label: 'Bull Call', type: 'call', kind: 'debit',  longLower: true },
+  bearCall: { label: 'Bear Call', type: 'call', kind: 'credit', longLower: false },
+  bearPut:  { label: 'Bear Put',  type: 'put',  kind: 'debit',  longLower: false },
+  bullPut:  { label: 'Bull Put',  type: 'put',  kind: 'credit', longLower: true }
+};
+
+// Leg pricing: 'natural' buys at the ask and sells at the bid
+export const SPREAD_PRICING = ['natural', 'mid', 'last'];
+
+/**
+ * Price of one leg
+ * @param {object} contract - Normalized contract
+ * @param {boolean} buying - Whether the leg is bought
+ * @param {string} pricing - 'natural' | 'mid' | 'last'
+ * @returns {number|null}
+ */
+function legPrice(contract, buying, pricing) {
+  let price;
+  if (pricing === 'natural') {
+    price = buying ? contract.ask : contract.bid;
+  } else {
+    price = contract[pricing];
+  }
+  return price > 0 ? price : null;
+}
+
+/**
+ * Long minus short value of a Greek (null unless both legs have it)
+ * @param {object} long - Long leg
+ * @param {object} short - Short leg
+ * @param {string} field - Greek field
+ * @returns {number|null}
+ */
+function netGreek(long, short, field) {
+  if (long[field] == null || short[field] == null) return null;
+  return long[field] - short[field];
+}
+
+/**
+ * Build one spread from its legs
+ * @param {string} strategy - SPREAD_STRATEGIES id
+ * @param {object} long - Long leg (normalized contract)
+ * @param {object} short - Short leg (normalized contract)
+ * @param {string} pricing - Leg pricing
+ * @returns {object|null} Spread, or null when a leg has no price or the
+ *   net price leaves no risk or no reward
+ */
+function buildSpread(strategy, long, short, pricing) {
+  const { label, type, kind } = SPREAD_STRATEGIES[strategy];
+  const longPrice = legPrice(long, true, pricing);
+  const shortPrice = legPrice(short, false, pricing);
+  if (longPrice == null || shortPrice == null) return null;
+
+  const width = Math.abs(long.strike - short.strike);
+  const netPremium = kind === 'debit' ? longPrice - shortPrice : shortPrice - longPrice;
+  if (!(netPremium > 0) || netPremium >= width) return null;
+
+  const maxProfit = kind === 'debit' ? width - netPremium : netPremium;
+  const maxLoss = kind === 'debit' ? netPremium : width - netPremium;
+
+  // Debit spreads break even past the long strike, credit spreads past the short
+  const anchor = kind === 'debit' ? long.strike : short.strike;
+  const breakEven = type === 'call' ? anchor + netPremium : anchor - netPremium;
+  const underlyingPrice = long.underlyingPrice;
+
+  return {
+    id: `${long.contractTicker}/${short.contractTicker}`,
+    strategy: strategy,
+    strategyLabel: label,
+    kind: kind,
+    type: type,
+    underlying: long.underlying,
+    expiration: long.expiration,
+    dte: long.dte,
+    underlyingPrice: underlyingPrice,
+
+    // Legs
+    longContract: long.contractTicker,
+    shortContract: short.contractTicker,
+    longStrike: long.strike,
+    shortStrike: short.strike,
+    longPrice: longPrice,
+    shortPrice: shortPrice,
+    width: width,
+    minLegOpenInterest: Math.min(long.openInterest ?? 0, short.openInterest ?? 0),
+
+    // Payoff
+    netPremium: netPremium,
+    maxProfit: maxProfit,
+    maxLoss: maxLoss,
+    rewardRisk: maxProfit / maxLoss,
+    breakEven: breakEven,
+    breakEvenPct: underlyingPrice > 0 ? (breakEven - underlyingPrice) / underlyingPrice : null,
+
+    // Net Greeks (long - short)
+    netDelta: netGreek(long, short, 'delta'),
+    netGamma: netGreek(long, short, 'gamma'),
+    netTheta: netGreek(long, short, 'theta'),
+    netVega: netGreek(long, short, 'vega'),
+
+    _meta: long._meta
+  };
+}
+
+/**
+ * Whether a contract can be a leg at all - checked once per contract, before
+ * pairing, so the pair loop only sees usable strikes
+ * @param {object} contract - Normalized contract
+ * @param {object} options - See buildVerticalSpreads()
+ * @returns {boolean}
+ */
+function isUsableLeg(contract, { pricing, minLegOpenInterest, dteMin, dteMax }) {
+  if (contract.strike == null || !contract.type) return false;
+
+  // Priced on at least one side (natural pricing needs the ask to buy or the bid to sell)
+  if (legPrice(contract, true, pricing) == null && legPrice(contract, false, pricing) == null) return false;
+
+  if (minLegOpenInterest > 0 && (contract.openInterest ?? 0) < minLegOpenInterest) return false;
+  if (dteMin != null && contract.dte != null && contract.dte < dteMin) return false;
+  if (dteMax != null && contract.dte != null && contract.dte > dteMax) return false;
+  return true;
+}
+
+/**
+ * Widest strike distance to pair in one chain
+ * @param {object[]} chain - One underlying / expiration / type, sorted by strike
+ * @param {number|null} maxWidth - Limit in dollars
+ * @param {number|null} maxWidthPct - Limit as a share of the underlying price
+ * @returns {number} Tightest of the two limits (Infinity when neither is set)
+ */
+function chainWidthLimit(chain, maxWidth, maxWidthPct) {
+  let limit = maxWidth ?? Infinity;
+  if (maxWidthPct != null) {
+    // Middle strike stands in for the underlying price when it is missing
+    const price = chain[0].underlyingPrice > 0
+      ? chain[0].underlyingPrice
+      : chain[Math.floor(chain.length / 2)].strike;
+    limit = Math.min(limit, price * maxWidthPct);
+  }
+  return limit;
+}
+
+/**
+ * Build vertical spreads from normalized contracts
+ * @param {object[]} contracts - Normalized contracts (e.g. a scan's unfiltered chains)
+ * @param {object} options
+ * @param {string[]} options.strategies - SPREAD_STRATEGIES ids to build
+ * @param {string} options.pricing - Leg pricing ('natural' | 'mid' | 'last')
+ * @param {number|null} options.maxWidth - Widest strike distance to pair ($)
+ * @param {number|null} options.maxWidthPct - Widest strike distance as a share of the underlying price
+ * @param {number|null} options.maxWidthStrikes - Most strikes apart to pair (1 = neighbouring strikes)
+ * @param {number} options.minLegOpenInterest - Open interest floor per leg
+ * @param {number|null} options.dteMin - Leg expiration window (days)
+ * @param {number|null} options.dteMax
+ * @returns {object[]} Spreads
+ */
+export function buildVerticalSpreads(contracts, {
+  strategies = Object.keys(SPREAD_STRATEGIES),
+  pricing = 'natural',
+  maxWidth = null,
+  maxWidthPct = null,
+  maxWidthStrikes = null,
+  minLegOpenInterest = 0,
+  dteMin = null,
+  dteMax = null
+} = {}) {
+  const legOptions = { pricing, minLegOpenInterest, dteMin, dteMax };
+  const types = new Set(strategies.map(id => SPREAD_STRATEGIES[id]?.type));
+
+  // Group usable legs by underlying / expiration / type
+  const chains = new Map();
+  for (const contract of contracts) {
+    if (!types.has(contract.type) || !isUsableLeg(contract, legOptions)) continue;
+    const key = `${contract.underlying}|${contract.expiration}|${contract.type}`;
+    if (!chains.has(key)) chains.set(key, []);
+    chains.get(key).push(contract);
+  }
+
+  const spreads = [];
+  for (const chain of chains.values()) {
+    const chainStrategies = strategies.filter(id => SPREAD_STRATEGIES[id]?.type === chain[0].type);
+    if (chainStrategies.length === 0) continue;
+
+    chain.sort((a, b) => a.strike - b.strike);
+    const widthLimit = chainWidthLimit(chain, maxWidth, maxWidthPct);
+    for (let i = 0; i < chain.length; i++) {
+      const last = maxWidthStrikes != null ? Math.min(i + maxWidthStrikes, chain.length - 1) : chain.length - 1;
+      for (let j = i + 1; j <= last; j++) {
+        const lower = chain[i];
+        const upper = chain[j];
+        if (upper.strike === lower.strike) continue;
+        if (upper.strike - lower.strike > widthLimit) break;
+
+        for (const strategy of chainStrategies) {
+          const spread = SPREAD_STRATEGIES[strategy].longLower
+            ? buildSpread(strategy, lower, upper, pricing)
+            : buildSpread(strategy, upper, lower, pricing);
+          if (spread) spreads.push(spread);
+        }
+      }
+    }
+  }
+
+  return spreads;
+}
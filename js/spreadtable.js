@@ -0,0 +1,283 @@
+/**
+ * Spread Table Module - Vertical spread results table
+ *
+ * Handles:
+ * - Header and row rendering from column definitions
+ * - Column sorting with indicators
+ * - CSV export
+ */
+
+import { formatCurrency, formatPercent, formatDate, formatNumber } from './utils.js';
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+/**
+ * Column definitions for the spreads table (values per share)
+ */
+const SPREAD_COLUMN_DEFS = [
+  { key: 'underlying',      label: 'Ticker',     format: 'text',     className: 'ticker' },
+  { key: 'strategyLabel',   label: 'Strategy',   format: 'text',     className: 'strategy' },
+  { key: 'expiration',      label: 'Exp',        format: 'date',     className: 'expiration' },
+  { key: 'dte',             label: 'DTE',        format: 'number',   className: 'num' },
+  { key: 'longStrike',      label: 'Long',       format: 'strike',   className: 'num' },
+  { key: 'shortStrike',     label: 'Short',      format: 'strike',   className: 'num' },
+  { key: 'width',           label: 'Width',      format: 'strike',   className: 'num' },
+  { key: 'netPremium',      label: 'Net',        format: 'net',      className: 'num' },
+  { key: 'maxProfit',       label: 'Max Profit', format: 'currency', className: 'num' },
+  { key: 'maxLoss',         label: 'Max Loss',   format: 'currency', className: 'num' },
+  { key: 'rewardRisk',      label: 'R:R',        format: 'ratio',    className: 'num' },
+  { key: 'breakEven',       label: 'Break-even', format: 'strike',   className: 'num' },
+  { key: 'breakEvenPct',    label: 'BE %',       format: 'percent',  className: 'num' },
+  { key: 'netDelta',        label: 'Net Δ',      format: 'greek',    className: 'num' },
+  { key: 'netGamma',        label: 'Net Γ',      format: 'greek',    className: 'num' },
+  { key: 'netTheta',        label: 'Net Θ',      format: 'greek',    className: 'num' },
+  { key: 'netVega',         label: 'Net Vega',   format: 'greek',    className: 'num' },
+  { key: 'minLegOpenInterest', label: 'Min OI',  format: 'number',   className: 'num' }
+];
+
+const CONFIG = {
+  maxDisplayRows: 500
+};
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+let allSpreads = [];
+let totalSpreads = 0;   // Spreads that passed the filters, before the scanner's result cap
+let sortState = { field: 'rewardRisk', dir: 'desc' };
+
+// =============================================================================
+// Formatting & Sorting
+// =============================================================================
+
+/**
+ * Format a cell value based on column format
+ * @param {any} value - The raw value
+ * @param {string} format - The format type
+ * @param {object} spread - The row's spread (for debit / credit labels)
+ * @returns {string}
+ */
+function formatCell(value, format, spread) {
+  if (value == null) return '-';
+
+  switch (format) {
+    case 'currency':
+      return formatCurrency(value);
+    case 'net':
+      return `${formatCurrency(value)} ${spread.kind === 'debit' ? 'Db' : 'Cr'}`;
+    case 'percent':
+      return formatPercent(value);
+    case 'ratio':
+      return `${value.toFixed(2)}x`;
+    case 'date':
+      return formatDate(value);
+    case 'number':
+      return formatNumber(value);
+    case 'strike':
+      return value.toFixed(2);
+    case 'greek':
+      return value.toFixed(3);
+    case 'text':
+    default:
+      return value || '-';
+  }
+}
+
+/**
+ * Compare two spreads by a field (nulls last)
+ * @param {object} a
+ * @param {object} b
+ * @param {string} field
+ * @param {string} dir - 'asc' or 'desc'
+ * @returns {number}
+ */
+function compareSpreads(a, b, field, dir) {
+  const aVal = a[field];
+  const bVal = b[field];
+
+  if (aVal == null && bVal == null) return 0;
+  if (aVal == null) return 1;
+  if (bVal == null) return -1;
+
+  if (typeof aVal === 'string' && typeof bVal === 'string') {
+    const cmp = aVal.localeCompare(bVal);
+    return dir === 'asc' ? cmp : -cmp;
+  }
+  return dir === 'asc' ? aVal - bVal : bVal - aVal;
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+/**
+ * Render the header row with sort indicators
+ */
+function renderHeader() {
+  const thead = document.getElementById('spreadsHead');
+  if (!thead) return;
+
+  const cells = SPREAD_COLUMN_DEFS.map(col => {
+    const sortClass = col.key === sortState.field ? (sortState.dir === 'asc' ? ' sort-asc' : ' sort-desc') : '';
+    return `<th class="sortable ${col.className}${sortClass}" data-field="${col.key}">${col.label}</th>`;
+  }).join('');
+  thead.innerHTML = `<tr>${cells}</tr>`;
+}
+
+/**
+ * Build a single table row HTML
+ * @param {object} spread
+ * @returns {string}
+ */
+function buildRow(spread) {
+  const cells = SPREAD_COLUMN_DEFS.map(col => {
+    const value = spread[col.key];
+    return `<td class="${col.className}">${formatCell(value, col.format, spread)}</td>`;
+  }).join('');
+
+  return `<tr class="spread-${spread.kind}" title="${spread.longContract} / ${spread.shortContract}">${cells}</tr>`;
+}
+
+/**
+ * Render the table body and results info
+ */
+function renderBody() {
+  const tbody = document.getElementById('spreadsBody');
+  if (!tbody) return;
+
+  const colspan = SPREAD_COLUMN_DEFS.length;
+  if (allSpreads.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="${colspan}" class="no-results">No spreads match your filters</td></tr>`;
+  } else {
+    let html = allSpreads.slice(0, CONFIG.maxDisplayRows).map(buildRow).join('');
+    if (allSpreads.length > CONFIG.maxDisplayRows) {
+      html += `<tr><td colspan="${colspan}" class="truncated">Showing first ${CONFIG.maxDisplayRows} of ${allSpreads.length} spreads</td></tr>`;
+    }
+    tbody.innerHTML = html;
+  }
+
+  const info = document.getElementById('spreadsShowing');
+  if (info) {
+    const capped = totalSpreads > allSpreads.length
+      ? ` (best ${formatNumber(allSpreads.length)} of ${formatNumber(totalSpreads)} kept)`
+      : '';
+    info.textContent = (allSpreads.length > CONFIG.maxDisplayRows
+      ? `Showing ${CONFIG.maxDisplayRows} of ${formatNumber(allSpreads.length)} spreads`
+      : `Showing ${formatNumber(allSpreads.length)} spreads`) + capped;
+  }
+}
+
+/**
+ * Handle sort header click
+ * @param {string} field - Field to sort by
+ */
+function onSortClick(field) {
+  const dir = field === sortState.field && sortState.dir === 'desc' ? 'asc' : 'desc';
+  sortState = { field, dir };
+  allSpreads.sort((a, b) => compareSpreads(a, b, field, dir));
+  renderHeader();
+  renderBody();
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Render spreads into the table
+ * @param {object[]} spreads - Spreads from OptionsScanner.scanSpreads()
+ * @param {object} options - { sortBy, sortDir, total } - total counts spreads
+ *   past the filters when the scanner capped its results
+ */
+export function renderSpreadTable(spreads, options = {}) {
+  allSpreads = [...spreads];
+  totalSpreads = options.total ?? spreads.length;
+  if (options.sortBy) sortState.field = options.sortBy;
+  if (options.sortDir) sortState.dir = options.sortDir;
+
+  allSpreads.sort((a, b) => compareSpreads(a, b, sortState.field, sortState.dir));
+  renderHeader();
+  renderBody();
+}
+
+/**
+ * Show a placeholder message instead of results
+ * @param {string} message
+ */
+export function showSpreadPlaceholder(message) {
+  allSpreads = [];
+  totalSpreads = 0;
+  renderHeader();
+
+  const tbody = document.getElementById('spreadsBody');
+  if (tbody) {
+    tbody.innerHTML = `<tr><td colspan="${SPREAD_COLUMN_DEFS.length}" class="placeholder">${message}</td></tr>`;
+  }
+  const info = document.getElementById('spreadsShowing');
+  if (info) info.textContent = '';
+}
+
+/**
+ * Set up sort header clicks
+ */
+export function setupSpreadTable() {
+  const table = document.getElementById('spreadsTable');
+  if (!table) return;
+
+  table.addEventListener('click', (e) => {
+    const th = e.target.closest('.sortable');
+    if (th && th.dataset.field) {
+      onSortClick(th.dataset.field);
+    }
+  });
+  renderHeader();
+}
+
+/**
+ * Convert spreads to CSV (table columns plus both leg contracts)
+ * DOM-free.
+ * @param {object[]} spreads
+ * @returns {string} CSV text
+ */
+export function spreadsToCSV(spreads) {
+  const headers = [...SPREAD_COLUMN_DEFS.map(col => col.label), 'Kind', 'Long Contract', 'Short Contract'];
+  const rows = spreads.map(s => [
+    ...SPREAD_COLUMN_DEFS.map(col => s[col.key]),
+    s.kind,
+    s.longContract,
+    s.shortContract
+  ]);
+
+  return [headers, ...rows]
+    .map(row => row.map(cell => {
+      if (cell == null) return '';
+      if (typeof cell === 'string' && (cell.includes(',') || cell.includes('"'))) {
+        return `"${cell.replace(/"/g, '""')}"`;
+      }
+      return cell;
+    }).join(','))
+    .join('\n');
+}
+
+/**
+ * Export the current spreads to CSV
+ */
+export function exportSpreadsToCSV() {
+  if (allSpreads.length === 0) {
+    alert('No spreads to export');
+    return;
+  }
+
+  const blob = new Blob([spreadsToCSV(allSpreads)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `options-spreads-${new Date().toISOString().slice(0, 10)}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export { SPREAD_COLUMN_DEFS };
@@ -17,12 +17,14 @@ import { formatCurrency, formatPercent, formatDate, formatNumber } from './utils
 
 /**
  * Column definitions for the contracts table
- * Each column defines: key (data path), label, sortable, formatter, align
+ * Each column defines: key (data path), label, sortable, formatter, align,
+ * and optionally mode - shown only in that scan mode
  */
 const COLUMN_DEFS = [
   { key: 'underlying',      label: 'Ticker',   sortable: true,  format: 'text',     align: 'left',   className: 'ticker' },
   { key: '_meta.company',   label: 'Company',  sortable: true,  format: 'text',     align: 'left',   className: 'company' },
   { key: '_meta.industry',  label: 'Industry', sortable: false, format: 'text',     align: 'left',   className: 'industry' },
+  { key: 'type',            label: 'Type',     sortable: true,  format: 'type',     align: 'left',   className: 'type' },
   { key: 'strike',          label: 'Strike',   sortable: true,  format: 'strike',   align: 'right',  className: 'strike' },
   { key: 'expiration',      label: 'Exp',      sortable: true,  format: 'date',     align: 'left',   className: 'expiration' },
   { key: 'dte',             label: 'DTE',      sortable: true,  format: 'number',   align: 'right',  className: 'dte' },
@@ -30,11 +32,35 @@ const COLUMN_DEFS = [
   { key: 'ask',             label: 'Ask',      sortable: true,  format: 'currency', align: 'right',  className: 'ask' },
   { key: 'last',            label: 'Last',     sortable: true,  format: 'currency', align: 'right',  className: 'last' },
   { key: 'iv',              label: 'IV',       sortable: true,  format: 'percent',  align: 'right',  className: 'iv' },
+  { key: 'ivRank',          label: 'IV Rank',  sortable: true,  format: 'rank',     align: 'right',  className: 'iv-rank' },
+  { key: 'ivPercentile',    label: 'IV Pctl',  sortable: true,  format: 'rank',     align: 'right',  className: 'iv-pctl' },
   { key: 'delta',           label: 'Delta',    sortable: true,  format: 'delta',    align: 'right',  className: 'delta' },
   { key: 'volume',          label: 'Vol',      sortable: true,  format: 'number',   align: 'right',  className: 'volume' },
-  { key: 'openInterest',    label: 'OI',       sortable: true,  format: 'number',   align: 'right',  className: 'oi' }
+  { key: 'openInterest',    label: 'OI',       sortable: true,  format: 'number',   align: 'right',  className: 'oi' },
+  { key: 'score',           label: 'Score',    sortable: true,  format: 'score',    align: 'right',  className: 'score' },
+  { key: 'probItm',         label: 'Prob ITM', sortable: true,  format: 'percent',  align: 'right',  className: 'prob-itm' },
+  { key: 'probTouch',       label: 'Touch',    sortable: true,  format: 'percent',  align: 'right',  className: 'prob-touch' },
+  { key: 'expectedMove',    label: 'Exp Move', sortable: true,  format: 'currency', align: 'right',  className: 'exp-move' },
+  { key: 'breakEvenPct',    label: 'BE %',     sortable: true,  format: 'percent',  align: 'right',  className: 'be-pct' },
+  { key: 'requiredReturn',  label: 'Req Ret/yr', sortable: true, format: 'percent', align: 'right',  className: 'req-return' },
+  // Income mode only (covered call / cash-secured put yields)
+  { key: 'premiumYield',    label: 'Prem Yield', sortable: true, format: 'percent', align: 'right',  className: 'prem-yield',  mode: 'income' },
+  { key: 'annualizedYield', label: 'Ann Yield',  sortable: true, format: 'percent', align: 'right',  className: 'ann-yield',   mode: 'income' },
+  { key: 'downsideProtection', label: 'Protection', sortable: true, format: 'percent', align: 'right', className: 'protection', mode: 'income' },
+  { key: 'returnIfAssigned', label: 'If Assigned', sortable: true, format: 'percent', align: 'right', className: 'if-assigned', mode: 'income' },
+  { key: 'probOtm',         label: 'Prob OTM',   sortable: true, format: 'percent', align: 'right',  className: 'prob-otm',    mode: 'income' },
+  // LEAPS mode only (leverage and time value)
+  { key: 'leverage',        label: 'Leverage',   sortable: true, format: 'ratio',   align: 'right',  className: 'leverage',    mode: 'leaps' },
+  { key: 'intrinsicValue',  label: 'Intrinsic',  sortable: true, format: 'currency', align: 'right', className: 'intrinsic',   mode: 'leaps' },
+  { key: 'extrinsicValue',  label: 'Extrinsic',  sortable: true, format: 'currency', align: 'right', className: 'extrinsic',   mode: 'leaps' },
+  { key: 'extrinsicPerDay', label: 'Time $/Day', sortable: true, format: 'perDay',  align: 'right',  className: 'time-per-day', mode: 'leaps' },
+  { key: 'impliedCarry',    label: 'Carry/yr',   sortable: true, format: 'percent', align: 'right',  className: 'carry',       mode: 'leaps' },
+  { key: 'replacementEfficiency', label: 'Efficiency', sortable: true, format: 'percent', align: 'right', className: 'efficiency', mode: 'leaps' }
 ];
 
+// Scan modes with their own columns
+const COLUMN_MODES = [...new Set(COLUMN_DEFS.map(col => col.mode).filter(Boolean))];
+
 /**
  * Secondary filter definitions
  * Maps filter input IDs to their configuration
@@ -43,6 +69,7 @@ const FILTER_DEFS = [
   // Text filters
   { id: 'filterTicker',    key: 'underlying',     type: 'text' },
   { id: 'filterCompany',   key: '_meta.company',  type: 'text' },
+  { id: 'filterType',      key: 'type',           type: 'exact' },  // Split calls / puts of a "Both" scan
   // Range filters
   { id: 'filterStrikeMin', key: 'strike',         type: 'min' },
   { id: 'filterStrikeMax', key: 'strike',         type: 'max' },
@@ -99,8 +126,18 @@ function formatCell(value, format) {
   switch (format) {
     case 'currency':
       return formatCurrency(value);
+    case 'perDay':
+      return formatCurrency(value, 4);  // Fractions of a cent add up over a LEAPS' life
     case 'percent':
       return formatPercent(value);
+    case 'ratio':
+      return `${value.toFixed(1)}x`;
+    case 'score':
+      return value.toFixed(0);
+    case 'rank':
+      return (value * 100).toFixed(0);  // IV rank / percentile on the usual 0-100 scale
+    case 'type':
+      return value === 'put' ? 'Put' : 'Call';
     case 'date':
       return formatDate(value);
     case 'number':
@@ -141,6 +178,22 @@ const COLOR_THRESHOLDS = {
   price: {
     low: 0.50,    // < $0.50 = cheap
     high: 2.00    // > $2.00 = expensive
+  },
+  annualizedYield: {
+    low: 0.10,    // < 10%/yr = thin premium
+    high: 0.30    // > 30%/yr = rich premium (opportunity)
+  },
+  probOtm: {
+    low: 0.60,    // < 60% = likely assignment
+    high: 0.80    // > 80% = likely to keep the premium
+  },
+  score: {
+    low: 30,      // < 30 = bottom of the result set on the weighted factors
+    high: 70      // > 70 = top of the result set
+  },
+  ivRank: {
+    low: 0.30,    // < 30 = IV low in its own history (cheap premium)
+    high: 0.70    // > 70 = IV high in its own history (rich premium)
   }
 };
 
@@ -197,6 +250,77 @@ function getPriceColorClass(price) {
   return 'cell-neutral';
 }
 
+/**
+ * Get color class for annualized premium yield (income mode)
+ * Rich premium = opportunity, thin premium = muted
+ * @param {number} yieldValue - Annualized yield as decimal
+ * @returns {string} CSS class
+ */
+function getYieldColorClass(yieldValue) {
+  if (yieldValue == null) return '';
+  if (yieldValue > COLOR_THRESHOLDS.annualizedYield.high) return 'cell-positive';
+  if (yieldValue < COLOR_THRESHOLDS.annualizedYield.low) return 'cell-muted';
+  return 'cell-neutral';
+}
+
+/**
+ * Get color class for probability of expiring OTM (income mode)
+ * Likely to keep the premium = positive, likely assignment = warning
+ * @param {number} probOtm - Probability as decimal
+ * @returns {string} CSS class
+ */
+function getProbOtmColorClass(probOtm) {
+  if (probOtm == null) return '';
+  if (probOtm > COLOR_THRESHOLDS.probOtm.high) return 'cell-positive';
+  if (probOtm < COLOR_THRESHOLDS.probOtm.low) return 'cell-warning';
+  return 'cell-neutral';
+}
+
+/**
+ * Get color class for composite score
+ * Top of the result set = positive, bottom = muted
+ * @param {number} score - Score 0-100
+ * @returns {string} CSS class
+ */
+function getScoreColorClass(score) {
+  if (score == null) return '';
+  if (score > COLOR_THRESHOLDS.score.high) return 'cell-positive';
+  if (score < COLOR_THRESHOLDS.score.low) return 'cell-muted';
+  return 'cell-neutral';
+}
+
+/**
+ * Get color class for IV rank / percentile
+ * Low in the underlying's history = opportunity (green), high = expensive (red)
+ * @param {number} rank - Rank as decimal (0-1)
+ * @returns {string} CSS class
+ */
+function getIvRankColorClass(rank) {
+  if (rank == null) return '';
+  if (rank < COLOR_THRESHOLDS.ivRank.low) return 'cell-positive';
+  if (rank > COLOR_THRESHOLDS.ivRank.high) return 'cell-negative';
+  return 'cell-neutral';
+}
+
+/**
+ * Placeholder for an IV rank / percentile cell without a value, telling a
+ * missing ATM IV reading apart from history still being collected
+ * @param {object} contract - Contract data
+ * @returns {object} { text, title }
+ */
+function getIvRankPlaceholder(contract) {
+  if (contract.atmIv == null) {
+    return {
+      text: 'No IV',
+      title: `No ATM IV reading for ${contract.underlying} - no ATM strikes with IV near the 30-day tenor were fetched`
+    };
+  }
+  return {
+    text: '-',
+    title: `Collecting IV history - ${contract.ivHistoryDays ?? 0} sessions stored so far`
+  };
+}
+
 /**
  * Get the appropriate color class for a cell based on column and value
  * @param {string} columnKey - Column key from COLUMN_DEFS
@@ -207,6 +331,9 @@ function getCellColorClass(columnKey, value) {
   switch (columnKey) {
     case 'iv':
       return getIvColorClass(value);
+    case 'ivRank':
+    case 'ivPercentile':
+      return getIvRankColorClass(value);
     case 'delta':
       return getDeltaColorClass(value);
     case 'dte':
@@ -215,6 +342,12 @@ function getCellColorClass(columnKey, value) {
     case 'bid':
     case 'ask':
       return getPriceColorClass(value);
+    case 'annualizedYield':
+      return getYieldColorClass(value);
+    case 'probOtm':
+      return getProbOtmColorClass(value);
+    case 'score':
+      return getScoreColorClass(value);
     default:
       return '';
   }
@@ -224,6 +357,33 @@ function getCellColorClass(columnKey, value) {
 // Sorting
 // =============================================================================
 
+/**
+ * Compare two contracts by a field
+ * @param {object} a
+ * @param {object} b
+ * @param {string} field - Field path to compare
+ * @param {string} dir - 'asc' or 'desc'
+ * @returns {number} Comparator result
+ */
+function compareContracts(a, b, field, dir) {
+  let aVal = getFieldValue(a, field);
+  let bVal = getFieldValue(b, field);
+  
+  // Handle nulls - push to end
+  if (aVal == null && bVal == null) return 0;
+  if (aVal == null) return 1;
+  if (bVal == null) return -1;
+  
+  // String comparison for text fields
+  if (typeof aVal === 'string' && typeof bVal === 'string') {
+    const cmp = aVal.localeCompare(bVal);
+    return dir === 'asc' ? cmp : -cmp;
+  }
+  
+  // Numeric comparison
+  return dir === 'asc' ? aVal - bVal : bVal - aVal;
+}
+
 /**
  * Sort contracts array by a field
  * @param {object[]} contracts - Array to sort
@@ -232,24 +392,34 @@ function getCellColorClass(columnKey, value) {
  * @returns {object[]} Sorted array (mutates original)
  */
 function sortContracts(contracts, field, dir) {
-  return contracts.sort((a, b) => {
-    let aVal = getFieldValue(a, field);
-    let bVal = getFieldValue(b, field);
-    
-    // Handle nulls - push to end
-    if (aVal == null && bVal == null) return 0;
-    if (aVal == null) return 1;
-    if (bVal == null) return -1;
-    
-    // String comparison for text fields
-    if (typeof aVal === 'string' && typeof bVal === 'string') {
-      const cmp = aVal.localeCompare(bVal);
-      return dir === 'asc' ? cmp : -cmp;
+  return contracts.sort((a, b) => compareContracts(a, b, field, dir));
+}
+
+/**
+ * Merge a batch of contracts into an already sorted array
+ * Existing rows keep their relative order, so streamed rows never reshuffle
+ * rows that compare equal.
+ * @param {object[]} sorted - Array sorted by field/dir
+ * @param {object[]} batch - New contracts (any order)
+ * @param {string} field - Field path sorted by
+ * @param {string} dir - 'asc' or 'desc'
+ * @returns {object[]} New merged array
+ */
+function mergeSorted(sorted, batch, field, dir) {
+  const incoming = sortContracts([...batch], field, dir);
+  const merged = [];
+  let i = 0;
+  let j = 0;
+  
+  while (i < sorted.length && j < incoming.length) {
+    if (compareContracts(incoming[j], sorted[i], field, dir) < 0) {
+      merged.push(incoming[j++]);
+    } else {
+      merged.push(sorted[i++]);
     }
-    
-    // Numeric comparison
-    return dir === 'asc' ? aVal - bVal : bVal - aVal;
-  });
+  }
+  
+  return merged.concat(sorted.slice(i), incoming.slice(j));
 }
 
 /**
@@ -290,6 +460,8 @@ function getFilterValues() {
     
     if (def.type === 'text') {
       values[def.id] = rawValue.toLowerCase();
+    } else if (def.type === 'exact') {
+      values[def.id] = rawValue;
     } else {
       const num = parseFloat(rawValue);
       if (!isNaN(num)) {
@@ -330,6 +502,11 @@ function applySecondaryFilters(contracts, filterValues) {
             return false;
           }
           break;
+        case 'exact':
+          if (contractValue !== filterValue) {
+            return false;
+          }
+          break;
         case 'min':
           if (contractValue == null || contractValue < filterValue) {
             return false;
@@ -408,10 +585,18 @@ function clearFilterInputs(triggerUpdate = false) {
 function buildRow(contract) {
   const cells = COLUMN_DEFS.map(col => {
     const value = getFieldValue(contract, col.key);
-    const formatted = formatCell(value, col.format);
+    const placeholder = col.format === 'rank' && value == null ? getIvRankPlaceholder(contract) : null;
+    const formatted = placeholder ? placeholder.text : formatCell(value, col.format);
     const colorClass = getCellColorClass(col.key, value);
-    const classes = [col.className, colorClass].filter(Boolean).join(' ');
-    return `<td class="${classes}">${formatted}</td>`;
+    const computed = contract._sources?.[col.key] === 'computed';
+    const classes = [col.className, col.mode && `col-${col.mode}`, colorClass, computed && 'computed', placeholder && 'cell-muted'].filter(Boolean).join(' ');
+    let title = '';
+    if (computed) {
+      title = ' title="Computed (Bjerksund-Stensland) - not supplied by the data vendor"';
+    } else if (placeholder) {
+      title = ` title="${placeholder.title}"`;
+    }
+    return `<td class="${classes}"${title}>${formatted}</td>`;
   }).join('');
   
   return `<tr data-ticker="${contract.contractTicker || ''}">${cells}</tr>`;
@@ -573,11 +758,17 @@ function onRowClick(e) {
  * @param {string} options.sortBy - Field to sort by
  * @param {string} options.sortDir - Sort direction ('asc' or 'desc')
  * @param {boolean} options.clearFilters - Whether to clear secondary filters
+ * @param {string} options.mode - Scan mode ('contracts' | 'income' | 'leaps') - shows its columns
  */
 export function renderTable(contracts, options = {}) {
   // Store contracts
   allContracts = [...contracts];
   
+  if (options.mode) {
+    const table = document.getElementById('resultsTable');
+    COLUMN_MODES.forEach(mode => table?.classList.toggle(`${mode}-mode`, options.mode === mode));
+  }
+  
   // Apply initial sort
   if (options.sortBy) {
     sortState.field = options.sortBy;
@@ -598,6 +789,19 @@ export function renderTable(contracts, options = {}) {
   applyFiltersAndRender();
 }
 
+/**
+ * Append contracts to the current table (e.g. as a streaming scan delivers
+ * each ticker). Rows are merged in at their sorted position and the active
+ * sort and secondary filters are kept.
+ * @param {object[]} contracts - Normalized contracts to add
+ */
+export function appendContracts(contracts) {
+  if (!contracts || contracts.length === 0) return;
+  
+  allContracts = mergeSorted(allContracts, contracts, sortState.field, sortState.dir);
+  applyFiltersAndRender();
+}
+
 /**
  * Refresh the table with current state (no new data)
  */
@@ -695,43 +899,28 @@ export function setupTableControls(opts = {}) {
 }
 
 /**
- * Export current table data to CSV
- * @param {string} filename - Optional filename (defaults to date-based)
+ * Convert contracts to CSV (table columns plus contract ticker)
+ * DOM-free - also used by the headless CLI (bin/options-scan.mjs).
+ * @param {object[]} contracts
+ * @returns {string} CSV text
  */
-export function exportTableToCSV(filename) {
-  const contracts = filteredContracts.length > 0 ? filteredContracts : allContracts;
-  
-  if (contracts.length === 0) {
-    alert('No results to export');
-    return;
-  }
-  
-  // Build headers from column defs plus contract ticker
+export function contractsToCSV(contracts) {
+  // Build headers from column defs plus contract ticker and which values were computed
   const headers = [
     ...COLUMN_DEFS.map(col => col.label),
-    'Contract'
+    'Contract',
+    'Computed'
   ];
   
   // Build rows
   const rows = contracts.map(c => [
-    c.underlying,
-    c._meta?.company || '',
-    c._meta?.industry || '',
-    c.strike,
-    c.expiration,
-    c.dte,
-    c.bid,
-    c.ask,
-    c.last,
-    c.iv,
-    c.delta,
-    c.volume,
-    c.openInterest,
-    c.contractTicker
+    ...COLUMN_DEFS.map(col => getFieldValue(c, col.key)),
+    c.contractTicker,
+    Object.keys(c._sources || {}).filter(field => c._sources[field] === 'computed').join(' ')
   ]);
   
   // Convert to CSV string
-  const csv = [headers, ...rows]
+  return [headers, ...rows]
     .map(row => row.map(cell => {
       if (cell == null) return '';
       if (typeof cell === 'string' && (cell.includes(',') || cell.includes('"'))) {
@@ -740,6 +929,21 @@ export function exportTableToCSV(filename) {
       return cell;
     }).join(','))
     .join('\n');
+}
+
+/**
+ * Export current table data to CSV
+ * @param {string} filename - Optional filename (defaults to date-based)
+ */
+export function exportTableToCSV(filename) {
+  const contracts = filteredContracts.length > 0 ? filteredContracts : allContracts;
+  
+  if (contracts.length === 0) {
+    alert('No results to export');
+    return;
+  }
+  
+  const csv = contractsToCSV(contracts);
   
   // Download
   const defaultFilename = `options-scan-${new Date().toISOString().slice(0, 10)}.csv`;
@@ -0,0 +1,129 @@
+/**
+ * Unusual Options Activity - Contracts trading far above their usual volume
+ *
+ * Two signals per contract: today's volume as a multiple of open interest
+ * (new positions rather than existing ones changing hands) and as a multiple
+ * of the contract's average daily volume in earlier cached scans. Each
+ * signal's multiple is log-scaled into an unusualness score, with a bonus
+ * for the premium traded. Direction is a hint only: providers give no trade
+ * sides, so the last trade's position in the bid/ask spread stands in for
+ * buyer or seller. DOM-free; used by the Unusual Activity view.
+ */
+
+import { CONFIG } from './config.js';
+
+// Score points per doubling of a signal's multiple (1 + multiple)
+const SIGNAL_POINTS = 20;
+
+// Score points per tenfold of premium above PREMIUM_BONUS_BASE ($)
+const PREMIUM_POINTS = 10;
+const PREMIUM_BONUS_BASE = 10000;
+
+/**
+ * Label the premium traded by size tier
+ * @param {number|null} premium - Volume x price x 100
+ * @returns {string|null}
+ */
+export function classifyTradeSize(premium) {
+  if (premium == null) return null;
+  const tier = CONFIG.UNUSUAL.SIZE_TIERS.find(t => premium >= t.minPremium);
+  return tier ? tier.label : 'Small';
+}
+
+/**
+ * Infer the aggressor side and direction from the last trade vs the quote
+ * @param {object} contract - { type, last, bid, ask }
+ * @returns {object} { side, direction } - side 'ask' (bought), 'bid' (sold) or
+ *   'mid'; direction 'bullish' or 'bearish'; null where quotes are missing
+ */
+export function inferDirection(contract) {
+  const { type, last, bid, ask } = contract;
+  if (last == null || !(bid > 0) || !(ask >= bid)) {
+    return { side: null, direction: null };
+  }
+
+  // Above the mid leans bought at the ask, below leans sold at the bid
+  const mid = (bid + ask) / 2;
+  if (last === mid) return { side: 'mid', direction: null };
+  const side = last > mid ? 'ask' : 'bid';
+
+  // Bought calls and sold puts profit from a rise
+  const bought = side === 'ask';
+  const bullish = type === 'call' ? bought : !bought;
+  return { side, direction: bullish ? 'bullish' : 'bearish' };
+}
+
+/**
+ * Average daily volume of a contract's earlier sessions
+ * @param {Array} days - [{ date, volume }] from CacheManager.getVolumeHistory()
+ * @returns {number|null}
+ */
+function averageVolume(days) {
+  if (days.length === 0 || days.length < CONFIG.UNUSUAL.MIN_HISTORY_DAYS) return null;
+  return days.reduce((sum, d) => sum + d.volume, 0) / days.length;
+}
+
+/**
+ * Flag and score unusual activity
+ * @param {object[]} contracts - Normalized contracts from one scan
+ * @param {object} history - { contractTicker: [{ date, volume }] } from earlier sessions
+ * @param {object} options
+ * @param {number} options.minVolume - Volume floor
+ * @param {number} options.volOiMultiple - Volume / open interest that flags a contract
+ * @param {number} options.historyMultiple - Volume / average daily volume that flags a contract
+ * @param {number} options.minPremium - Premium floor ($), contracts without a price are kept
+ * @returns {object[]} Flagged copies with unusualScore (0-100), signals, volOiRatio,
+ *   avgVolume, historyDays, historyMultiple, premium, tradeSize, side and
+ *   direction - highest score first
+ */
+export function detectUnusualActivity(contracts, history = {}, options = {}) {
+  const defaults = CONFIG.UNUSUAL;
+  const {
+    minVolume = defaults.MIN_VOLUME,
+    volOiMultiple = defaults.VOL_OI_MULTIPLE,
+    historyMultiple = defaults.HISTORY_MULTIPLE,
+    minPremium = defaults.MIN_PREMIUM
+  } = options;
+
+  const flagged = [];
+  for (const contract of contracts) {
+    const volume = contract.volume;
+    if (!(volume > 0) || volume < (minVolume ?? 0)) continue;
+
+    const price = contract.last ?? contract.mid ?? null;
+    const premium = price != null ? volume * price * 100 : null;
+    if (minPremium != null && premium != null && premium < minPremium) continue;
+
+    // No open interest at all means every contract traded opened a position
+    const volOiRatio = contract.openInterest != null ? volume / Math.max(contract.openInterest, 1) : null;
+
+    const days = history[contract.contractTicker] || [];
+    const avgVolume = averageVolume(days);
+    const historyRatio = avgVolume != null ? volume / Math.max(avgVolume, 1) : null;
+
+    const signals = [];
+    if (volOiMultiple != null && volOiRatio != null && volOiRatio >= volOiMultiple) signals.push('volOi');
+    if (historyMultiple != null && historyRatio != null && historyRatio >= historyMultiple) signals.push('history');
+    if (signals.length === 0) continue;
+
+    let score = 0;
+    if (volOiRatio != null) score += SIGNAL_POINTS * Math.log2(1 + volOiRatio);
+    if (historyRatio != null) score += SIGNAL_POINTS * Math.log2(1 + historyRatio);
+    if (premium > PREMIUM_BONUS_BASE) score += PREMIUM_POINTS * Math.log10(premium / PREMIUM_BONUS_BASE);
+
+    flagged.push({
+      ...contract,
+      ...inferDirection(contract),
+      unusualScore: Math.min(score, 100),
+      signals,
+      volOiRatio,
+      avgVolume,
+      historyDays: days.length,
+      historyMultiple: historyRatio,
+      premium,
+      tradeSize: classifyTradeSize(premium)
+    });
+  }
+
+  return flagged.sort((a, b) => b.unusualScore - a.unusualScore || (b.premium ?? 0) - (a.premium ?? 0));
+}
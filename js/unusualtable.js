@@ -0,0 +1,121 @@
+/**
+ * Unusual Activity Table Module - Contracts flagged by the detector
+ *
+ * Handles:
+ * - Flagged contracts by unusualness score with their signals
+ * - Trade size, premium and direction hints
+ */
+
+import { formatCurrency, formatDate, formatNumber } from './utils.js';
+
+const CONFIG = {
+  maxDisplayRows: 100
+};
+
+const COLUMN_COUNT = 14;
+
+// Side of the spread the last trade printed on
+const SIDE_LABELS = {
+  ask: 'At Ask',
+  bid: 'At Bid',
+  mid: 'Mid'
+};
+
+// What the side implies for the underlying (bought calls / sold puts are bullish)
+const DIRECTION_LABELS = {
+  bullish: 'Bullish',
+  bearish: 'Bearish'
+};
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+/**
+ * Format a multiple, marking the ones that flagged the contract
+ * @param {number|null} value
+ * @param {boolean} flagged - Whether this signal crossed its threshold
+ * @param {string} title - Tooltip
+ * @returns {string}
+ */
+function multipleCell(value, flagged, title = '') {
+  const text = value != null ? `${value.toFixed(1)}x` : '-';
+  return `<td class="num${flagged ? ' signal' : ''}" title="${title}">${text}</td>`;
+}
+
+/**
+ * Build a single row HTML
+ * @param {object} contract - Flagged contract from detectUnusualActivity()
+ * @param {number} rank - 1-based rank
+ * @returns {string}
+ */
+function buildRow(contract, rank) {
+  const history = contract.avgVolume != null
+    ? `Avg ${formatNumber(Math.round(contract.avgVolume))} over ${contract.historyDays} session${contract.historyDays === 1 ? '' : 's'}`
+    : 'No earlier scans of this contract';
+
+  return `<tr data-ticker="${contract.contractTicker || ''}">
+    <td class="rank">${rank}</td>
+    <td class="ticker">${contract.underlying}</td>
+    <td>${contract.type === 'put' ? 'Put' : 'Call'}</td>
+    <td class="num">${contract.strike != null ? contract.strike.toFixed(2) : '-'}</td>
+    <td>${formatDate(contract.expiration)}</td>
+    <td class="num">${formatNumber(contract.volume)}</td>
+    <td class="num">${contract.openInterest != null ? formatNumber(contract.openInterest) : '-'}</td>
+    ${multipleCell(contract.volOiRatio, contract.signals.includes('volOi'))}
+    ${multipleCell(contract.historyMultiple, contract.signals.includes('history'), history)}
+    <td class="num">${contract.premium != null ? formatCurrency(contract.premium, 0) : '-'}</td>
+    <td class="size size-${(contract.tradeSize || '').toLowerCase()}">${contract.tradeSize || '-'}</td>
+    <td>${SIDE_LABELS[contract.side] || '-'}</td>
+    <td class="direction ${contract.direction || ''}">${DIRECTION_LABELS[contract.direction] || '-'}</td>
+    <td class="num score-cell">${contract.unusualScore.toFixed(0)}</td>
+  </tr>`;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Render flagged contracts (already sorted by score)
+ * @param {object[]} flagged - From detectUnusualActivity()
+ * @param {object} info - { scanned, historySessions } - contracts checked and
+ *   earlier sessions found in the cache
+ */
+export function renderUnusualTable(flagged, { scanned = 0, historySessions = 0 } = {}) {
+  const tbody = document.getElementById('unusualBody');
+  if (!tbody) return;
+
+  if (flagged.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="${COLUMN_COUNT}" class="no-results">No unusual activity at these thresholds</td></tr>`;
+  } else {
+    tbody.innerHTML = flagged
+      .slice(0, CONFIG.maxDisplayRows)
+      .map((contract, i) => buildRow(contract, i + 1))
+      .join('');
+  }
+
+  const info = document.getElementById('unusualShowing');
+  if (info) {
+    const shown = flagged.length > CONFIG.maxDisplayRows
+      ? `Top ${CONFIG.maxDisplayRows} of ${formatNumber(flagged.length)}`
+      : formatNumber(flagged.length);
+    const history = historySessions > 0
+      ? `${historySessions} earlier session${historySessions === 1 ? '' : 's'} cached`
+      : 'no earlier sessions cached';
+    info.textContent = `${shown} flagged of ${formatNumber(scanned)} contracts · ${history}`;
+  }
+}
+
+/**
+ * Show a placeholder message instead of the list
+ * @param {string} message
+ */
+export function showUnusualPlaceholder(message) {
+  const tbody = document.getElementById('unusualBody');
+  if (tbody) {
+    tbody.innerHTML = `<tr><td colspan="${COLUMN_COUNT}" class="placeholder">${message}</td></tr>`;
+  }
+  const info = document.getElementById('unusualShowing');
+  if (info) info.textContent = '';
+}
@@ -15,6 +15,18 @@ export function calculateDTE(expirationDate) {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 }
 
+/**
+ * Local calendar date a number of days from today
+ * @param {number} days - Days from today
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getDateInDays(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 /**
  * Format a number as currency
  * @param {number} value 
@@ -62,6 +74,19 @@ export function formatNumber(value) {
   return value.toLocaleString();
 }
 
+/**
+ * Escape text for insertion into HTML (API messages and user labels are untrusted)
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Determine moneyness of an option
  * @param {number} strike 
@@ -84,13 +109,106 @@ export function getMoneyness(strike, underlyingPrice, contractType) {
   }
 }
 
+/**
+ * Percentage out-of-the-money as a decimal (negative when in the money)
+ * @param {number} strike 
+ * @param {number} underlyingPrice 
+ * @param {string} contractType - 'call' or 'put'
+ * @returns {number|null} e.g. 0.25 = strike 25% OTM
+ */
+export function getOtmPercent(strike, underlyingPrice, contractType) {
+  if (strike == null || !underlyingPrice) return null;
+  const pctDiff = (strike - underlyingPrice) / underlyingPrice;
+  return contractType === 'put' ? -pctDiff : pctDiff;
+}
+
+/**
+ * Translate a moneyness window into strike bounds for an underlying price
+ * @param {number} underlyingPrice 
+ * @param {string|null} contractType - 'call', 'put' or null (both sides)
+ * @param {number|null} otmMin - Min % OTM as decimal (negative = ITM)
+ * @param {number|null} otmMax - Max % OTM as decimal
+ * @returns {object} { strikeGte, strikeLte } - null where unbounded
+ */
+export function getStrikeBounds(underlyingPrice, contractType, otmMin, otmMax) {
+  if (!underlyingPrice || (otmMin == null && otmMax == null)) {
+    return { strikeGte: null, strikeLte: null };
+  }
+  
+  // Calls are OTM above the underlying, puts below it
+  const callGte = otmMin != null ? underlyingPrice * (1 + otmMin) : null;
+  const callLte = otmMax != null ? underlyingPrice * (1 + otmMax) : null;
+  const putGte = otmMax != null ? underlyingPrice * (1 - otmMax) : null;
+  const putLte = otmMin != null ? underlyingPrice * (1 - otmMin) : null;
+  
+  let gte;
+  let lte;
+  if (contractType === 'call') {
+    gte = callGte;
+    lte = callLte;
+  } else if (contractType === 'put') {
+    gte = putGte;
+    lte = putLte;
+  } else {
+    // Both sides - cover the union of the two windows
+    gte = callGte != null && putGte != null ? Math.min(callGte, putGte) : null;
+    lte = callLte != null && putLte != null ? Math.max(callLte, putLte) : null;
+  }
+  
+  // Round outward to the cent so boundary strikes are kept
+  return {
+    strikeGte: gte != null ? Math.max(0, Math.floor(gte * 100) / 100) : null,
+    strikeLte: lte != null ? Math.ceil(lte * 100) / 100 : null
+  };
+}
+
 /**
  * Sleep for a specified duration
  * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} signal - Optional signal; rejects with AbortError when aborted
  * @returns {Promise}
  */
-export function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError(signal));
+      return;
+    }
+    
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create the error thrown when an operation is aborted
+ * @param {AbortSignal} signal - The aborted signal (its reason is reused if set)
+ * @returns {Error}
+ */
+export function createAbortError(signal = null) {
+  if (signal?.reason instanceof Error && signal.reason.name === 'AbortError') {
+    return signal.reason;
+  }
+  const error = new Error('Operation aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check whether an error was caused by an abort
+ * @param {Error} error 
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
 }
 
 /**
@@ -9,7 +9,8 @@ let currentData = null;
 /**
  * Aggregate contracts by ticker
  * @param {Array} contracts - Array of contract objects
- * @returns {Array} - Aggregated ticker data sorted by ratio
+ * @returns {Array} - Aggregated ticker data: volume / OI totals and ratio,
+ *   per-side totals and put/call volume and OI ratios (null without calls)
  */
 export function aggregateByTicker(contracts) {
   const byTicker = {};
@@ -22,17 +23,31 @@ export function aggregateByTicker(contracts) {
         industry: c._meta?.industry || 'Unknown',
         totalVolume: 0,
         totalOI: 0,
+        callVolume: 0,
+        putVolume: 0,
+        callOI: 0,
+        putOI: 0,
         contractCount: 0
       };
     }
-    byTicker[ticker].totalVolume += c.volume || 0;
-    byTicker[ticker].totalOI += c.openInterest || 0;
-    byTicker[ticker].contractCount++;
+    const t = byTicker[ticker];
+    t.totalVolume += c.volume || 0;
+    t.totalOI += c.openInterest || 0;
+    if (c.type === 'put') {
+      t.putVolume += c.volume || 0;
+      t.putOI += c.openInterest || 0;
+    } else if (c.type === 'call') {
+      t.callVolume += c.volume || 0;
+      t.callOI += c.openInterest || 0;
+    }
+    t.contractCount++;
   }
 
   return Object.values(byTicker).map(t => ({
     ...t,
-    ratio: t.totalOI > 0 ? t.totalVolume / t.totalOI : 0
+    ratio: t.totalOI > 0 ? t.totalVolume / t.totalOI : 0,
+    putCallVolumeRatio: t.callVolume > 0 ? t.putVolume / t.callVolume : null,
+    putCallOIRatio: t.callOI > 0 ? t.putOI / t.callOI : null
   }));
 }
 
@@ -115,6 +130,15 @@ function formatCompact(num) {
   return num.toString();
 }
 
+/**
+ * Format a put/call ratio
+ * @param {number|null} ratio
+ * @returns {string}
+ */
+function formatPutCall(ratio) {
+  return ratio != null ? ratio.toFixed(2) : '-';
+}
+
 /**
  * Update summary stat cards
  * @param {Object} stats - Summary statistics
@@ -162,7 +186,8 @@ export function renderVolumeChart(contracts, options = {}) {
   if (sortBy === 'ticker') {
     data.sort((a, b) => a.ticker.localeCompare(b.ticker));
   } else {
-    data.sort((a, b) => b[sortBy] - a[sortBy]);
+    // Put/call ratios are null for tickers without calls - keep those last
+    data.sort((a, b) => (b[sortBy] ?? -1) - (a[sortBy] ?? -1));
   }
 
   // Limit if specified
@@ -217,6 +242,9 @@ export function renderVolumeChart(contracts, options = {}) {
           <span style="color:${THEME.textSecondary}">Volume:</span> ${formatCompact(d.totalVolume)}<br/>
           <span style="color:${THEME.textSecondary}">Open Interest:</span> ${formatCompact(d.totalOI)}<br/>
           <span style="color:${THEME.textSecondary}">Ratio:</span> <strong>${d.ratio.toFixed(2)}x</strong><br/>
+          ${d.callVolume + d.callOI > 0 && d.putVolume + d.putOI > 0 ? `
+          <span style="color:${THEME.textSecondary}">P/C Volume:</span> ${formatPutCall(d.putCallVolumeRatio)}<br/>
+          <span style="color:${THEME.textSecondary}">P/C OI:</span> ${formatPutCall(d.putCallOIRatio)}<br/>` : ''}
           <span style="color:${THEME.textSecondary}">Contracts:</span> ${d.contractCount}
         `;
       }
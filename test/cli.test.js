@@ -0,0 +1,73 @@
+/**
+ * options-scan CLI tests - run with `node --test test/`
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/options-scan.mjs', import.meta.url));
+
+const SNAPSHOT = [
+  'Underlying,Type,Strike,Expiration,Bid,Ask,Last,IV,Delta,Underlying Price',
+  'XOM,C,95,2027-01-15,14.0,14.4,14.2,30,0.8,108',
+  'XOM,C,110,2027-01-15,5.0,5.4,5.2,28,0.5,108',
+  'XOM,C,150,2027-01-15,0.3,0.5,0.4,35,0.1,108'
+].join('\n');
+
+let dir;
+let input;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'options-scan-'));
+  input = join(dir, 'snapshot.csv');
+  await writeFile(input, SNAPSHOT);
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI on the snapshot file
+ * @param {string[]} args - Extra arguments
+ * @returns {Promise<object>} { code, stdout, stderr }
+ */
+function run(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, '--input', input, '--format', 'json', '-q', ...args], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('--otm accepts a negative (ITM) lower bound', async () => {
+  const { code, stdout } = await run(['--otm', '-0.15-0.05', '--price', '0-100']);
+  assert.equal(code, 0);
+
+  const { params, contracts } = JSON.parse(stdout);
+  assert.equal(params.otmMin, -0.15);
+  assert.equal(params.otmMax, 0.05);
+  assert.deepEqual(contracts.map(c => c.strike).sort((a, b) => a - b), [95, 110]);
+});
+
+test('range sides can be left open', async () => {
+  const maxOnly = JSON.parse((await run(['--otm', '-0.05', '--price', '0-100'])).stdout).params;
+  assert.equal(maxOnly.otmMax, 0.05);
+
+  const negativeMax = JSON.parse((await run(['--otm', '--0.05', '--price', '0-100'])).stdout).params;
+  assert.equal(negativeMax.otmMax, -0.05);
+
+  const minOnly = JSON.parse((await run(['--otm=-0.1-', '--price', '0-100'])).stdout).params;
+  assert.equal(minOnly.otmMin, -0.1);
+});
+
+test('malformed ranges are usage errors', async () => {
+  const { code, stderr } = await run(['--otm', '0.1']);
+  assert.equal(code, 2);
+  assert.match(stderr, /--otm must look like MIN-MAX/);
+});
@@ -0,0 +1,103 @@
+/**
+ * Fixture record/replay tests - run with `node --test test/`
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { FixtureBundle, normalizeFixtureUrl } from '../js/fixtures.js';
+import { PolygonProvider } from '../js/providers/polygon.js';
+import { OptionsScanner } from '../js/scanner.js';
+
+// XOM and CVX Jan 2027 calls recorded from the Polygon snapshot endpoint
+const RECORDED = readFileSync(new URL('./fixtures/polygon-xom-cvx.json', import.meta.url), 'utf8');
+
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  // Replay must never reach the network
+  globalThis.fetch = async (url) => {
+    throw new Error(`Unexpected network request: ${url}`);
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+/**
+ * Scanner replaying the recorded bundle
+ * @param {string} apiKey - Key for the replaying provider
+ * @returns {OptionsScanner}
+ */
+function replayScanner(apiKey = 'replay-key') {
+  const api = new PolygonProvider(apiKey, {
+    fixtureMode: 'replay',
+    fixtures: FixtureBundle.fromJSON(RECORDED)
+  });
+  return new OptionsScanner(api);
+}
+
+// =============================================================================
+// Fixture keys
+// =============================================================================
+
+test('normalizeFixtureUrl drops the apiKey and sorts query params', () => {
+  const withKey = 'https://api.polygon.io/v3/snapshot/options/XOM?limit=250&apiKey=secret&contract_type=call';
+  const without = 'https://api.polygon.io/v3/snapshot/options/XOM?contract_type=call&limit=250';
+  assert.equal(normalizeFixtureUrl(withKey), normalizeFixtureUrl(without));
+  assert.ok(!normalizeFixtureUrl(withKey).includes('secret'));
+});
+
+test('a response recorded with one key is found with another', () => {
+  const bundle = new FixtureBundle();
+  bundle.record('https://api.polygon.io/v3/x?apiKey=recording&limit=1', { results: [1] });
+
+  assert.deepEqual(bundle.lookup('https://api.polygon.io/v3/x?limit=1&apiKey=replaying'), { results: [1] });
+  assert.ok(bundle.has('https://api.polygon.io/v3/x?limit=1'));
+  assert.ok(!JSON.stringify(bundle.toJSON()).includes('recording'));
+});
+
+test('FixtureBundle.fromJSON rejects bundles without responses', () => {
+  assert.throws(() => FixtureBundle.fromJSON({ version: 1 }), /missing responses/);
+});
+
+// =============================================================================
+// Scanner replay
+// =============================================================================
+
+test('a recorded scan replays through the scanner without network', async () => {
+  const results = await replayScanner().scan({ tickers: ['XOM', 'CVX'], priceMin: 0.05, priceMax: 0.25 });
+
+  assert.deepEqual(results.errors, []);
+  assert.equal(results.stats.totalFetched, 5);
+  assert.deepEqual(
+    results.contracts.map(c => [c.contractTicker, c.ask]),
+    [
+      ['O:XOM270115C00115000', 0.06],
+      ['O:CVX270115C00180000', 0.10],
+      ['O:XOM270115C00110000', 0.12],
+      ['O:CVX270115C00170000', 0.24]
+    ]
+  );
+
+  const xom = results.contracts.find(c => c.contractTicker === 'O:XOM270115C00110000');
+  assert.equal(xom.underlyingPrice, 108.5);
+  assert.equal(xom.iv, 0.28);
+  assert.equal(xom.openInterest, 900);
+});
+
+test('replays are deterministic', async () => {
+  const params = { tickers: ['XOM', 'CVX'], priceMin: 0.05, priceMax: 0.25 };
+  const first = await replayScanner('key-a').scan(params);
+  const second = await replayScanner('key-b').scan(params);
+  assert.deepEqual(second.contracts, first.contracts);
+});
+
+test('requests missing from the bundle fail per ticker', async () => {
+  const results = await replayScanner().scan({ tickers: ['XOM', 'SLB'] });
+
+  assert.deepEqual(results.errors.map(e => e.ticker), ['SLB']);
+  assert.ok(results.contracts.every(c => c.underlying === 'XOM'));
+});
@@ -0,0 +1,49 @@
+/**
+ * Data file importer tests - run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { importDataFile, importIvHistoryFile } from '../js/importer.js';
+
+const HEADER = 'Underlying,Type,Strike,Expiration,Last,IV';
+
+/**
+ * IVs read from a CSV snapshot with the given IV column values
+ * @param {string[]} ivs
+ * @returns {number[]}
+ */
+function importIvs(ivs) {
+  const rows = ivs.map((iv, i) => `XOM,C,${100 + i},2027-01-15,0.10,${iv}`);
+  return importDataFile([HEADER, ...rows].join('\n'), 'snapshot.csv').contracts.map(c => c.iv);
+}
+
+test('a percent IV column is scaled as a whole, low readings included', () => {
+  assert.deepEqual(importIvs(['4.5', '30']), [0.045, 0.30]);
+});
+
+test('a decimal IV column is kept as is', () => {
+  assert.deepEqual(importIvs(['0.045', '1.2']), [0.045, 1.2]);
+});
+
+test('a % sign marks the column as percent', () => {
+  assert.deepEqual(importIvs(['"4.5%"', '"3%"']), [0.045, 0.03]);
+});
+
+test('raw Polygon rows keep their decimal IV', () => {
+  const row = {
+    details: { ticker: 'O:XOM270115C00100000', underlying_ticker: 'XOM', contract_type: 'call', strike_price: 100, expiration_date: '2027-01-15' },
+    implied_volatility: 0.045
+  };
+  const { contracts } = importDataFile(JSON.stringify(row), 'snapshot.jsonl');
+  assert.equal(contracts[0].iv, 0.045);
+});
+
+test('IV history files detect the unit per column', () => {
+  const percent = importIvHistoryFile('ticker,date,iv\nXOM,2026-01-02,4.5\nXOM,2026-01-05,28');
+  assert.deepEqual(percent.entries.map(e => e.iv), [0.045, 0.28]);
+
+  const decimal = importIvHistoryFile('ticker,date,iv\nXOM,2026-01-02,0.045\nXOM,2026-01-05,0.28');
+  assert.deepEqual(decimal.entries.map(e => e.iv), [0.045, 0.28]);
+});
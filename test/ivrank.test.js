@@ -0,0 +1,242 @@
+/**
+ * IV rank tests - run with `node --test test/`
+ */
+
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeAtmIvs, computeIvRank, interpolateAtStrike } from '../js/ivrank.js';
+import { TradierProvider } from '../js/providers/tradier.js';
+import { OptionsScanner } from '../js/scanner.js';
+import { CONFIG } from '../js/config.js';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  mock.timers.reset();
+});
+
+/**
+ * Contract with the fields computeAtmIvs() reads
+ * @param {object} fields - Overrides
+ * @returns {object}
+ */
+function contract(fields) {
+  return {
+    underlying: 'XOM',
+    type: 'call',
+    strike: 100,
+    expiration: '2026-11-20',
+    dte: 30,
+    iv: 0.30,
+    underlyingPrice: 100,
+    ...fields
+  };
+}
+
+/**
+ * Readings for computeIvRank()
+ * @param {number[]} ivs
+ * @returns {Array} [{ date, iv }]
+ */
+function history(ivs) {
+  return ivs.map((iv, i) => ({ date: `2026-01-${String(i + 1).padStart(2, '0')}`, iv }));
+}
+
+// =============================================================================
+// interpolateAtStrike
+// =============================================================================
+
+test('interpolateAtStrike uses a single strike as is', () => {
+  assert.equal(interpolateAtStrike([contract({ strike: 101, iv: 0.25 })], 100), 0.25);
+});
+
+test('interpolateAtStrike interpolates between the strikes either side', () => {
+  const iv = interpolateAtStrike([
+    contract({ strike: 98, iv: 0.20 }),
+    contract({ strike: 102, iv: 0.30 })
+  ], 99);
+  assert.ok(Math.abs(iv - 0.225) < 1e-12);
+});
+
+test('interpolateAtStrike averages calls and puts at a strike', () => {
+  const iv = interpolateAtStrike([
+    contract({ strike: 100, iv: 0.20 }),
+    contract({ strike: 100, iv: 0.30, type: 'put' })
+  ], 100);
+  assert.ok(Math.abs(iv - 0.25) < 1e-12);
+});
+
+test('interpolateAtStrike returns null without contracts', () => {
+  assert.equal(interpolateAtStrike([], 100), null);
+});
+
+// =============================================================================
+// computeAtmIvs
+// =============================================================================
+
+test('computeAtmIvs reads the expiration nearest the target tenor', () => {
+  const target = CONFIG.IV_RANK.TARGET_DTE;
+  const atmIvs = computeAtmIvs([
+    contract({ expiration: '2026-11-13', dte: target - 7, iv: 0.40 }),
+    contract({ expiration: '2026-11-20', dte: target + 1, iv: 0.30 })
+  ]);
+  assert.deepEqual(atmIvs, { XOM: 0.30 });
+});
+
+test('computeAtmIvs gives no reading without ATM strikes', () => {
+  const atmIvs = computeAtmIvs([
+    contract({ strike: 120 }),
+    contract({ strike: 80, type: 'put' })
+  ]);
+  assert.deepEqual(atmIvs, {});
+});
+
+test('computeAtmIvs gives no reading without an expiration near the target tenor', () => {
+  const { TARGET_DTE, DTE_TOLERANCE } = CONFIG.IV_RANK;
+  const atmIvs = computeAtmIvs([
+    contract({ dte: TARGET_DTE + DTE_TOLERANCE + 1 }),
+    contract({ dte: 400 })
+  ]);
+  assert.deepEqual(atmIvs, {});
+});
+
+test('computeAtmIvs skips contracts without IV or underlying price', () => {
+  const atmIvs = computeAtmIvs([
+    contract({ iv: null }),
+    contract({ underlying: 'CVX', underlyingPrice: null })
+  ]);
+  assert.deepEqual(atmIvs, {});
+});
+
+// =============================================================================
+// computeIvRank
+// =============================================================================
+
+test('computeIvRank places IV between the window low and high', () => {
+  const minDays = CONFIG.IV_RANK.MIN_HISTORY_DAYS;
+  const ivs = Array.from({ length: minDays }, (_, i) => 0.20 + (0.20 * i) / (minDays - 1));
+  const { ivRank, ivPercentile, ivHistoryDays } = computeIvRank(0.30, history(ivs));
+
+  assert.ok(Math.abs(ivRank - 0.5) < 1e-12);
+  assert.equal(ivPercentile, ivs.filter(v => v < 0.30).length / minDays);
+  assert.equal(ivHistoryDays, minDays);
+});
+
+test('computeIvRank falls back to the middle on a flat history', () => {
+  const flat = history(Array(CONFIG.IV_RANK.MIN_HISTORY_DAYS).fill(0.25));
+  const { ivRank, ivPercentile } = computeIvRank(0.25, flat);
+
+  assert.equal(ivRank, 0.5);
+  assert.equal(ivPercentile, 0);
+});
+
+test('computeIvRank needs the minimum history', () => {
+  const short = history(Array(CONFIG.IV_RANK.MIN_HISTORY_DAYS - 1).fill(0.25));
+  assert.deepEqual(computeIvRank(0.30, short), {
+    ivRank: null,
+    ivPercentile: null,
+    ivHistoryDays: CONFIG.IV_RANK.MIN_HISTORY_DAYS - 1
+  });
+});
+
+test('computeIvRank returns null without a reading', () => {
+  const full = history(Array(CONFIG.IV_RANK.MIN_HISTORY_DAYS).fill(0.25));
+  assert.equal(computeIvRank(null, full).ivRank, null);
+});
+
+// =============================================================================
+// Recording
+// =============================================================================
+
+/**
+ * Scan XOM at an instant with a live provider serving a 30-odd day and a
+ * LEAPS expiration (strikes 100 and 120, underlying at 100), against an IV
+ * history store that records its calls
+ * @param {string} now - ISO instant to scan at
+ * @param {object} params - Scan params (default: both expirations)
+ * @returns {Promise<object>} { saved, before, chains, results } - the
+ *   saveIvSnapshot() calls, the getIvHistory() cutoff, the chain requests
+ *   and the scan results
+ */
+async function scanAt(now, params = { expirationGte: '2026-10-01' }) {
+  mock.timers.enable({ apis: ['Date'], now: new Date(now).getTime() });
+  const calls = { saved: [], before: null, chains: [] };
+
+  globalThis.fetch = async (url) => {
+    const parsed = new URL(url);
+    let body;
+    if (parsed.pathname.endsWith('/markets/options/expirations')) {
+      body = { expirations: { date: ['2026-11-20', '2027-01-15'] } };
+    } else if (parsed.pathname.endsWith('/markets/quotes')) {
+      body = { quotes: { quote: [{ symbol: 'XOM', last: 100 }] } };
+    } else {
+      const expiration = parsed.searchParams.get('expiration');
+      calls.chains.push(expiration);
+      body = {
+        options: {
+          option: [100, 120].map(strike => ({
+            symbol: `XOM${expiration.slice(2).replaceAll('-', '')}C00${strike}000`,
+            underlying: 'XOM',
+            option_type: 'call',
+            strike,
+            expiration_date: expiration,
+            bid: 2,
+            ask: 2.2,
+            greeks: { mid_iv: expiration === '2026-11-20' ? 0.3 : 0.25 }
+          }))
+        }
+      };
+    }
+    return { ok: true, status: 200, headers: new Headers(), json: async () => body };
+  };
+
+  const scanner = new OptionsScanner(new TradierProvider('token'));
+  scanner.setIvHistoryStore({
+    getIvHistory: async (tickers, fromDate, beforeDate) => {
+      calls.before = beforeDate;
+      return {};
+    },
+    saveIvSnapshot: async (date, ivs) => {
+      calls.saved.push({ date, ivs });
+    }
+  });
+  calls.results = await scanner.scan({ tickers: ['XOM'], priceMin: 0, priceMax: 10, ...params });
+  return calls;
+}
+
+test('a trading-day scan records under that day', async () => {
+  // Monday 2026-10-19, 11:00 ET
+  const { saved, before } = await scanAt('2026-10-19T15:00:00Z');
+  assert.deepEqual(saved, [{ date: '2026-10-19', ivs: { XOM: 0.3 } }]);
+  assert.equal(before, '2026-10-19');
+});
+
+test('a weekend scan records under the last session', async () => {
+  // Saturday 2026-10-17 re-reads Friday's close
+  const { saved, before } = await scanAt('2026-10-17T16:00:00Z');
+  assert.deepEqual(saved.map(s => s.date), ['2026-10-16']);
+  assert.equal(before, '2026-10-16');
+});
+
+test('a scan before the open records under the previous session', async () => {
+  // Monday 2026-10-19, 08:00 ET
+  const { saved } = await scanAt('2026-10-19T12:00:00Z');
+  assert.deepEqual(saved.map(s => s.date), ['2026-10-16']);
+});
+
+test('a LEAPS-only scan reads IV from a fetched ATM slice', async () => {
+  const { saved, chains, results } = await scanAt('2026-10-19T15:00:00Z', { expirationGte: '2027-01-01' });
+
+  // The near expiration is fetched once, for the reading only
+  assert.deepEqual(chains, ['2027-01-15', '2026-11-20']);
+  assert.deepEqual(saved, [{ date: '2026-10-19', ivs: { XOM: 0.3 } }]);
+  assert.deepEqual(results.normalizedContracts.map(c => c.expiration), ['2027-01-15', '2027-01-15']);
+  assert.ok(results.contracts.every(c => c.atmIv === 0.3));
+});
+
+test('a chain with its own ATM reading fetches no slice', async () => {
+  const { chains } = await scanAt('2026-10-19T15:00:00Z');
+  assert.deepEqual(chains, ['2026-11-20', '2027-01-15']);
+});
@@ -0,0 +1,95 @@
+/**
+ * Pricing engine tests - run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { americanValue, impliedVolatility, normCdf } from '../js/pricing.js';
+
+/**
+ * Assert two numbers agree to a tolerance
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} tolerance
+ */
+function assertClose(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} +/- ${tolerance}, got ${actual}`);
+}
+
+// =============================================================================
+// Reference values
+// =============================================================================
+
+test('normCdf matches standard normal table values', () => {
+  assertClose(normCdf(0), 0.5, 1e-7);
+  assertClose(normCdf(1.96), 0.9750021, 1e-6);
+  assertClose(normCdf(-1), 0.1586553, 1e-6);
+});
+
+test('American call matches the Bjerksund-Stensland 1993 worked example', () => {
+  // Haug, The Complete Guide to Option Pricing Formulas: S=42, K=40, T=0.75,
+  // r=4%, b=-4% (8% yield), v=35% -> 5.2704
+  const value = americanValue({ type: 'call', S: 42, K: 40, T: 0.75, r: 0.04, q: 0.08, sigma: 0.35 });
+  assertClose(value, 5.2704, 1e-4);
+});
+
+test('a call on a non-dividend underlying is priced as European', () => {
+  // Hull, Options, Futures, and Other Derivatives: S=42, K=40, T=0.5, r=10%, v=20% -> 4.76
+  const value = americanValue({ type: 'call', S: 42, K: 40, T: 0.5, r: 0.10, q: 0, sigma: 0.20 });
+  assertClose(value, 4.76, 0.005);
+});
+
+// =============================================================================
+// Put/call limits
+// =============================================================================
+
+test('values stay between intrinsic value and their upper bounds', () => {
+  const base = { S: 100, T: 1, r: 0.05, q: 0.02, sigma: 0.3 };
+  for (const K of [60, 100, 140]) {
+    const call = americanValue({ ...base, type: 'call', K });
+    const put = americanValue({ ...base, type: 'put', K });
+
+    assert.ok(call >= Math.max(base.S - K, 0) && call <= base.S, `call K=${K}: ${call}`);
+    assert.ok(put >= Math.max(K - base.S, 0) && put <= K, `put K=${K}: ${put}`);
+  }
+});
+
+test('an American put is worth at least its European value', () => {
+  // Hull's European put for the same inputs is 0.81
+  const put = americanValue({ type: 'put', S: 42, K: 40, T: 0.5, r: 0.10, q: 0, sigma: 0.20 });
+  assert.ok(put > 0.81, `put ${put}`);
+});
+
+test('a deep ITM put is exercised at intrinsic value', () => {
+  assertClose(americanValue({ type: 'put', S: 40, K: 100, T: 1, r: 0.05, q: 0, sigma: 0.2 }), 60, 1e-9);
+});
+
+test('expired or zero-volatility options are worth intrinsic value', () => {
+  assert.equal(americanValue({ type: 'call', S: 110, K: 100, T: 0, r: 0.05, q: 0, sigma: 0.3 }), 10);
+  assert.equal(americanValue({ type: 'put', S: 110, K: 100, T: 0.5, r: 0.05, q: 0, sigma: 0 }), 0);
+});
+
+// =============================================================================
+// Implied volatility
+// =============================================================================
+
+test('implied volatility round-trips through the price', () => {
+  for (const type of ['call', 'put']) {
+    for (const sigma of [0.15, 0.35, 0.8]) {
+      const inputs = { type, S: 100, K: 110, T: 0.75, r: 0.045, q: 0.03 };
+      const price = americanValue({ ...inputs, sigma });
+      const iv = impliedVolatility({ ...inputs, price });
+
+      assertClose(iv, sigma, 1e-4);
+      assertClose(americanValue({ ...inputs, sigma: iv }), price, 1e-5);
+    }
+  }
+});
+
+test('implied volatility is null for prices no volatility can produce', () => {
+  const inputs = { type: 'call', S: 100, K: 100, T: 0.5, r: 0.05, q: 0 };
+  assert.equal(impliedVolatility({ ...inputs, price: 0 }), null);
+  assert.equal(impliedVolatility({ ...inputs, price: 150 }), null);
+  assert.equal(impliedVolatility({ ...inputs, T: 0, price: 5 }), null);
+});
@@ -0,0 +1,158 @@
+/**
+ * Rate limiter tests - run with `node --test test/`
+ *
+ * Date and setTimeout are mocked, so the clock only moves on tick().
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TokenBucket, AdaptiveConcurrency, RateLimiter, parseRetryAfter } from '../js/ratelimit.js';
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 0 });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+/**
+ * Let pending promise callbacks run
+ */
+async function flush() {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+}
+
+/**
+ * Start an acquire() and track whether it has resolved
+ * @param {object} limiter - TokenBucket or RateLimiter
+ * @returns {object} { done } - done flips to true once a token is granted
+ */
+function track(limiter) {
+  const state = { done: false };
+  limiter.acquire().then(() => { state.done = true; });
+  return state;
+}
+
+/**
+ * Advance the fake clock and let woken acquires continue
+ * @param {number} ms
+ */
+async function advance(ms) {
+  mock.timers.tick(ms);
+  await flush();
+}
+
+// =============================================================================
+// TokenBucket
+// =============================================================================
+
+test('TokenBucket allows a burst up to capacity', async () => {
+  const bucket = new TokenBucket(2, 3);
+  const acquired = [track(bucket), track(bucket), track(bucket)];
+  await flush();
+  assert.deepEqual(acquired.map(a => a.done), [true, true, true]);
+});
+
+test('TokenBucket refills at its rate once the burst is spent', async () => {
+  const bucket = new TokenBucket(2, 1);
+  await bucket.acquire();
+
+  const next = track(bucket);
+  await advance(499);
+  assert.equal(next.done, false);
+
+  await advance(1);
+  assert.equal(next.done, true);
+});
+
+test('TokenBucket refill is capped at capacity', async () => {
+  const bucket = new TokenBucket(10, 2);
+  await advance(60000);
+  bucket._refill();
+  assert.equal(bucket.tokens, 2);
+});
+
+// =============================================================================
+// Retry-After backoff
+// =============================================================================
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(new Date(5000).toUTCString()), 5000);
+  assert.equal(parseRetryAfter(''), null);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('RateLimiter waits out Retry-After after a 429', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 5, maxConcurrency: 4 }, 4);
+  limiter.onResponse(429, new Headers({ 'retry-after': '2' }));
+
+  const next = track(limiter);
+  await advance(1999);
+  assert.equal(next.done, false);
+
+  // Past the pause the bucket still has to refill one token at the halved rate
+  await advance(1);
+  await advance(Math.ceil(1000 / limiter.bucket.rate));
+  assert.equal(next.done, true);
+});
+
+test('RateLimiter halves rate and concurrency on a 429', () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 5, maxConcurrency: 4 }, 4);
+  limiter.onResponse(429, new Headers());
+
+  assert.equal(limiter.getStats().rate, 5);
+  assert.equal(limiter.maxConcurrent, 2);
+  assert.equal(limiter.getStats().throttleCount, 1);
+});
+
+test('RateLimiter pauses for the reset when the quota is exhausted', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 5, maxConcurrency: 4 });
+  limiter.onResponse(200, new Headers({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1' }));
+
+  const next = track(limiter);
+  await advance(999);
+  assert.equal(next.done, false);
+
+  await advance(1);
+  await advance(100);
+  assert.equal(next.done, true);
+});
+
+// =============================================================================
+// Adaptive concurrency
+// =============================================================================
+
+test('AdaptiveConcurrency recovers one step per success streak', () => {
+  const concurrency = new AdaptiveConcurrency(4, 4, 3);
+  concurrency.onThrottle();
+  assert.equal(concurrency.current, 2);
+
+  for (let i = 0; i < 3; i++) concurrency.onSuccess();
+  assert.equal(concurrency.current, 3);
+
+  for (let i = 0; i < 3; i++) concurrency.onSuccess();
+  assert.equal(concurrency.current, 4);
+
+  // Never past the plan's ceiling
+  for (let i = 0; i < 3; i++) concurrency.onSuccess();
+  assert.equal(concurrency.current, 4);
+});
+
+test('AdaptiveConcurrency never drops below one', () => {
+  const concurrency = new AdaptiveConcurrency(1, 4);
+  concurrency.onThrottle();
+  assert.equal(concurrency.current, 1);
+});
+
+test('RateLimiter restores its rate after successful responses', () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 5, maxConcurrency: 4 }, 4);
+  limiter.onResponse(429, new Headers());
+  assert.equal(limiter.getStats().rate, 5);
+
+  for (let i = 0; i < 20; i++) limiter.onResponse(200, new Headers());
+  assert.equal(limiter.getStats().rate, 10);
+  assert.equal(limiter.maxConcurrent, 4);
+});
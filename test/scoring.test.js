@@ -0,0 +1,36 @@
+/**
+ * Score profile tests - run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../js/config.js';
+import { createScoreProfile, parseScoreProfile, scoreProfileToJSON, getDefaultScoreProfile } from '../js/scoring.js';
+
+test('a null target delta falls back to the default instead of 0', () => {
+  const profile = createScoreProfile({ name: null, weights: null, targetDelta: null });
+  assert.equal(profile.targetDelta, CONFIG.SCORING.TARGET_DELTA);
+  assert.equal(profile.name, 'Custom');
+  assert.ok(Object.values(profile.weights).every(weight => weight === 0));
+});
+
+test('a shared profile with a null target delta keeps the default', () => {
+  const json = JSON.parse(scoreProfileToJSON(getDefaultScoreProfile()));
+  const profile = parseScoreProfile({ ...json, targetDelta: null });
+  assert.equal(profile.targetDelta, CONFIG.SCORING.TARGET_DELTA);
+});
+
+test('profiles round-trip through JSON', () => {
+  const profile = createScoreProfile({ name: 'Cheap', weights: { lowPrice: 3, longDte: 0.5 }, targetDelta: 0.2 });
+  assert.deepEqual(parseScoreProfile(scoreProfileToJSON(profile)), profile);
+});
+
+test('non-finite weights and target deltas are rejected', () => {
+  const json = JSON.parse(scoreProfileToJSON(getDefaultScoreProfile()));
+
+  assert.throws(() => parseScoreProfile({ ...json, weights: { lowIv: 'heavy' } }), /weights must be numbers \(lowIv\)/);
+  // 1e999 parses to Infinity
+  assert.throws(() => parseScoreProfile(JSON.stringify(json).replace('"lowIv":1', '"lowIv":1e999')), /weights must be numbers/);
+  assert.throws(() => parseScoreProfile({ ...json, targetDelta: '0.3' }), /targetDelta/);
+});
@@ -0,0 +1,137 @@
+/**
+ * Vertical spread tests - run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { buildVerticalSpreads } from '../js/spreads.js';
+import { FixtureBundle } from '../js/fixtures.js';
+import { PolygonProvider } from '../js/providers/polygon.js';
+import { OptionsScanner } from '../js/scanner.js';
+
+const RECORDED = readFileSync(new URL('./fixtures/polygon-xom-cvx.json', import.meta.url), 'utf8');
+
+/**
+ * Normalized contract for one strike (XOM Jan 2027, underlying at 100)
+ * @param {string} type - 'call' or 'put'
+ * @param {number} strike
+ * @param {number} bid
+ * @param {number} ask
+ * @returns {object}
+ */
+function leg(type, strike, bid, ask) {
+  return {
+    contractTicker: `O:XOM270115${type === 'call' ? 'C' : 'P'}${String(strike * 1000).padStart(8, '0')}`,
+    underlying: 'XOM',
+    expiration: '2027-01-15',
+    dte: 90,
+    type,
+    strike,
+    bid,
+    ask,
+    underlyingPrice: 100,
+    openInterest: 100
+  };
+}
+
+/**
+ * Call chain from 100 to 130 in $5 strikes, cheaper with every strike
+ * @returns {object[]}
+ */
+function callChain() {
+  return [100, 105, 110, 115, 120, 125, 130].map((strike, i) => leg('call', strike, 6 - i * 0.8, 6.2 - i * 0.8));
+}
+
+// =============================================================================
+// Payoff
+// =============================================================================
+
+test('a bull call pays the width less the debit', () => {
+  const [spread] = buildVerticalSpreads([leg('call', 100, 4.8, 5), leg('call', 105, 2, 2.2)], {
+    strategies: ['bullCall'],
+    pricing: 'natural'
+  });
+
+  // Buys the 100 at the ask, sells the 105 at the bid
+  assert.equal(spread.longStrike, 100);
+  assert.equal(spread.shortStrike, 105);
+  assert.equal(spread.netPremium, 3);
+  assert.equal(spread.maxProfit, 2);
+  assert.equal(spread.maxLoss, 3);
+  assert.equal(spread.breakEven, 103);
+  assert.equal(spread.breakEvenPct, 0.03);
+});
+
+test('a bear put pays the width less the debit, breaking even below the long strike', () => {
+  const [spread] = buildVerticalSpreads([leg('put', 100, 1.5, 1.7), leg('put', 105, 4.3, 4.5)], {
+    strategies: ['bearPut'],
+    pricing: 'natural'
+  });
+
+  assert.equal(spread.longStrike, 105);
+  assert.equal(spread.shortStrike, 100);
+  assert.equal(spread.netPremium, 3);
+  assert.equal(spread.maxProfit, 2);
+  assert.equal(spread.maxLoss, 3);
+  assert.equal(spread.breakEven, 102);
+});
+
+test('pairs with no reward or no risk are skipped', () => {
+  // A debit as wide as the strikes can only lose
+  const spreads = buildVerticalSpreads([leg('call', 100, 4.8, 5.5), leg('call', 105, 0.4, 0.5)], {
+    strategies: ['bullCall'],
+    pricing: 'natural'
+  });
+  assert.deepEqual(spreads, []);
+});
+
+// =============================================================================
+// Width limits
+// =============================================================================
+
+/**
+ * Strike pairs of the bull calls built from callChain()
+ * @param {object} options - buildVerticalSpreads() width options
+ * @returns {string[]} "long/short" strikes
+ */
+function bullCallPairs(options) {
+  return buildVerticalSpreads(callChain(), { strategies: ['bullCall'], pricing: 'natural', ...options })
+    .map(s => `${s.longStrike}/${s.shortStrike}`);
+}
+
+test('without width limits every strike pair is built', () => {
+  assert.equal(bullCallPairs({}).length, 21);
+});
+
+test('pairs wider than the dollar or percent limit are dropped', () => {
+  const expected = ['100/105', '100/110', '105/110', '105/115', '110/115', '110/120', '115/120', '115/125', '120/125', '120/130', '125/130'];
+  assert.deepEqual(bullCallPairs({ maxWidth: 10 }), expected);
+  // 10% of the $100 underlying
+  assert.deepEqual(bullCallPairs({ maxWidthPct: 0.10 }), expected);
+});
+
+test('pairs more strikes apart than the strike limit are dropped', () => {
+  assert.deepEqual(bullCallPairs({ maxWidthStrikes: 1 }), ['100/105', '105/110', '110/115', '115/120', '120/125', '125/130']);
+});
+
+// =============================================================================
+// Result cap
+// =============================================================================
+
+test('scanSpreads caps results and reports the truncation', async () => {
+  const api = new PolygonProvider('replay-key', { fixtureMode: 'replay', fixtures: FixtureBundle.fromJSON(RECORDED) });
+  const scanner = new OptionsScanner(api);
+  await scanner.scan({ tickers: ['XOM', 'CVX'] });
+
+  const all = scanner.scanSpreads({});
+  assert.equal(all.stats.truncated, false);
+  assert.equal(all.spreads.length, all.stats.afterFilters);
+
+  const capped = scanner.scanSpreads({ maxResults: 2 });
+  assert.equal(capped.spreads.length, 2);
+  assert.equal(capped.stats.afterFilters, all.stats.afterFilters);
+  assert.equal(capped.stats.truncated, true);
+  assert.deepEqual(capped.spreads, all.spreads.slice(0, 2));
+});
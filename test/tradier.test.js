@@ -0,0 +1,73 @@
+/**
+ * Tradier provider tests - run with `node --test test/`
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TradierProvider } from '../js/providers/tradier.js';
+import { OptionsScanner } from '../js/scanner.js';
+
+const realFetch = globalThis.fetch;
+let requests = [];
+
+beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url) => {
+    const parsed = new URL(url);
+    requests.push(parsed.pathname);
+
+    let body;
+    if (parsed.pathname.endsWith('/markets/options/expirations')) {
+      body = { expirations: { date: ['2027-01-15'] } };
+    } else if (parsed.pathname.endsWith('/markets/quotes')) {
+      const symbols = parsed.searchParams.get('symbols').split(',');
+      body = { quotes: { quote: symbols.map(symbol => ({ symbol, last: 100 })) } };
+    } else {
+      const symbol = parsed.searchParams.get('symbol');
+      body = {
+        options: {
+          option: [100, 110].map(strike => ({
+            symbol: `${symbol}270115C00${strike}000`,
+            underlying: symbol,
+            option_type: 'call',
+            strike,
+            expiration_date: '2027-01-15',
+            bid: 0,
+            ask: 0.10,
+            last: 0.05
+          }))
+        }
+      };
+    }
+    return { ok: true, status: 200, headers: new Headers(), json: async () => body };
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('a zero bid still gives a mid', () => {
+  const api = new TradierProvider('token');
+  const contract = api.normalizeContract({ bid: 0, ask: 0.10 }, 'XOM');
+  assert.equal(contract.mid, 0.05);
+  assert.equal(api.normalizeContract({ bid: null, ask: 0.10 }, 'XOM').mid, null);
+});
+
+test('a chain without a prefetched price quotes the underlying', async () => {
+  const api = new TradierProvider('token');
+  const chain = await api.getOptionsChain('XOM', { expirationGte: '2027-01-01' });
+
+  assert.equal(requests.filter(path => path.endsWith('/markets/quotes')).length, 1);
+  assert.ok(chain.every(option => option._underlyingPrice === 100));
+});
+
+test('a moneyness-window scan quotes underlyings once, in the prefetch', async () => {
+  const scanner = new OptionsScanner(new TradierProvider('token'));
+  const results = await scanner.scan({ tickers: ['XOM', 'CVX'], otmMin: 0, otmMax: 0.5, priceMin: 0, priceMax: 1 });
+
+  assert.equal(requests.filter(path => path.endsWith('/markets/quotes')).length, 1);
+  assert.equal(results.stats.totalFetched, 4);
+  assert.ok(results.contracts.every(c => c.underlyingPrice === 100));
+});